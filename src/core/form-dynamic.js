@@ -1,7 +1,7 @@
 /**
  * File: form-dynamic.js
  * Created: 2025-12-18 18:56:34
- * Last Modified: 2025-12-24 12:45:00
+ * Last Modified: 2026-10-19
  * 
  * Dynamic Form Handlers
  * 
@@ -19,19 +19,32 @@
  * Forms with class="dynamic-form" and data-auto-init="true" are automatically
  * initialized on page load. Otherwise, call initializeDynamicForm(formId) manually.
  * 
+ * TEARDOWN:
+ * initializeDynamicForm returns a handle whose destroy() removes the counter
+ * listeners, disposes the tooltips and restores the counters' original text.
+ * 
  * USAGE:
  * import { initializeDynamicForm, getFormData, resetForm } from './form-dynamic.js';
- * initializeDynamicForm('myFormId');
+ * const handle = initializeDynamicForm('myFormId');
+ * handle.destroy();
  */
 
 'use strict';
 
+import { getFormData as extractFormData } from '../helpers/form-helpers.js';
+
+/**
+ * Registry of initialized dynamic forms: form element -> handle
+ */
+const dynamicForms = new WeakMap();
+
 /**
  * Initialize a dynamic form with client-side enhancements
  * 
  * Sets up interactive features for forms generated by the dynamic-form.ejs partial.
- * This function should be called once per form, typically on page load or after
- * dynamically inserting a form into the DOM.
+ * This is typically called on page load or after dynamically inserting a form
+ * into the DOM. Calling it again for an already initialized form returns the
+ * existing handle.
  * 
  * WHAT IT DOES:
  * 1. Activates character counters for textareas with maxlength attribute
@@ -41,9 +54,10 @@
  * The config parameter is optional and mainly used for debugging. Most forms
  * don't need to pass any configuration.
  * 
- * @param {string} formId - The form element ID (must exist in DOM)
+ * @param {string|HTMLFormElement} formId - The form element ID (must exist in DOM), or the form element
  * @param {object} config - Optional configuration object with debug flag and metadata
  * @param {boolean} config.debug - Enable console logging (default: true)
+ * @returns {object|undefined} Handle { form, destroy }, or undefined if the form is not found
  * 
  * @example
  * // Simple initialization
@@ -53,27 +67,93 @@
  * initializeDynamicForm('appForm', { debug: false });
  */
 export function initializeDynamicForm(formId, config = {}) {
-  const form = document.getElementById(formId);
+  const form = typeof formId === 'string' ? document.getElementById(formId) : formId;
   if (!form) {
     console.error('Dynamic Form: Form not found:', formId);
     return;
   }
-
+  
+  const existing = dynamicForms.get(form);
+  if (existing) {
+    return existing;
+  }
+  
+  const listenerController = new AbortController();
+  
   // Initialize character counters for textareas with maxlength
-  initializeCharacterCounters(formId);
-
-  // Initialize Bootstrap tooltips
-  initializeTooltips(formId);
-
+  const countedTextareas = new WeakSet();
+  const counterRestores = [initializeCharacterCounters(form, listenerController.signal, countedTextareas)];
+  
+  // Initialize Bootstrap tooltips (trigger element -> instance)
+  const tooltips = initializeTooltips(form, new Map());
+  
+  const handle = {
+    form: form,
+    
+    /**
+     * Set up counters and tooltips for fields added since initialization
+     * (e.g. repeater rows), and dispose tooltips of removed fields
+     */
+    refresh: () => {
+      counterRestores.push(initializeCharacterCounters(form, listenerController.signal, countedTextareas));
+      initializeTooltips(form, tooltips);
+      
+      tooltips.forEach((tooltip, element) => {
+        if (!form.contains(element)) {
+          tooltip.dispose();
+          tooltips.delete(element);
+        }
+      });
+    },
+    
+    /**
+     * Remove counter listeners, dispose tooltips and restore counter text
+     */
+    destroy: () => {
+      listenerController.abort();
+      counterRestores.forEach(restore => restore());
+      tooltips.forEach(tooltip => tooltip.dispose());
+      dynamicForms.delete(form);
+    }
+  };
+  dynamicForms.set(form, handle);
+  
   // Debug info
   if (config.debug !== false) {
     console.log('Dynamic Form Initialized:', {
-      formId: formId,
+      formId: form.id,
       appDataSourceLength: config.appDataSourceLength || 0,
       fieldCount: config.fieldCount || 0,
       fields: config.fields || []
     });
   }
+  
+  return handle;
+}
+
+/**
+ * Tear down the dynamic form enhancements of a form
+ * Does nothing if the form was not initialized with initializeDynamicForm.
+ * @param {string|HTMLFormElement} formId - The form element ID, or the form element
+ */
+export function destroyDynamicForm(formId) {
+  const form = typeof formId === 'string' ? document.getElementById(formId) : formId;
+  if (form) {
+    dynamicForms.get(form)?.destroy();
+  }
+}
+
+/**
+ * Set up counters and tooltips for fields added to a dynamic form after
+ * initialization, such as repeater rows
+ * Does nothing if the form was not initialized with initializeDynamicForm.
+ * @param {string|HTMLFormElement} formId - The form element ID, or the form element
+ */
+export function refreshDynamicForm(formId) {
+  const form = typeof formId === 'string' ? document.getElementById(formId) : formId;
+  if (form) {
+    dynamicForms.get(form)?.refresh();
+  }
 }
 
 /**
@@ -93,32 +173,55 @@ export function initializeDynamicForm(formId, config = {}) {
  * - Have class="char-count"
  * - Be a child of the same parent element as the textarea
  * 
- * @param {string} formId - The form element ID containing the textareas
+ * @param {HTMLFormElement} form - The form element containing the textareas
+ * @param {AbortSignal} signal - Removes the counter listeners when aborted
+ * @param {WeakSet} counted - Textareas already set up (skipped, then added)
+ * @returns {Function} Restores each counter's original text
  * @private
  */
-const initializeCharacterCounters = (formId) => {
-  const textareas = document.querySelectorAll(`#${formId} textarea[maxlength]`);
+const initializeCharacterCounters = (form, signal, counted) => {
+  const textareas = [...form.querySelectorAll('textarea[maxlength]')].filter(textarea => !counted.has(textarea));
+  const originalText = new Map();
   
   textareas.forEach(textarea => {
+    counted.add(textarea);
+    
+    const counter = textarea.parentElement.querySelector('.char-count');
+    if (counter) {
+      originalText.set(counter, counter.textContent);
+    }
+    
     const updateCounter = () => {
-      const counter = textarea.parentElement.querySelector('.char-count');
       if (counter) {
         counter.textContent = textarea.value.length;
       }
     };
     
-    textarea.addEventListener('input', updateCounter);
+    textarea.addEventListener('input', updateCounter, { signal });
     updateCounter(); // Initialize counter on load
   });
+  
+  return () => {
+    originalText.forEach((text, counter) => {
+      counter.textContent = text;
+    });
+  };
 }
 
 /**
  * Initialize Bootstrap tooltips for form elements
- * @param {string} formId - The form element ID
+ * @param {HTMLFormElement} form - The form element
+ * @param {Map} tooltips - Existing instances by trigger element (skipped); new ones are added
+ * @returns {Map} Tooltip instances by trigger element (disposed on destroy)
  */
-const initializeTooltips = (formId) => {
-  const tooltipTriggerList = document.querySelectorAll(`#${formId} [data-bs-toggle="tooltip"]`);
-  [...tooltipTriggerList].map(tooltipTriggerEl => new bootstrap.Tooltip(tooltipTriggerEl));
+const initializeTooltips = (form, tooltips) => {
+  const tooltipTriggerList = form.querySelectorAll('[data-bs-toggle="tooltip"]');
+  [...tooltipTriggerList].forEach(tooltipTriggerEl => {
+    if (!tooltips.has(tooltipTriggerEl)) {
+      tooltips.set(tooltipTriggerEl, new bootstrap.Tooltip(tooltipTriggerEl));
+    }
+  });
+  return tooltips;
 }
 
 /**
@@ -136,21 +239,16 @@ export function validateForm(form) {
 
 /**
  * Get form data as an object
- * @param {string} formId - The form element ID
+ * Same extraction as the form-helpers version: raw and flat unless options say otherwise.
+ * @param {string|HTMLFormElement} formOrId - The form element or its ID
+ * @param {Object} options - Extraction options (coerce, emptyAsNull, nested)
  * @returns {object} - Form data as key-value pairs
  */
-export function getFormData(formId) {
-  const form = document.getElementById(formId);
+export function getFormData(formOrId, options = {}) {
+  const form = typeof formOrId === 'string' ? document.getElementById(formOrId) : formOrId;
   if (!form) return {};
   
-  const formData = new FormData(form);
-  const data = {};
-  
-  for (const [key, value] of formData.entries()) {
-    data[key] = value;
-  }
-  
-  return data;
+  return extractFormData(form, options);
 }
 
 /**
@@ -196,6 +294,6 @@ document.addEventListener('DOMContentLoaded', () => {
   autoInitForms.forEach(form => {
     const configAttr = form.getAttribute('data-form-config');
     const config = configAttr ? JSON.parse(configAttr) : {};
-    initializeDynamicForm(form.id, config);
+    initializeDynamicForm(form, config);
   });
 });
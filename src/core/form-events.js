@@ -0,0 +1,141 @@
+/**
+ * File: form-events.js
+ * Created: 2026-10-19
+ * Last Modified: 2026-10-19
+ * 
+ * Form Lifecycle Events
+ * 
+ * Small event emitter used by form instances. Every event is delivered to
+ * listeners registered with instance.on() and dispatched as a bubbling
+ * DOM CustomEvent named "formkit:<event>" on the <form> element, so parent
+ * components can observe forms without holding a reference to the instance.
+ * 
+ * EVENTS (detail payload):
+ * - beforeValidate  { }
+ * - validated       { valid }
+ * - beforeSubmit    { data, config }   cancelable; listeners may replace detail.data
+ * - uploadProgress  { loaded, total, percent }   only when the payload contains files
+ * - submitSuccess   { response, data }
+ * - submitError     { error, data }
+ * - submitQueued    { submission, data }   offline mode: stored for replay instead of sent
+ * - reset           { }
+ * - fieldChange     { name, value, input }
+ * - dirtyChange     { dirty }
+ * - draftSaved      { draft }              autosave wrote a draft
+ * - draftRestored   { values }             the user restored a draft
+ * - rowChange       { action, row, index, repeater }   repeater row added, removed or moved
+ * - conditionChange { target, rule, active }           a showIf/enableIf/requiredIf rule flipped
+ * - stepChange      { from, to, step }                 wizard mode: another step is shown
+ * - optionsLoad     { name, select, items, error }     remote select options loaded (or failed)
+ * 
+ * VETOING:
+ * For cancelable events, an instance listener can return false or call
+ * event.preventDefault(); DOM listeners call event.preventDefault().
+ * 
+ * @module form-kit/core/form-events
+ */
+
+'use strict';
+
+/**
+ * Prefix for DOM CustomEvent names
+ */
+export const EVENT_PREFIX = 'formkit:';
+
+/**
+ * Create an event emitter bound to a form element
+ * @param {HTMLFormElement} form - Form that receives the DOM events
+ * @returns {Object} Emitter with on, once, off and emit methods
+ * 
+ * @example
+ * const events = createFormEmitter(form);
+ * const unsubscribe = events.on('submitSuccess', ({ response }) => track(response.id));
+ * const proceed = events.emit('beforeSubmit', { data }, { cancelable: true });
+ */
+export function createFormEmitter(form) {
+  const listeners = new Map();
+  
+  /**
+   * Add a listener
+   * @param {string} name - Event name (without prefix)
+   * @param {Function} fn - Listener (detail, event) => void|false
+   * @returns {Function} Function that removes the listener
+   */
+  function on(name, fn) {
+    if (!listeners.has(name)) {
+      listeners.set(name, new Set());
+    }
+    listeners.get(name).add(fn);
+    return () => off(name, fn);
+  }
+  
+  /**
+   * Add a listener that is removed after its first call
+   * @param {string} name - Event name
+   * @param {Function} fn - Listener
+   * @returns {Function} Function that removes the listener
+   */
+  function once(name, fn) {
+    const wrapper = (detail, event) => {
+      off(name, wrapper);
+      return fn(detail, event);
+    };
+    return on(name, wrapper);
+  }
+  
+  /**
+   * Remove a listener, or all listeners for an event when fn is omitted
+   * @param {string} name - Event name
+   * @param {Function} fn - Listener to remove
+   */
+  function off(name, fn) {
+    if (!fn) {
+      listeners.delete(name);
+      return;
+    }
+    listeners.get(name)?.delete(fn);
+  }
+  
+  /**
+   * Emit an event to instance listeners and as a DOM CustomEvent on the form
+   * @param {string} name - Event name
+   * @param {Object} detail - Event payload (shared, so listeners may modify it)
+   * @param {Object} options - Emit options
+   * @param {boolean} options.cancelable - Whether listeners may veto the event
+   * @returns {boolean} False if a listener vetoed a cancelable event
+   */
+  function emit(name, detail = {}, options = {}) {
+    const event = new CustomEvent(`${EVENT_PREFIX}${name}`, {
+      detail,
+      bubbles: true,
+      cancelable: Boolean(options.cancelable)
+    });
+    
+    let vetoed = false;
+    
+    [...(listeners.get(name) || [])].forEach(fn => {
+      try {
+        if (fn(detail, event) === false && options.cancelable) {
+          vetoed = true;
+        }
+      } catch (error) {
+        console.error(`Error in "${name}" form event listener:`, error);
+      }
+    });
+    
+    if (!form.dispatchEvent(event)) {
+      vetoed = true;
+    }
+    
+    return !(vetoed || event.defaultPrevented);
+  }
+  
+  /**
+   * Remove all listeners
+   */
+  function clear() {
+    listeners.clear();
+  }
+  
+  return { on, once, off, emit, clear };
+}
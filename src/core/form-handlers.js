@@ -0,0 +1,105 @@
+/**
+ * File: form-handlers.js
+ * Created: 2026-10-19
+ * Last Modified: 2026-10-19
+ * 
+ * Form Handler Registry
+ * 
+ * Named callbacks referenced from data-form-config (onSuccess, onError,
+ * onDateTimeChange) are resolved from this module-scoped registry instead
+ * of global window properties, so they work with bundlers, module scoping
+ * and strict Content Security Policies.
+ * 
+ * USAGE:
+ * import { registerFormHandler } from '@mfribeiro/form-kit';
+ * registerFormHandler('requestSaved', (response, data) => { ... });
+ * 
+ * <form data-form-config='{"action": "/api/requests", "onSuccess": "requestSaved"}'>
+ * 
+ * RESOLUTION ORDER:
+ * 1. A function passed directly in the initializeForm options
+ * 2. A handler registered under the configured name
+ * 3. window[name] (legacy fallback, logs a deprecation warning once per name)
+ * 
+ * @module form-kit/core/form-handlers
+ */
+
+'use strict';
+
+/**
+ * Registry of named form handlers
+ * @private
+ */
+const handlers = new Map();
+
+/**
+ * Names already warned about for the window fallback
+ * @private
+ */
+const warnedGlobals = new Set();
+
+/**
+ * Register a named form handler
+ * @param {string} name - Handler name used in data-form-config
+ * @param {Function} fn - Handler function
+ * @throws {TypeError} If fn is not a function
+ */
+export function registerFormHandler(name, fn) {
+  if (typeof fn !== 'function') {
+    throw new TypeError(`Form handler "${name}" must be a function`);
+  }
+  handlers.set(name, fn);
+}
+
+/**
+ * Remove a named form handler
+ * @param {string} name - Handler name
+ * @returns {boolean} True if a handler was removed
+ */
+export function unregisterFormHandler(name) {
+  return handlers.delete(name);
+}
+
+/**
+ * Get a registered form handler
+ * @param {string} name - Handler name
+ * @returns {Function|undefined} Handler function
+ */
+export function getFormHandler(name) {
+  return handlers.get(name);
+}
+
+/**
+ * Resolve a handler from a direct function or a configured name
+ * @param {Function|string} reference - Function, or handler name from config
+ * @returns {Function|null} The handler, or null if none could be resolved
+ * 
+ * @example
+ * const onSuccess = resolveFormHandler(options.onSuccess || config.onSuccess);
+ * onSuccess?.(response, data);
+ */
+export function resolveFormHandler(reference) {
+  if (typeof reference === 'function') {
+    return reference;
+  }
+  
+  if (typeof reference !== 'string' || !reference) {
+    return null;
+  }
+  
+  if (handlers.has(reference)) {
+    return handlers.get(reference);
+  }
+  
+  // Legacy: handlers defined as globals before the registry existed
+  if (typeof window !== 'undefined' && typeof window[reference] === 'function') {
+    if (!warnedGlobals.has(reference)) {
+      warnedGlobals.add(reference);
+      console.warn(`Form handler "${reference}" resolved from window; use registerFormHandler() instead`);
+    }
+    return window[reference];
+  }
+  
+  console.warn(`Form handler "${reference}" not found`);
+  return null;
+}
@@ -1,7 +1,7 @@
 /**
  * File: form-init.js
  * Created: 2025-12-17 15:28:50
- * Last Modified: 2026-02-06
+ * Last Modified: 2026-10-19
  * 
  * Form Initialization Module
  * 
@@ -12,33 +12,184 @@
  */
 
 import * as formHelpers from '../helpers/form-helpers.js';
-import { initializeDynamicForm } from './form-dynamic.js';
+import { initializeDynamicForm, destroyDynamicForm, refreshDynamicForm } from './form-dynamic.js';
+import { prepareSubmission } from './form-submit.js';
+import { resolveFormHandler } from './form-handlers.js';
+import { createFormEmitter } from './form-events.js';
+import { createDirtyTracker, installUnsavedChangesGuard, readFormValues } from '../features/form-feature-dirty.js';
+import { buildDiffPayload, toJsonPatch, JSON_PATCH_CONTENT_TYPE } from '../features/form-feature-diff.js';
+import { FormSubmitError } from '../helpers/form-errors.js';
+import { containsFiles, createIdempotencyKey } from '../helpers/form-transport.js';
+import { nestFormData } from '../helpers/form-data.js';
+import { initializeUploads } from '../features/form-feature-upload.js';
+import { initializeRepeaters } from '../features/form-feature-repeater.js';
+import { initializeConditions } from '../features/form-feature-conditions.js';
+import { initializeWizard } from '../features/form-feature-wizard.js';
+import { initializeRemoteOptions, loadSelectOptions } from '../features/form-feature-options.js';
+import { initializeComboboxes } from '../features/form-feature-combobox.js';
+import { t, getFlatpickrLocale } from '../helpers/form-i18n.js';
+import { attachTimezoneIndicator } from '../helpers/form-datetime.js';
+import { queueSubmission, startQueueReplay, isOffline } from '../features/form-feature-offline.js';
+import { createAutosave } from '../features/form-feature-autosave.js';
+import {
+  runValidators,
+  clearValidationState,
+  getFieldValidators,
+  getValidatorDependencies,
+  applyFieldErrors,
+  clearFieldErrors,
+  hasFieldError
+} from '../features/form-feature-validators.js';
 
-// Make form helpers available globally for inline handlers if needed
-Object.entries(formHelpers).forEach(([name, func]) => {
-  window[name] = func;
-});
+/**
+ * Make form helpers available globally for inline handlers (opt-in)
+ * 
+ * Earlier versions assigned every helper to window on import. Call this
+ * once if existing markup still relies on e.g. onclick="showToast(...)".
+ * 
+ * @param {Object} target - Object to attach helpers to (default: window)
+ */
+export function exposeGlobals(target = window) {
+  Object.entries(formHelpers).forEach(([name, func]) => {
+    target[name] = func;
+  });
+}
 
 // Export dynamic form initializer for external use
 export { initializeDynamicForm };
 
+/**
+ * Registry of initialized forms: form element -> instance
+ */
+const formInstances = new WeakMap();
+
+/**
+ * Resolve a form element from an element or ID
+ * @param {HTMLFormElement|string} formOrId - Form element or ID
+ * @returns {HTMLFormElement|null} The form element
+ * @private
+ */
+function resolveForm(formOrId) {
+  if (typeof formOrId === 'string') {
+    return document.getElementById(formOrId);
+  }
+  return formOrId instanceof HTMLFormElement ? formOrId : null;
+}
+
+/**
+ * Get the instance of an initialized form
+ * @param {HTMLFormElement|string} formOrId - Form element or ID
+ * @returns {Object|null} Form instance, or null if not initialized
+ */
+export function getFormInstance(formOrId) {
+  const form = resolveForm(formOrId);
+  return (form && formInstances.get(form)) || null;
+}
+
 /**
  * Initialize a single form by ID
- * @param {string} formId - The form element ID
+ * 
+ * Callbacks can be passed directly in options, or named in data-form-config
+ * and registered with registerFormHandler(). Direct callbacks take precedence.
+ * 
+ * Initialization is idempotent: calling it again for a form that is already
+ * initialized returns the existing instance. Call instance.destroy() first
+ * to re-initialize (e.g. after re-rendering a modal's form).
+ * 
+ * @param {string|HTMLFormElement} formId - The form element ID (or the form element)
+ * @param {Object} options - Initialization options
+ * @param {Function} options.onSuccess - Called with (response, submissionData) after a successful submit
+ * @param {Function} options.onError - Called with (error, submissionData) when submission fails
+ * @param {Function} options.onDateTimeChange - Called with (selectedDates, dateStr, instance, input) on Flatpickr change
+ * @param {Object} options.transport - Transport settings for this form, merged over config.transport (see form-transport.js)
  * @returns {Object} Form instance with methods
+ * 
+ * @example
+ * initializeForm('requestForm', {
+ *   onSuccess: (response) => navigate(`/requests/${response.id}`)
+ * });
  */
-export function initializeForm(formId) {
-  const form = document.getElementById(formId);
+export function initializeForm(formId, options = {}) {
+  const form = resolveForm(formId);
   if (!form) {
     console.error(`Form with ID "${formId}" not found`);
     return null;
   }
   
+  // Never bind twice to the same form
+  const existing = formInstances.get(form);
+  if (existing) {
+    return existing;
+  }
+  
+  // Every listener is registered with this signal so destroy() can remove them all
+  const listenerController = new AbortController();
+  const { signal } = listenerController;
+  
   // Get configuration from data attribute
   const config = JSON.parse(form.dataset.formConfig || '{}');
   
+  /**
+   * Call a configured callback: direct function from options first, then the
+   * name from config. Resolved at call time so handlers may be registered
+   * after initialization (e.g. after auto-init on DOMContentLoaded).
+   * @param {string} key - Callback key (onSuccess, onError, onDateTimeChange)
+   * @param {...*} args - Arguments passed to the callback
+   */
+  function callHandler(key, ...args) {
+    if (!options[key] && !config[key]) return;
+    
+    const handler = resolveFormHandler(options[key] || config[key]);
+    if (handler) {
+      handler(...args);
+    }
+  }
+  
   // Get submit button reference
   const submitButton = form.querySelector('button[type="submit"]');
+  const submitButtonWasDisabled = submitButton ? submitButton.disabled : false;
+  
+  // Lifecycle events (instance.on() listeners + formkit:* DOM events)
+  const events = createFormEmitter(form);
+  
+  // Changes relative to the values at load, reset, populate or last save
+  const dirtyTracker = createDirtyTracker(form, {
+    onChange: (dirty) => events.emit('dirtyChange', { dirty })
+  });
+  
+  // Optional prompt before leaving the page or closing the modal with unsaved edits
+  const removeUnsavedGuard = config.guardUnsavedChanges
+    ? installUnsavedChangesGuard(form, dirtyTracker.isDirty, config.guardUnsavedChanges)
+    : null;
+  
+  // Custom validators declared in config.validators and data-validators attributes
+  const fieldValidators = getFieldValidators(form, config.validators);
+  
+  /**
+   * Re-read the declared validators after fields were added, removed or renamed
+   * (repeater rows). Results for previous names are dropped; fields the user
+   * already interacted with are validated again.
+   */
+  function refreshFieldValidators() {
+    Object.keys(fieldValidators).forEach(name => delete fieldValidators[name]);
+    Object.assign(fieldValidators, getFieldValidators(form, config.validators));
+    
+    customResults.clear();
+    latestRuns.clear();
+    Object.keys(fieldValidators).forEach(name => {
+      if (form.querySelector(`[name="${name}"]`)?.classList.contains('was-validated-field')) {
+        runFieldValidators(name);
+      }
+    });
+    validateFormFields();
+  }
+  
+  // Latest custom validator result per field name (only fields validated so far).
+  // null while a (possibly async) run is pending.
+  const customResults = new Map();
+  
+  // Most recent validator run per field name, so stale results are ignored
+  const latestRuns = new Map();
   
   /**
    * Check if all required fields are valid and update submit button state
@@ -48,6 +199,21 @@ export function initializeForm(formId) {
     let allValid = true;
     
     requiredInputs.forEach(input => {
+      // Disabled fields are not submitted (e.g. hidden by a condition)
+      if (input.disabled) return;
+      
+      // Styling of fields failing or pending a custom validator is owned by runValidators
+      if (customResults.has(input.name) && customResults.get(input.name) !== true) {
+        allValid = false;
+        return;
+      }
+      
+      // Server-side errors stay visible until the field is edited
+      if (hasFieldError(input)) {
+        allValid = false;
+        return;
+      }
+      
       if (input.type === 'select-one') {
         // For select elements, check if a valid option is selected
         if (!input.value || input.value === '') {
@@ -75,6 +241,23 @@ export function initializeForm(formId) {
       }
     });
     
+    // Fields failing (or still running) a custom validator also block submission,
+    // unless they were disabled since (e.g. hidden by a condition)
+    for (const [fieldName, valid] of customResults) {
+      const field = form.querySelector(`[name="${fieldName}"]`);
+      if (!field || field.disabled) {
+        customResults.delete(fieldName);
+        latestRuns.delete(fieldName);
+      } else if (valid !== true) {
+        allValid = false;
+      }
+    }
+    
+    // So do fields with unresolved server-side errors
+    if (form.querySelector('[data-server-error]')) {
+      allValid = false;
+    }
+    
     // Enable/disable submit button based on validation
     if (submitButton) {
       submitButton.disabled = !allValid;
@@ -83,87 +266,475 @@ export function initializeForm(formId) {
     return allValid;
   }
   
+  /**
+   * Run the custom validators declared for a field and record the result
+   * Results of runs superseded by a newer one (or by a reset) are ignored.
+   * @param {string} fieldName - Field name
+   * @param {Object} options - Options passed to runValidators (e.g. { immediate: true })
+   * @returns {Promise<boolean>} True if the field passes (or has no custom validators)
+   */
+  function runFieldValidators(fieldName, options = {}) {
+    const validatorConfigs = fieldValidators[fieldName];
+    const input = form.querySelector(`[name="${fieldName}"]`);
+    if (!validatorConfigs || !input) {
+      return Promise.resolve(true);
+    }
+    
+    // Disabled fields (e.g. hidden by a condition) are not submitted, so not validated
+    if (input.disabled) {
+      latestRuns.delete(fieldName);
+      customResults.delete(fieldName);
+      return Promise.resolve(true);
+    }
+    
+    const run = runValidators(input, validatorConfigs, form, options);
+    latestRuns.set(fieldName, run);
+    customResults.set(fieldName, null);
+    
+    return run.then(valid => {
+      if (latestRuns.get(fieldName) === run) {
+        latestRuns.delete(fieldName);
+        customResults.set(fieldName, valid);
+        validateFormFields();
+      }
+      return valid;
+    });
+  }
+  
+  /**
+   * Validate a field after user interaction, plus any already-touched
+   * fields whose validators reference it (e.g. matchField, dateRange)
+   * @param {HTMLElement} input - The changed input
+   */
+  function validateChangedField(input) {
+    input.classList.add('was-validated-field');
+    runFieldValidators(input.name);
+    
+    Object.entries(fieldValidators).forEach(([fieldName, validatorConfigs]) => {
+      if (fieldName === input.name) return;
+      if (!getValidatorDependencies(validatorConfigs).includes(input.name)) return;
+      
+      const dependent = form.querySelector(`[name="${fieldName}"]`);
+      if (dependent && dependent.classList.contains('was-validated-field')) {
+        runFieldValidators(fieldName);
+      }
+    });
+    
+    validateFormFields();
+  }
+  
+  /**
+   * Run custom validators on every declared field, skipping debounce
+   * and waiting for pending async checks
+   * @returns {Promise<boolean>} True if all fields pass
+   */
+  async function validateAllCustomFields() {
+    const runs = Object.keys(fieldValidators).map(fieldName => {
+      form.querySelector(`[name="${fieldName}"]`)?.classList.add('was-validated-field');
+      return runFieldValidators(fieldName, { immediate: true });
+    });
+    
+    return (await Promise.all(runs)).every(Boolean);
+  }
+  
+  // Form-level timezone and date output, read by getDateTimeOptions from the form element
+  const restoreDateSettings = applyDateSettings(form, config);
+  
   // Initialize Flatpickr on datetime inputs
   const dateTimeInputs = form.querySelectorAll('.flatpickr-input');
   const flatpickrInstances = [];
+  const timezoneIndicators = new Map();
+  
+  // Flatpickr strips its class and readonly on destroy; remember the original markup
+  const dateTimeInputStates = [...dateTimeInputs].map(input => ({
+    input,
+    className: input.className,
+    readOnly: input.readOnly
+  }));
   
-  dateTimeInputs.forEach(input => {
+  /**
+   * Attach Flatpickr to a datetime input
+   * @param {HTMLInputElement} input - Input with the flatpickr-input class
+   */
+  function initializeDateTimeInput(input) {
+    // Pickers follow the locale set with setLocale, unless flatpickrOptions sets one
+    const flatpickrLocale = getFlatpickrLocale();
     const flatpickrConfig = {
+      ...(flatpickrLocale ? { locale: flatpickrLocale } : {}),
       ...config.flatpickrOptions,
       onChange: (selectedDates, dateStr, instance) => {
         // Clear validation on change
         input.setCustomValidity('');
         input.classList.add('was-validated-field');
         
-        // Validate all fields and update button state
-        validateFormFields();
+        // Validate this field (and its dependents) and update button state
+        validateChangedField(input);
         
         // Call custom onChange if provided
-        if (config.onDateTimeChange && typeof window[config.onDateTimeChange] === 'function') {
-          window[config.onDateTimeChange](selectedDates, dateStr, instance, input);
-        }
+        callHandler('onDateTimeChange', selectedDates, dateStr, instance, input);
       }
     };
     
     const fp = flatpickr(input, flatpickrConfig);
     flatpickrInstances.push(fp);
+    
+    const removeIndicator = attachTimezoneIndicator(input);
+    if (removeIndicator) timezoneIndicators.set(input, removeIndicator);
+  }
+  
+  dateTimeInputs.forEach(initializeDateTimeInput);
+  
+  // Previews and drag-and-drop zones for file inputs
+  const restoreUploads = initializeUploads(form, signal);
+  
+  // Offline mode: send submissions queued earlier once the browser is online
+  if (config.offline) {
+    startQueueReplay();
+  }
+  
+  // Optional draft autosave; offers to restore a draft left by a previous visit
+  const autosave = config.autosave
+    ? createAutosave(form, config.autosave, {
+      isDirty: dirtyTracker.isDirty,
+      onSave: (draft) => events.emit('draftSaved', { draft }),
+      onRestore: (values) => events.emit('draftRestored', { values })
+    })
+    : null;
+  
+  // Wizard mode (set up below, once conditional rules have hidden skipped steps)
+  let wizard = null;
+  
+  // Conditional show/enable/required rules. Registered before the validation
+  // listeners below, so validation sees the updated required/disabled state
+  const conditions = initializeConditions(form, {
+    rules: config.conditions,
+    signal,
+    onChange: ({ target, rule, active }) => {
+      events.emit('conditionChange', { target, rule, active });
+      validateFormFields();
+      wizard?.refresh();
+    }
   });
   
-  // Add real-time validation for all required inputs
-  const allInputs = form.querySelectorAll('input[required], select[required], textarea[required]');
-  allInputs.forEach(input => {
-    // Validate on input/change
-    const eventType = input.tagName === 'SELECT' ? 'change' : 'input';
-    input.addEventListener(eventType, () => {
-      input.classList.add('was-validated-field');
+  // True while populate() sets values, so its events are not reported as edits
+  let populating = false;
+  
+  // Selects with data-options-source; values that arrive before their options
+  // are selected like populate() values (no fieldChange, part of the clean state)
+  const remoteOptions = initializeRemoteOptions(form, {
+    signal,
+    onLoad: ({ select, items, error }) => {
+      events.emit('optionsLoad', { name: select.name, select, items, error });
       validateFormFields();
+    },
+    applyValue: (select, apply) => {
+      const wasPopulating = populating;
+      populating = true;
+      try {
+        apply();
+      } finally {
+        populating = wasPopulating;
+        dirtyTracker.acceptField(select.name);
+      }
+    }
+  });
+  
+  // Searchable selects (select[data-combobox]); the select keeps the value
+  const comboboxes = initializeComboboxes(form);
+  
+  // Repeatable field groups: set up the fields of added rows, release those of removed rows.
+  // Rows added here to reach data-min are part of the initial state, not edits to autosave
+  const rowUploads = new Map();
+  populating = true;
+  initializeRepeaters(form, {
+    signal,
+    onAdd: (row) => {
+      row.querySelectorAll('.flatpickr-input').forEach(input => {
+        dateTimeInputStates.push({ input, className: input.className, readOnly: input.readOnly });
+        initializeDateTimeInput(input);
+      });
+      rowUploads.set(row, initializeUploads(row, signal));
+      remoteOptions.refresh();
+      comboboxes.refresh();
+    },
+    onRemove: (row) => {
+      flatpickrInstances
+        .filter(fp => row.contains(fp.input))
+        .forEach(fp => {
+          timezoneIndicators.get(fp.input)?.();
+          timezoneIndicators.delete(fp.input);
+          fp.destroy();
+          flatpickrInstances.splice(flatpickrInstances.indexOf(fp), 1);
+        });
+      rowUploads.get(row)?.();
+      rowUploads.delete(row);
+    },
+    onChange: ({ action, row, index, repeater }) => {
+      refreshDynamicForm(form);
+      conditions.evaluate();
+      refreshFieldValidators();
+      events.emit('rowChange', { action, row, index, repeater: repeater.name });
+      dirtyTracker.update();
+      if (!populating) autosave?.schedule();
+    }
+  });
+  populating = false;
+  
+  // Rows added to reach data-min belong to the initial state
+  dirtyTracker.snapshot();
+  
+  /**
+   * Validate the fields of one wizard step (custom validators and HTML5 constraints)
+   * @param {HTMLElement} step - Step element
+   * @returns {Promise<boolean>} True if every enabled field in the step is valid
+   */
+  async function validateStep(step) {
+    const controls = [...step.querySelectorAll('input, select, textarea')]
+      .filter(input => input.name && !input.disabled);
+    const fieldNames = [...new Set(controls.map(input => input.name))];
+    
+    const runs = fieldNames.filter(fieldName => fieldValidators[fieldName]).map(fieldName => {
+      return runFieldValidators(fieldName, { immediate: true });
     });
+    const customValid = (await Promise.all(runs)).every(Boolean);
     
-    // Validate on blur
-    input.addEventListener('blur', () => {
-      input.classList.add('was-validated-field');
-      validateFormFields();
+    controls.forEach(input => input.classList.add('was-validated-field'));
+    const html5Valid = controls.every(input => input.checkValidity());
+    
+    step.classList.toggle('was-validated', !customValid || !html5Valid);
+    validateFormFields();
+    return customValid && html5Valid;
+  }
+  
+  // Multi-step mode: <fieldset data-step> sections shown one at a time. Registered
+  // before the submit handler, so Enter on an earlier step moves to the next step
+  if (config.wizard) {
+    wizard = initializeWizard(form, {
+      ...(typeof config.wizard === 'object' ? config.wizard : {}),
+      signal,
+      validate: validateStep,
+      onChange: ({ from, to, step }) => events.emit('stepChange', { from, to, step })
     });
-  });
+  }
+  
+  /**
+   * Saved (or queued) values become the new baseline; reset the form if configured
+   */
+  function completeSubmission() {
+    autosave?.clear();
+    dirtyTracker.snapshot();
+    
+    if (config.resetOnSuccess !== false) {
+      form.reset();
+      formHelpers.resetValidation(form);
+      
+      // Reset Flatpickr instances
+      flatpickrInstances.forEach(fp => fp.clear());
+    }
+  }
+  
+  /**
+   * Store a submission in the offline queue and report it
+   * @param {string} method - HTTP method
+   * @param {Object} data - Submission payload
+   * @param {Object} requestOptions - Transport options for this submission
+   * @returns {Promise<boolean>} True if the submission was queued
+   */
+  async function queueForReplay(method, data, requestOptions) {
+    const { transport, onUploadProgress, idempotencyKey, ...callOptions } = requestOptions;
+    
+    let submission;
+    try {
+      submission = await queueSubmission({
+        url: config.action,
+        method: method,
+        data: data,
+        options: { ...config.transport, ...callOptions },
+        formId: form.id,
+        idempotencyKey: idempotencyKey
+      });
+    } catch (error) {
+      console.error('Unable to queue submission:', error);
+      return false;
+    }
+    
+    if (config.showToast) {
+      formHelpers.showToast(t('submit.queued'), 'info');
+    }
+    
+    events.emit('submitQueued', { submission, data });
+    completeSubmission();
+    return true;
+  }
+  
+  /**
+   * Real-time validation for required inputs and inputs with custom validators.
+   * Delegated on the form so fields added after initialization are covered.
+   * @param {Event} e - input, change or focusout event
+   */
+  const handleFieldEvent = (e) => {
+    const input = e.target;
+    if (!input.name || !['INPUT', 'SELECT', 'TEXTAREA'].includes(input.tagName)) return;
+    
+    // Editing clears an error reported by the server for this field
+    if (e.type !== 'focusout' && hasFieldError(input)) {
+      clearFieldErrors(form, input.name);
+      validateFormFields();
+    }
+    
+    // Editing clears a message left by the submit pipeline (e.g. a date range error);
+    // custom validators manage their own messages, and leaving the field is no edit
+    if (!fieldValidators[input.name] && e.type !== 'focusout') {
+      input.setCustomValidity('');
+    }
+    
+    if (!input.required && !fieldValidators[input.name]) return;
+    
+    // Selects validate on change, text inputs on input; everything on blur
+    if (e.type === 'input' && input.tagName === 'SELECT') return;
+    if (e.type === 'change' && input.tagName !== 'SELECT') return;
+    
+    validateChangedField(input);
+  };
+  
+  form.addEventListener('input', handleFieldEvent, { signal });
+  form.addEventListener('change', handleFieldEvent, { signal });
+  form.addEventListener('focusout', handleFieldEvent, { signal });
+  
+  /**
+   * Emit fieldChange for user edits. Text entry reports on input; selects,
+   * checkboxes, radios, files and Flatpickr inputs report on change.
+   * @param {Event} e - input or change event
+   */
+  const handleFieldChange = (e) => {
+    const input = e.target;
+    if (!input.name || !['INPUT', 'SELECT', 'TEXTAREA'].includes(input.tagName)) return;
+    if ((e.type === 'input') !== isTextEntry(input)) return;
+    if (populating) return;
+    
+    events.emit('fieldChange', { name: input.name, value: getFieldValue(input), input });
+    dirtyTracker.update();
+    autosave?.schedule();
+  };
+  
+  form.addEventListener('input', handleFieldChange, { signal });
+  form.addEventListener('change', handleFieldChange, { signal });
   
   // Initial validation check (disable button if fields are empty)
   validateFormFields();
   
-  // Handle form submission
-  form.addEventListener('submit', async (e) => {
-    e.preventDefault();
+  /**
+   * Validate, prepare and send the form
+   */
+  async function handleSubmit() {
+    // The server re-checks everything, so previous server-side errors no longer apply
+    clearFieldErrors(form);
+    
+    events.emit('beforeValidate', {});
     
-    // Validate form
-    if (!formHelpers.validateForm(form)) {
+    // Validate form (custom validators first so their messages are set)
+    const customValid = await validateAllCustomFields();
+    if (signal.aborted) return; // Destroyed while async validators were running
+    
+    const html5Valid = formHelpers.validateForm(form);
+    events.emit('validated', { valid: customValid && html5Valid });
+    
+    if (!customValid || !html5Valid) {
+      form.classList.add('was-validated');
+      validateFormFields();
+      
+      // In wizard mode, go back to the step with the first invalid field
+      wizard?.showStepOf(form.querySelector(':invalid, .is-invalid'));
       return;
     }
     
-    // Get form data
-    const formData = formHelpers.getFormData(form);
+    // Get form data keyed by field name (typed when config.coerce, nested after the diff step)
+    const formData = formHelpers.getFormData(form, {
+      coerce: config.coerce === true,
+      emptyAsNull: config.emptyAsNull === true,
+      nested: false
+    });
     
-    // Validate datetime range
-    const dateValidation = formHelpers.validateDateTimeRange(
-      formData.startDateTime,
-      formData.endDateTime
-    );
+    // Validate date ranges and apply transforms declared in config
+    const submission = prepareSubmission(form, config, formData);
     
-    if (!dateValidation.valid) {
-      const endInput = form.querySelector('[name="endDateTime"]');
-      endInput.setCustomValidity(dateValidation.message);
+    if (!submission.valid) {
       form.classList.add('was-validated');
+      wizard?.showStepOf(form.querySelector(`[name="${submission.errors[0].field}"]`));
       
       if (config.showToast) {
-        formHelpers.showToast(dateValidation.message, 'error');
+        formHelpers.showToast(submission.errors[0].message, 'error');
       }
       return;
     }
     
-    // Format datetimes for API
-    const submissionData = {
-      ...formData,
-      startDateTime: formHelpers.formatDateTimeForAPI(formData.startDateTime),
-      endDateTime: formHelpers.formatDateTimeForAPI(formData.endDateTime)
-    };
+    // In diff mode, send only what changed since the form was populated
+    let payload = submission.data;
+    let method = config.method;
+    
+    // Per-form transport settings: data-form-config first, then options (may hold functions)
+    const requestOptions = { transport: [config.transport, options.transport] };
+    
+    if (config.submitMode === 'diff') {
+      const changedFields = dirtyTracker.getChangedFields();
+      if (changedFields.length === 0) {
+        if (config.showToast) {
+          formHelpers.showToast(t('submit.noChanges'), 'info');
+        }
+        return;
+      }
+      
+      const diff = {
+        changedFields,
+        initialValues: dirtyTracker.getInitialValues(),
+        currentValues: readFormValues(form),
+        alwaysInclude: config.alwaysInclude || []
+      };
+      
+      if (config.diffFormat === 'json-patch') {
+        payload = toJsonPatch(submission.data, diff);
+        requestOptions.encoding = 'json';
+        requestOptions.headers = { 'Content-Type': JSON_PATCH_CONTENT_TYPE };
+      } else {
+        payload = buildDiffPayload(submission.data, diff);
+      }
+      method = method || 'PATCH';
+    }
+    
+    // Dotted/bracketed field names become nested objects (JSON Patch paths already are)
+    if (config.nested === true && !Array.isArray(payload)) {
+      payload = nestFormData(payload);
+    }
+    
+    // Listeners may modify or replace the payload, or veto the submission
+    const submitDetail = { data: payload, config };
+    if (!events.emit('beforeSubmit', submitDetail, { cancelable: true })) {
+      return;
+    }
+    
+    // Without an action there is nowhere to send to; beforeSubmit listeners take the data
+    if (!config.action) {
+      return;
+    }
+    
+    const submissionData = submitDetail.data;
+    
+    // One idempotency key per submission, shared by retries and by a queued replay
+    if (config.offline) {
+      requestOptions.idempotencyKey = createIdempotencyKey();
+      
+      if (isOffline() && await queueForReplay(method, submissionData, requestOptions)) {
+        return;
+      }
+    }
+    
+    // Show upload percentage instead of the static spinner when sending files
+    if (containsFiles(submissionData)) {
+      requestOptions.onUploadProgress = (progress) => {
+        formHelpers.setButtonProgress(submitButton, progress.percent);
+        events.emit('uploadProgress', progress);
+      };
+    }
     
     try {
       // Show loading state
@@ -172,75 +743,125 @@ export function initializeForm(formId) {
       // Submit data
       const response = await formHelpers.submitFormData(
         config.action,
-        config.method,
-        submissionData
+        method,
+        submissionData,
+        requestOptions
       );
       
       // Handle success
       if (config.showToast) {
         formHelpers.showToast(
-          response.message || 'Request submitted successfully!',
+          response.message || t('submit.success'),
           'success'
         );
       }
       
       // Call success callback if provided
-      if (config.onSuccess && typeof window[config.onSuccess] === 'function') {
-        window[config.onSuccess](response, submissionData);
-      }
+      callHandler('onSuccess', response, submissionData);
+      events.emit('submitSuccess', { response, data: submissionData });
       
-      // Reset form if configured
-      if (config.resetOnSuccess !== false) {
-        form.reset();
-        formHelpers.resetValidation(form);
-        
-        // Reset Flatpickr instances
-        flatpickrInstances.forEach(fp => fp.clear());
+      completeSubmission();
+    
+    } catch (error) {
+      // Offline mode: keep submissions that could not reach the server
+      if (config.offline && error instanceof FormSubmitError && ['NETWORK', 'TIMEOUT'].includes(error.code)) {
+        if (await queueForReplay(method, submissionData, requestOptions)) {
+          return;
+        }
       }
       
-    } catch (error) {
       // Handle error
       console.error('Form submission error:', error);
       
-      if (config.showToast) {
-        formHelpers.showToast(
-          error.message || 'An error occurred while submitting the request.',
-          'error'
-        );
+      let errorMessage = error.message || t('submit.error');
+      
+      // Show per-field errors (e.g. from a 422 response) on the matching inputs;
+      // messages for fields not in the form are added to the toast
+      if (error instanceof FormSubmitError && error.hasFieldErrors()) {
+        const unmatched = applyFieldErrors(form, error.fieldErrors);
+        unmatched.forEach(name => {
+          errorMessage += ` ${error.fieldErrors[name].join(' ')}`;
+        });
+        wizard?.showStepOf(form.querySelector('[data-server-error]'));
+        form.querySelector('[data-server-error]')?.focus();
       }
       
-      // Call error callback if provided
-      if (config.onError && typeof window[config.onError] === 'function') {
-        window[config.onError](error, submissionData);
+      if (config.showToast) {
+        formHelpers.showToast(errorMessage, 'error');
       }
       
+      // Call error callback if provided
+      callHandler('onError', error, submissionData);
+      events.emit('submitError', { error, data: submissionData });
+    
     } finally {
-      // Hide loading state
+      // Hide loading state, keeping the button disabled while fields are invalid
       formHelpers.setButtonLoading(submitButton, false);
+      validateFormFields();
     }
-  });
+  }
+  
+  // True from submit until the request settles (validation may be async)
+  let submitting = false;
+  
+  // Handle form submission
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    
+    // Ignore repeated submits while one is still validating or being sent
+    if (submitting) return;
+    
+    submitting = true;
+    try {
+      await handleSubmit();
+    } finally {
+      submitting = false;
+    }
+  }, { signal });
   
   // Handle form reset
   form.addEventListener('reset', () => {
     formHelpers.resetValidation(form);
     flatpickrInstances.forEach(fp => fp.clear());
     
-    // Remove validation classes
+    // Remove validation classes, custom validator results and server-side errors
+    customResults.clear();
+    latestRuns.clear();
+    clearFieldErrors(form);
     const allInputs = form.querySelectorAll('input, select, textarea');
     allInputs.forEach(input => {
-      input.classList.remove('is-valid', 'is-invalid', 'was-validated-field');
+      clearValidationState(input);
+      input.classList.remove('was-validated-field');
     });
     
     // Re-validate to disable submit button
     validateFormFields();
-  });
+    
+    // The reset event fires before controls are reset, so snapshot afterwards
+    queueMicrotask(() => {
+      if (!signal.aborted) dirtyTracker.snapshot();
+    });
+    events.emit('reset', {});
+  }, { signal });
   
-  // Return form instance with utility methods
-  return {
+  // Form instance with utility methods
+  const instance = {
     form: form,
     config: config,
     flatpickrInstances: flatpickrInstances,
     
+    /**
+     * Wizard handle (next, back, goTo, getCurrentStep), or null without wizard mode
+     */
+    wizard: wizard,
+    
+    /**
+     * Reload remote select options
+     * @param {string} name - Field name (omit to reload every select with data-options-source)
+     * @returns {Promise<void>} Resolves when loaded
+     */
+    reloadOptions: (name) => remoteOptions.reload(name),
+    
     /**
      * Programmatically submit the form
      */
@@ -256,20 +877,174 @@ export function initializeForm(formId) {
     },
     
     /**
-     * Populate form with data
+     * Populate form with data (nested objects and arrays are supported)
      * @param {Object} data - Data to populate
+     * @returns {Array<string>} Data keys with no matching field
      */
     populate: (data) => {
-      formHelpers.populateForm(form, data);
+      // Programmatic values are not user edits: no fieldChange, autosave or dirty state
+      populating = true;
+      try {
+        return formHelpers.populateForm(form, data);
+      } finally {
+        populating = false;
+        dirtyTracker.snapshot();
+      }
     },
     
+    /**
+     * Whether the form differs from its values at load, reset, populate or last save
+     * @returns {boolean} Dirty state
+     */
+    isDirty: () => dirtyTracker.isDirty(),
+    
+    /**
+     * Names of fields changed since load, reset, populate or last save
+     * @returns {Array<string>} Changed field names
+     */
+    getChangedFields: () => dirtyTracker.getChangedFields(),
+    
+    /**
+     * Accept the current values as unchanged (e.g. after saving elsewhere)
+     */
+    markClean: () => dirtyTracker.snapshot(),
+    
+    /**
+     * Listen to a lifecycle event
+     * @param {string} name - Event name (e.g. 'beforeSubmit', 'submitSuccess')
+     * @param {Function} fn - Listener (detail, event) => void|false
+     * @returns {Function} Function that removes the listener
+     */
+    on: events.on,
+    
+    /**
+     * Listen to a lifecycle event once
+     * @param {string} name - Event name
+     * @param {Function} fn - Listener
+     * @returns {Function} Function that removes the listener
+     */
+    once: events.once,
+    
+    /**
+     * Remove a lifecycle event listener
+     * @param {string} name - Event name
+     * @param {Function} fn - Listener (omit to remove all for the event)
+     */
+    off: events.off,
+    
     /**
      * Destroy the form instance and cleanup
+     * 
+     * Removes every listener added by initializeForm, destroys Flatpickr
+     * instances, tears down dynamic form enhancements (counters, tooltips)
+     * and restores the original DOM state so the form can be re-initialized.
      */
     destroy: () => {
+      if (signal.aborted) return;
+      
+      listenerController.abort();
+      events.clear();
+      restoreUploads();
+      autosave?.destroy();
+      conditions.destroy();
+      wizard?.destroy();
+      comboboxes.destroy();
+      removeUnsavedGuard?.();
+      form.classList.remove('dirty');
+      
+      timezoneIndicators.forEach(remove => remove());
+      timezoneIndicators.clear();
       flatpickrInstances.forEach(fp => fp.destroy());
+      flatpickrInstances.length = 0;
+      dateTimeInputStates.forEach(({ input, className, readOnly }) => {
+        input.className = className;
+        input.readOnly = readOnly;
+      });
+      
+      customResults.clear();
+      latestRuns.clear();
+      clearFieldErrors(form);
+      form.classList.remove('was-validated');
+      form.querySelectorAll('input, select, textarea').forEach(input => {
+        clearValidationState(input);
+        input.classList.remove('was-validated-field');
+      });
+      
+      if (submitButton) {
+        if (submitButton.dataset.originalText !== undefined) {
+          submitButton.innerHTML = submitButton.dataset.originalText;
+          delete submitButton.dataset.originalText;
+        }
+        submitButton.disabled = submitButtonWasDisabled;
+      }
+      
+      restoreDateSettings();
+      destroyDynamicForm(form);
+      formInstances.delete(form);
     }
   };
+  
+  formInstances.set(form, instance);
+  return instance;
+}
+
+/**
+ * Write config.timezone and config.dateOutput to the form element
+ * (data-timezone, data-date-output) unless the markup already sets them
+ * @param {HTMLFormElement} form - The form element
+ * @param {Object} config - Form configuration
+ * @returns {Function} Removes the attributes that were added
+ * @private
+ */
+function applyDateSettings(form, config) {
+  const added = [];
+  
+  [['timezone', config.timezone], ['dateOutput', config.dateOutput]].forEach(([key, value]) => {
+    if (value && form.dataset[key] === undefined) {
+      form.dataset[key] = value;
+      added.push(key);
+    }
+  });
+  
+  return () => added.forEach(key => delete form.dataset[key]);
+}
+
+/**
+ * Check whether an element is edited by typing (reports changes on input)
+ * @param {HTMLElement} input - Form control
+ * @returns {boolean} True for textareas and text-like inputs (not Flatpickr)
+ * @private
+ */
+function isTextEntry(input) {
+  if (input.tagName === 'TEXTAREA') return true;
+  if (input.tagName !== 'INPUT' || input.classList.contains('flatpickr-input')) return false;
+  return ['text', 'email', 'password', 'search', 'tel', 'url', 'number'].includes(input.type);
+}
+
+/**
+ * Get the current value of a named field, as getFormData would report it
+ * @param {HTMLElement} input - Form control
+ * @returns {*} Field value (boolean for single checkboxes, array for groups)
+ * @private
+ */
+function getFieldValue(input) {
+  const form = input.form;
+  
+  if (input.type === 'checkbox') {
+    const group = form ? form.querySelectorAll(`input[type="checkbox"][name="${input.name}"]`) : [input];
+    if (group.length <= 1) return input.checked;
+    return [...group].filter(box => box.checked).map(box => box.value);
+  }
+  
+  if (input.type === 'radio') {
+    return form?.querySelector(`input[type="radio"][name="${input.name}"]:checked`)?.value ?? null;
+  }
+  
+  if (input.tagName === 'SELECT' && input.multiple) {
+    return [...input.selectedOptions].map(option => option.value);
+  }
+  
+  return input.value;
 }
 
 /**
@@ -280,7 +1055,7 @@ export function initializeAllForms() {
   const instances = [];
   
   forms.forEach(form => {
-    const instance = initializeForm(form.id);
+    const instance = initializeForm(form);
     if (instance) {
       instances.push(instance);
     }
@@ -291,47 +1066,41 @@ export function initializeAllForms() {
 
 /**
  * Load app data dynamically and populate select
- * Useful for forms rendered without server-side app data
+ * Useful for forms rendered without server-side app data.
+ * For other data, use data-options-source on the select (see form-feature-options.js)
+ * or pass the field name and mapping here.
  * @param {string} formId - Form ID
  * @param {string|Array} dataSource - API endpoint or array of apps
+ * @param {Object} options - Field and mapping (see loadSelectOptions)
+ * @param {string} options.field - Select name (default: 'appId')
+ * @returns {Promise<Array>} The loaded items (empty on failure)
  */
-export async function loadAndPopulateApps(formId, dataSource) {
+export async function loadAndPopulateApps(formId, dataSource, options = {}) {
   const form = document.getElementById(formId);
   if (!form) {
     console.error(`Form with ID "${formId}" not found`);
-    return;
+    return [];
   }
   
-  const appSelect = form.querySelector('[name="appId"]');
+  const { field = 'appId', ...mapping } = options;
+  const appSelect = form.querySelector(`[name="${field}"]`);
   if (!appSelect) {
     console.error('App selector not found in form');
-    return;
+    return [];
   }
   
   try {
-    // Show loading state
-    appSelect.disabled = true;
-    appSelect.innerHTML = '<option value="">Loading applications...</option>';
-    
-    // Load data
-    const apps = await formHelpers.loadAppData(dataSource);
-    
-    // Clear and repopulate
-    appSelect.innerHTML = '<option value="" selected disabled>Select an application...</option>';
-    
-    apps.forEach(app => {
-      const option = document.createElement('option');
-      option.value = app.id;
-      option.textContent = `${app.iGateApp} - ${app.cetApp} (ID: ${app.id})`;
-      appSelect.appendChild(option);
+    return await loadSelectOptions(appSelect, dataSource, {
+      value: 'id',
+      template: '{iGateApp} - {cetApp} (ID: {id})',
+      placeholder: t('apps.placeholder'),
+      loadingText: t('apps.loading'),
+      errorText: t('apps.error'),
+      ...mapping
     });
-    
-    appSelect.disabled = false;
-    
   } catch (error) {
-    console.error('Error loading app data:', error);
-    appSelect.innerHTML = '<option value="">Error loading applications</option>';
-    formHelpers.showToast('Failed to load applications', 'error');
+    formHelpers.showToast(t('apps.failed'), 'error');
+    return [];
   }
 }
 
@@ -0,0 +1,159 @@
+/**
+ * File: form-observer.js
+ * Created: 2026-10-19
+ * Last Modified: 2026-10-19
+ * 
+ * Form Observer Module
+ * 
+ * Opt-in auto-initialization for forms inserted after page load (modals
+ * loaded via fetch, htmx swaps, tab panes). A MutationObserver initializes
+ * matching forms when they appear and destroys them when they are removed.
+ * 
+ * OBSERVED FORMS:
+ * - form[data-form-config]                  -> initializeForm
+ * - form.dynamic-form[data-auto-init="true"] -> initializeDynamicForm
+ * 
+ * USAGE:
+ * import { observeForms } from '@mfribeiro/form-kit';
+ * const stop = observeForms();
+ * // later: stop();
+ * 
+ * @module form-kit/core/form-observer
+ */
+
+'use strict';
+
+import { initializeForm, getFormInstance } from './form-init.js';
+import { initializeDynamicForm, destroyDynamicForm } from './form-dynamic.js';
+
+/**
+ * Selectors for forms managed by the observer
+ * @private
+ */
+const FORM_SELECTOR = 'form[data-form-config]';
+const DYNAMIC_FORM_SELECTOR = 'form.dynamic-form[data-auto-init="true"]';
+
+/**
+ * Active observer, if any
+ * @private
+ */
+let observer = null;
+
+/**
+ * Start observing the DOM for inserted and removed forms
+ * 
+ * Forms already present under the root are initialized immediately.
+ * Calling it again while observing restarts the observer on the new root.
+ * 
+ * @param {Object} options - Observer options
+ * @param {HTMLElement} options.root - Subtree to observe (default: document.body)
+ * @returns {Function} Function that stops observing
+ * 
+ * @example
+ * observeForms({ root: document.getElementById('app') });
+ */
+export function observeForms(options = {}) {
+  const root = options.root || document.body;
+  
+  stopObservingForms();
+  
+  initializeFormsIn(root);
+  
+  observer = new MutationObserver(handleMutations);
+  observer.observe(root, { childList: true, subtree: true });
+  
+  return stopObservingForms;
+}
+
+/**
+ * Stop observing the DOM
+ * Forms initialized so far stay initialized.
+ */
+export function stopObservingForms() {
+  if (observer) {
+    observer.disconnect();
+    observer = null;
+  }
+}
+
+/**
+ * Check whether the observer is running
+ * @returns {boolean} True if observing
+ */
+export function isObservingForms() {
+  return observer !== null;
+}
+
+/**
+ * Process a batch of mutations: removals first, so forms moved within the
+ * DOM (removed and re-inserted in the same batch) stay initialized
+ * @param {Array<MutationRecord>} mutations - Mutation records
+ * @private
+ */
+function handleMutations(mutations) {
+  mutations.forEach(mutation => {
+    mutation.removedNodes.forEach(node => destroyFormsIn(node));
+  });
+  
+  mutations.forEach(mutation => {
+    mutation.addedNodes.forEach(node => initializeFormsIn(node));
+  });
+}
+
+/**
+ * Initialize managed forms in (or equal to) a node
+ * @param {Node} node - Added node
+ * @private
+ */
+function initializeFormsIn(node) {
+  findForms(node, DYNAMIC_FORM_SELECTOR).forEach(form => {
+    const configAttr = form.getAttribute('data-form-config');
+    let config = {};
+    try {
+      config = configAttr ? JSON.parse(configAttr) : {};
+    } catch (error) {
+      console.error('Invalid data-form-config:', error);
+    }
+    initializeDynamicForm(form, config);
+  });
+  
+  findForms(node, FORM_SELECTOR).forEach(form => {
+    initializeForm(form);
+  });
+}
+
+/**
+ * Destroy managed forms in (or equal to) a node that left the document
+ * @param {Node} node - Removed node
+ * @private
+ */
+function destroyFormsIn(node) {
+  const forms = new Set([
+    ...findForms(node, FORM_SELECTOR),
+    ...findForms(node, DYNAMIC_FORM_SELECTOR)
+  ]);
+  
+  forms.forEach(form => {
+    if (form.isConnected) return;
+    
+    getFormInstance(form)?.destroy();
+    destroyDynamicForm(form);
+  });
+}
+
+/**
+ * Find elements matching a selector in a node, including the node itself
+ * @param {Node} node - Root node
+ * @param {string} selector - CSS selector
+ * @returns {Array<Element>} Matching elements
+ * @private
+ */
+function findForms(node, selector) {
+  if (node.nodeType !== Node.ELEMENT_NODE) return [];
+  
+  const matches = [...node.querySelectorAll(selector)];
+  if (node.matches(selector)) {
+    matches.unshift(node);
+  }
+  return matches;
+}
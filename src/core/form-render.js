@@ -0,0 +1,886 @@
+/**
+ * File: form-render.js
+ * Created: 2026-10-19
+ * Last Modified: 2026-10-19
+ * 
+ * Client-Side Form Renderer
+ * 
+ * Builds a complete Bootstrap 5 form from a schema object or YAML string.
+ * The generated markup matches what the dynamic-form.ejs partial produces,
+ * so character counters, tooltips, Flatpickr and validation behave exactly
+ * as they do for server-rendered forms. No EJS server is required.
+ * 
+ * SCHEMA FORMAT:
+ * {
+ *   id: 'appForm',                  // Form ID (generated if omitted)
+ *   className: 'row g-3',           // Extra classes for the <form>
+ *   config: { action, method },     // Written to data-form-config (optional, default {}), e.g. also { timezone, dateOutput }
+ *   submit: 'Save',                 // Submit label, or { label, className }, or false
+ *   reset: 'Clear',                 // Reset label, or { label, className } (optional)
+ *   fields: [
+ *     {
+ *       name: 'notes',              // Required
+ *       type: 'textarea',           // See FIELD TYPES below (default: 'text')
+ *       label: 'Notes',
+ *       required: true,
+ *       placeholder: 'Anything else?',
+ *       help: 'Shown as a tooltip next to the label',
+ *       helpText: 'Shown below the input',
+ *       invalidFeedback: 'Please add some notes',
+ *       value: '',                  // Initial value (array for checkbox groups)
+ *       maxlength: 500,             // Textareas get a .char-count counter
+ *       options: ['a', { value: 'b', label: 'B' }],  // select/radio/checkbox groups
+ *       optionsSource: '/api/regions?country={country}',  // Remote select options, or { url, value, label, template, group }
+ *       source: '/api/apps?q={query}',  // Combobox search URL, or { url, value, label, template, path, lookup, minChars, debounce }
+ *       flatpickr: { minDate: 'today' },             // Per-field Flatpickr options
+ *       validators: ['phone'],      // Custom validators (written to data-validators)
+ *       dataType: 'integer',        // Type for getFormData (written to data-type)
+ *       timezone: 'Europe/Lisbon',  // Date fields: timezone and API output (data-timezone,
+ *       dateOutput: 'local',        // data-date-output; see form-datetime.js)
+ *       showIf: { field: 'plan', equals: 'pro' },   // Also enableIf, requiredIf (see form-feature-conditions.js)
+ *       attributes: { rows: 6 }     // Any other attributes, copied verbatim
+ *     }
+ *   ]
+ * }
+ * 
+ * STEPS (wizard mode, see form-feature-wizard.js):
+ * Instead of fields, a schema may declare steps, each rendered as a
+ * <fieldset data-step> with a legend. config.wizard is enabled automatically.
+ * steps: [
+ *   { title: 'Account', fields: [...] },
+ *   { title: 'Company', showIf: 'accountType=business', fields: [...] }
+ * ]
+ * 
+ * FIELD TYPES:
+ * - Native inputs: text, email, password, number, tel, url, hidden, color, range
+ * - textarea, select
+ * - combobox: searchable select (see form-feature-combobox.js); searches its options,
+ *   or source when given. { type: 'combobox', name: 'tags', multiple: true, freeText: true }
+ * - checkbox (single, or a group when options are given), radio
+ * - datetime, date, time: text inputs enhanced with Flatpickr
+ * - file: supports accept, multiple, preview: true and dropzone: true or 'Zone text'
+ * - repeater: repeatable group of sub-fields, named name[i].field
+ *   { type: 'repeater', name: 'contacts', fields: [...], min, max, addLabel, removeLabel, reorder }
+ * 
+ * USAGE:
+ * import { renderForm } from '@mfribeiro/form-kit';
+ * const { form } = renderForm('#formContainer', schema);
+ * 
+ * @module form-kit/core/form-render
+ */
+
+'use strict';
+
+import { initializeForm } from './form-init.js';
+import { initializeDynamicForm } from './form-dynamic.js';
+import { t } from '../helpers/form-i18n.js';
+
+/**
+ * Flatpickr defaults for the date/time field types
+ * @private
+ */
+const FLATPICKR_TYPES = {
+  datetime: { enableTime: true, dateFormat: 'Y-m-d H:i' },
+  date: { dateFormat: 'Y-m-d' },
+  time: { enableTime: true, noCalendar: true, dateFormat: 'H:i' }
+};
+
+/**
+ * Default data-type of field types whose value getFormData should parse
+ * @private
+ */
+const DATA_TYPES = {
+  datetime: 'datetime',
+  date: 'date'
+};
+
+/**
+ * Schema keys written as conditional rule attributes
+ * @private
+ */
+const CONDITION_ATTRIBUTES = {
+  showIf: 'data-show-if',
+  enableIf: 'data-enable-if',
+  requiredIf: 'data-required-if'
+};
+
+/**
+ * optionsSource keys written as remote options attributes
+ * @private
+ */
+const OPTIONS_SOURCE_ATTRIBUTES = {
+  value: 'data-options-value',
+  label: 'data-options-label',
+  template: 'data-options-template',
+  group: 'data-options-group',
+  path: 'data-options-path',
+  dependsOn: 'data-options-depends-on',
+  cache: 'data-options-cache'
+};
+
+/**
+ * Combobox source keys written as attributes
+ * @private
+ */
+const COMBOBOX_ATTRIBUTES = {
+  value: 'data-options-value',
+  label: 'data-options-label',
+  template: 'data-options-template',
+  path: 'data-options-path',
+  lookup: 'data-combobox-lookup',
+  minChars: 'data-combobox-min-chars',
+  debounce: 'data-combobox-debounce'
+};
+
+/**
+ * Counter used to generate unique form IDs
+ * @private
+ */
+let formCounter = 0;
+
+/**
+ * Render a form from a schema into a container
+ * 
+ * Builds the form markup, inserts it into the container and initializes it
+ * with initializeDynamicForm (counters, tooltips) and initializeForm
+ * (submission, validation, Flatpickr). Without a schema `config`, the form
+ * has no action: it validates and emits beforeSubmit, but sends nothing.
+ * 
+ * @param {HTMLElement|string} container - Container element, element ID or CSS selector
+ * @param {Object|string} schema - Schema object, or a YAML/JSON string
+ * @param {Object} options - Render options
+ * @param {boolean} options.replace - Replace the container contents (default: true)
+ * @param {boolean} options.initialize - Initialize the rendered form (default: true)
+ * @returns {Object} { form, instance } - The form element and its instance (null when not initialized)
+ * @throws {Error} If the container is not found or the schema is invalid
+ * 
+ * @example
+ * const { form, instance } = renderForm('formContainer', `
+ * id: contactForm
+ * config:
+ *   action: /api/contact
+ *   method: POST
+ * fields:
+ *   - name: email
+ *     type: email
+ *     label: Email
+ *     required: true
+ * `);
+ */
+export function renderForm(container, schema, options = {}) {
+  const target = resolveContainer(container);
+  if (!target) {
+    throw new Error(`Form container "${container}" not found`);
+  }
+  
+  const parsedSchema = parseSchema(schema);
+  const form = buildForm(parsedSchema);
+  
+  if (options.replace !== false) {
+    target.replaceChildren();
+  }
+  target.appendChild(form);
+  
+  let instance = null;
+  if (options.initialize !== false) {
+    instance = initializeRenderedForm(form, parsedSchema);
+  }
+  
+  return { form, instance };
+}
+
+/**
+ * Parse a schema from a YAML/JSON string, or validate a schema object
+ * 
+ * YAML parsing requires js-yaml to be loaded globally (window.jsyaml),
+ * like Bootstrap and Flatpickr. JSON strings are always supported.
+ * 
+ * @param {Object|string} schema - Schema object or string
+ * @returns {Object} Parsed schema
+ * @throws {Error} If the schema cannot be parsed or has no fields or steps array
+ */
+export function parseSchema(schema) {
+  let parsed = schema;
+  
+  if (typeof schema === 'string') {
+    const source = schema.trim();
+    
+    if (source.startsWith('{')) {
+      parsed = JSON.parse(source);
+    } else if (window.jsyaml && typeof window.jsyaml.load === 'function') {
+      parsed = window.jsyaml.load(source);
+    } else {
+      throw new Error('YAML schemas require js-yaml to be loaded (window.jsyaml)');
+    }
+  }
+  
+  if (parsed && Array.isArray(parsed.steps)) {
+    return { ...parsed, fields: parsed.steps.flatMap(step => step.fields || []) };
+  }
+  
+  if (!parsed || !Array.isArray(parsed.fields)) {
+    throw new Error('Form schema must have a "fields" or "steps" array');
+  }
+  
+  return parsed;
+}
+
+/**
+ * Build the form element from a parsed schema
+ * @param {Object} schema - Parsed schema
+ * @returns {HTMLFormElement} The form element (not yet in the DOM)
+ */
+export function buildForm(schema) {
+  const form = document.createElement('form');
+  form.id = schema.id || `formKitForm${++formCounter}`;
+  form.className = ['dynamic-form', schema.className].filter(Boolean).join(' ');
+  form.noValidate = true;
+  
+  // Without a schema config the form still gets one, so initializeForm sets it up
+  const config = { ...schema.config };
+  if (schema.steps && !config.wizard) {
+    config.wizard = true;
+  }
+  form.dataset.formConfig = JSON.stringify(config);
+  
+  if (schema.steps) {
+    schema.steps.forEach((step, index) => {
+      form.appendChild(buildStep(form.id, step, index));
+    });
+  } else {
+    appendFields(form, form.id, schema.fields);
+  }
+  
+  const actions = buildActions(schema);
+  if (actions) {
+    form.appendChild(actions);
+  }
+  
+  return form;
+}
+
+/**
+ * Append the wrappers of a list of fields
+ * @param {HTMLElement} parent - Form or step element
+ * @param {string} formId - Form ID, used to derive element IDs
+ * @param {Array<Object>} fields - Field definitions
+ * @private
+ */
+function appendFields(parent, formId, fields) {
+  fields.forEach(field => {
+    if (!field || !field.name) {
+      console.warn('Form schema field without a name skipped:', field);
+      return;
+    }
+    parent.appendChild(buildField(formId, field));
+  });
+}
+
+/**
+ * Build a wizard step: a fieldset with a legend and the step's fields
+ * @param {string} formId - Form ID, used to derive element IDs
+ * @param {Object} step - Step definition { title, fields, showIf, className }
+ * @param {number} index - Step index (used when the step has no title)
+ * @returns {HTMLFieldSetElement} Step element
+ * @private
+ */
+function buildStep(formId, step, index) {
+  const fieldset = document.createElement('fieldset');
+  fieldset.className = step.className || 'mb-3';
+  fieldset.dataset.step = step.title || t('wizard.step', { step: index + 1 });
+  
+  if (step.showIf) {
+    fieldset.setAttribute('data-show-if', typeof step.showIf === 'string' ? step.showIf : JSON.stringify(step.showIf));
+  }
+  
+  if (step.title) {
+    const legend = document.createElement('legend');
+    legend.className = 'h5 mb-3';
+    legend.textContent = step.title;
+    fieldset.appendChild(legend);
+  }
+  
+  appendFields(fieldset, formId, step.fields || []);
+  return fieldset;
+}
+
+/**
+ * Resolve a container argument to an element
+ * @param {HTMLElement|string} container - Element, ID or selector
+ * @returns {HTMLElement|null} The container element
+ * @private
+ */
+function resolveContainer(container) {
+  if (container instanceof HTMLElement) return container;
+  if (typeof container !== 'string') return null;
+  return document.getElementById(container) || document.querySelector(container);
+}
+
+/**
+ * Initialize a rendered form that is already in the DOM
+ * @param {HTMLFormElement} form - The rendered form
+ * @param {Object} schema - Parsed schema
+ * @returns {Object} Form instance
+ * @private
+ */
+function initializeRenderedForm(form, schema) {
+  initializeDynamicForm(form, {
+    debug: schema.debug === true,
+    fieldCount: schema.fields.length,
+    fields: schema.fields.map(field => field.name)
+  });
+  
+  return initializeForm(form);
+}
+
+/**
+ * Build the wrapper and controls for a single field
+ * @param {string} formId - Form ID, used to derive element IDs
+ * @param {Object} field - Field definition
+ * @returns {HTMLElement} Field wrapper element
+ * @private
+ */
+function buildField(formId, field) {
+  const type = field.type || 'text';
+  const wrapper = document.createElement('div');
+  wrapper.className = field.wrapperClass || 'mb-3';
+  wrapper.dataset.field = field.name;
+  
+  // Conditional rules (see form-feature-conditions.js) act on the whole wrapper
+  Object.entries(CONDITION_ATTRIBUTES).forEach(([key, attribute]) => {
+    if (field[key]) {
+      wrapper.setAttribute(attribute, typeof field[key] === 'string' ? field[key] : JSON.stringify(field[key]));
+    }
+  });
+  
+  if (type === 'hidden') {
+    wrapper.className = '';
+    wrapper.hidden = true;
+    wrapper.appendChild(createInput(formId, field, 'hidden'));
+    return wrapper;
+  }
+  
+  if (type === 'radio' || (type === 'checkbox' && field.options)) {
+    appendChoiceGroup(wrapper, formId, field, type);
+    return wrapper;
+  }
+  
+  if (type === 'checkbox') {
+    appendCheckbox(wrapper, formId, field);
+    return wrapper;
+  }
+  
+  if (type === 'repeater') {
+    appendRepeater(wrapper, formId, field);
+    return wrapper;
+  }
+  
+  wrapper.appendChild(createLabel(formId, field));
+  
+  let control;
+  if (type === 'textarea') {
+    control = createTextarea(formId, field);
+  } else if (type === 'select') {
+    control = createSelect(formId, field);
+  } else if (type === 'combobox') {
+    control = createComboboxSelect(formId, field);
+  } else {
+    control = createInput(formId, field, type);
+  }
+  wrapper.appendChild(control);
+  
+  if (type === 'textarea' && field.maxlength) {
+    wrapper.appendChild(createCharCounter(field));
+  }
+  
+  appendHelpAndFeedback(wrapper, field);
+  return wrapper;
+}
+
+/**
+ * Build a repeatable group: a <template> row with the sub-fields, the rows
+ * container and an add button (see form-feature-repeater.js)
+ * @private
+ */
+function appendRepeater(wrapper, formId, field) {
+  const legend = document.createElement('div');
+  legend.className = 'form-label';
+  legend.textContent = field.label || field.name;
+  wrapper.appendChild(legend);
+  
+  const container = document.createElement('div');
+  container.dataset.repeater = field.name;
+  if (field.min !== undefined) container.dataset.min = field.min;
+  if (field.max !== undefined) container.dataset.max = field.max;
+  
+  const row = document.createElement('div');
+  row.className = field.rowClass || 'border rounded p-3 mb-2';
+  (field.fields || []).forEach(subField => {
+    if (!subField || !subField.name) return;
+    row.appendChild(buildField(formId, { ...subField, name: `${field.name}[__index__].${subField.name}` }));
+  });
+  
+  const rowActions = document.createElement('div');
+  rowActions.className = 'd-flex gap-2 justify-content-end';
+  if (field.reorder !== false) {
+    rowActions.append(
+      createRowButton('data-repeater-up', t('repeater.moveUp'), 'bi bi-arrow-up'),
+      createRowButton('data-repeater-down', t('repeater.moveDown'), 'bi bi-arrow-down')
+    );
+  }
+  const removeButton = createRowButton('data-repeater-remove', field.removeLabel || t('repeater.remove'), 'bi bi-trash');
+  removeButton.className = 'btn btn-sm btn-outline-danger';
+  rowActions.appendChild(removeButton);
+  row.appendChild(rowActions);
+  
+  const template = document.createElement('template');
+  template.content.appendChild(row);
+  
+  const items = document.createElement('div');
+  items.dataset.repeaterItems = '';
+  
+  const addButton = createButton('button', field.addLabel, t('repeater.add'), 'btn btn-sm btn-outline-primary');
+  addButton.setAttribute('data-repeater-add', '');
+  
+  container.append(template, items, addButton);
+  wrapper.appendChild(container);
+  appendHelpAndFeedback(wrapper, field);
+}
+
+/**
+ * Create an icon button for a repeater row
+ * @private
+ */
+function createRowButton(attribute, label, iconClass) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'btn btn-sm btn-outline-secondary';
+  button.setAttribute(attribute, '');
+  button.setAttribute('aria-label', label);
+  button.title = label;
+  
+  const icon = document.createElement('i');
+  icon.className = iconClass;
+  icon.setAttribute('aria-hidden', 'true');
+  button.appendChild(icon);
+  return button;
+}
+
+/**
+ * Build the submit/reset button row
+ * @param {Object} schema - Parsed schema
+ * @returns {HTMLElement|null} Actions element, or null if there are no buttons
+ * @private
+ */
+function buildActions(schema) {
+  const buttons = [];
+  
+  if (schema.submit !== false) {
+    buttons.push(createButton('submit', schema.submit, t('form.submit'), 'btn btn-primary'));
+  }
+  if (schema.reset) {
+    buttons.push(createButton('reset', schema.reset, t('form.reset'), 'btn btn-outline-secondary'));
+  }
+  
+  if (buttons.length === 0) return null;
+  
+  const actions = document.createElement('div');
+  actions.className = 'd-flex gap-2';
+  buttons.forEach(button => actions.appendChild(button));
+  return actions;
+}
+
+/**
+ * Create a form button from a label string or { label, className } object
+ * @private
+ */
+function createButton(type, definition, defaultLabel, defaultClass) {
+  const button = document.createElement('button');
+  button.type = type;
+  
+  const settings = typeof definition === 'object' && definition !== null ? definition : {};
+  button.className = settings.className || defaultClass;
+  button.textContent = typeof definition === 'string' ? definition : (settings.label || defaultLabel);
+  return button;
+}
+
+/**
+ * Create the <label> for a field, with required marker and tooltip icon
+ * @private
+ */
+function createLabel(formId, field) {
+  const label = document.createElement('label');
+  label.className = 'form-label';
+  label.htmlFor = fieldId(formId, field.name);
+  label.textContent = field.label || field.name;
+  
+  if (field.required) {
+    const marker = document.createElement('span');
+    marker.className = 'text-danger ms-1';
+    marker.textContent = '*';
+    label.appendChild(marker);
+  }
+  
+  if (field.help) {
+    label.appendChild(createTooltipIcon(field.help));
+  }
+  
+  return label;
+}
+
+/**
+ * Create a Bootstrap tooltip trigger icon
+ * @private
+ */
+function createTooltipIcon(text) {
+  const icon = document.createElement('i');
+  icon.className = 'bi bi-question-circle ms-1 text-muted';
+  icon.tabIndex = 0;
+  icon.dataset.bsToggle = 'tooltip';
+  icon.title = text;
+  return icon;
+}
+
+/**
+ * Create an <input> element, including Flatpickr-enhanced date/time types
+ * @private
+ */
+function createInput(formId, field, type) {
+  const input = document.createElement('input');
+  const flatpickrDefaults = FLATPICKR_TYPES[type];
+  
+  input.type = flatpickrDefaults ? 'text' : type;
+  input.className = type === 'range' ? 'form-range' : 'form-control';
+  
+  if (flatpickrDefaults) {
+    input.classList.add('flatpickr-input');
+    // Flatpickr reads its options from data-* attributes on the input.
+    // Attribute values are strings, so false options are left out entirely.
+    Object.entries({ ...flatpickrDefaults, ...field.flatpickr }).forEach(([key, value]) => {
+      if (value === false || value === null || value === undefined) return;
+      input.dataset[key] = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    });
+  }
+  
+  applyCommonAttributes(input, formId, field);
+  
+  if (type === 'file') {
+    // File inputs cannot have an initial value
+    if (field.preview) input.dataset.preview = '';
+    if (field.dropzone) input.dataset.dropzone = field.dropzone === true ? '' : field.dropzone;
+    return input;
+  }
+  
+  if (field.value !== undefined && field.value !== null) {
+    input.defaultValue = field.value;
+  }
+  return input;
+}
+
+/**
+ * Create a <textarea> element
+ * @private
+ */
+function createTextarea(formId, field) {
+  const textarea = document.createElement('textarea');
+  textarea.className = 'form-control';
+  textarea.rows = field.rows || 3;
+  applyCommonAttributes(textarea, formId, field);
+  if (field.value !== undefined && field.value !== null) {
+    textarea.defaultValue = field.value;
+  }
+  return textarea;
+}
+
+/**
+ * Create a <select> element with its options
+ * @private
+ */
+function createSelect(formId, field) {
+  const select = document.createElement('select');
+  select.className = 'form-select';
+  applyCommonAttributes(select, formId, field);
+  
+  if (field.optionsSource) {
+    applyOptionsSource(select, field);
+    return select;
+  }
+  
+  if (field.placeholder && !field.multiple) {
+    const placeholder = document.createElement('option');
+    placeholder.value = '';
+    placeholder.textContent = field.placeholder;
+    placeholder.disabled = true;
+    placeholder.defaultSelected = field.value === undefined || field.value === null || field.value === '';
+    select.appendChild(placeholder);
+  }
+  
+  const selectedValues = toValueList(field.value);
+  normalizeOptions(field.options).forEach(({ value, label }) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    option.defaultSelected = selectedValues.includes(value);
+    select.appendChild(option);
+  });
+  
+  return select;
+}
+
+/**
+ * Write the remote options attributes of a select (see form-feature-options.js)
+ * optionsSource is a URL, or { url, value, label, template, group, path, dependsOn, cache }.
+ * @private
+ */
+function applyOptionsSource(select, field) {
+  const source = typeof field.optionsSource === 'string' ? { url: field.optionsSource } : field.optionsSource;
+  
+  select.dataset.optionsSource = source.url;
+  Object.entries(OPTIONS_SOURCE_ATTRIBUTES).forEach(([key, attribute]) => {
+    if (source[key] !== undefined) {
+      select.setAttribute(attribute, Array.isArray(source[key]) ? source[key].join(',') : String(source[key]));
+    }
+  });
+  
+  if (field.placeholder) {
+    select.dataset.optionsPlaceholder = field.placeholder;
+  }
+  if (field.value !== undefined && field.value !== null && field.value !== '') {
+    select.dataset.value = toValueList(field.value).join(',');
+  }
+}
+
+/**
+ * Create a <select data-combobox> (see form-feature-combobox.js)
+ * source is a search URL, or { url, value, label, template, path, lookup, minChars, debounce };
+ * without it the field's options are searched.
+ * @private
+ */
+function createComboboxSelect(formId, field) {
+  const source = typeof field.source === 'string' ? { url: field.source } : (field.source || {});
+  const select = createSelect(formId, {
+    ...field,
+    optionsSource: undefined,
+    placeholder: undefined,
+    options: source.url ? [] : field.options,
+    value: source.url ? undefined : field.value
+  });
+  
+  select.dataset.combobox = source.url || '';
+  Object.entries(COMBOBOX_ATTRIBUTES).forEach(([key, attribute]) => {
+    if (source[key] !== undefined) {
+      select.setAttribute(attribute, String(source[key]));
+    }
+  });
+  
+  if (field.freeText) select.dataset.comboboxFreeText = '';
+  if (field.placeholder) select.dataset.comboboxPlaceholder = field.placeholder;
+  
+  // Remote values are labelled by data-combobox-lookup (or shown as is)
+  if (source.url) {
+    toValueList(field.value).forEach(value => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = value;
+      option.defaultSelected = true;
+      select.appendChild(option);
+    });
+  }
+  
+  return select;
+}
+
+/**
+ * Append a single Bootstrap form-check checkbox
+ * @private
+ */
+function appendCheckbox(wrapper, formId, field) {
+  const check = document.createElement('div');
+  check.className = 'form-check';
+  
+  const input = document.createElement('input');
+  input.type = 'checkbox';
+  input.className = 'form-check-input';
+  applyCommonAttributes(input, formId, field);
+  input.defaultChecked = Boolean(field.value);
+  
+  const label = document.createElement('label');
+  label.className = 'form-check-label';
+  label.htmlFor = input.id;
+  label.textContent = field.label || field.name;
+  if (field.help) {
+    label.appendChild(createTooltipIcon(field.help));
+  }
+  
+  check.append(input, label);
+  appendHelpAndFeedback(check, field);
+  wrapper.appendChild(check);
+}
+
+/**
+ * Append a radio group or checkbox group with a group label
+ * @private
+ */
+function appendChoiceGroup(wrapper, formId, field, type) {
+  const groupLabel = document.createElement('div');
+  groupLabel.className = 'form-label';
+  groupLabel.textContent = field.label || field.name;
+  if (field.required) {
+    const marker = document.createElement('span');
+    marker.className = 'text-danger ms-1';
+    marker.textContent = '*';
+    groupLabel.appendChild(marker);
+  }
+  if (field.help) {
+    groupLabel.appendChild(createTooltipIcon(field.help));
+  }
+  wrapper.appendChild(groupLabel);
+  
+  const selectedValues = toValueList(field.value);
+  const options = normalizeOptions(field.options);
+  
+  options.forEach(({ value, label }, index) => {
+    const check = document.createElement('div');
+    check.className = field.inline ? 'form-check form-check-inline' : 'form-check';
+    
+    const input = document.createElement('input');
+    input.type = type;
+    input.className = 'form-check-input';
+    input.name = field.name;
+    input.id = `${fieldId(formId, field.name)}_${index}`;
+    input.value = value;
+    input.defaultChecked = selectedValues.includes(value);
+    // Radio groups are required as a whole; checkbox groups can't use native required
+    if (type === 'radio' && field.required) {
+      input.required = true;
+    }
+    if (field.disabled) {
+      input.disabled = true;
+    }
+    
+    const optionLabel = document.createElement('label');
+    optionLabel.className = 'form-check-label';
+    optionLabel.htmlFor = input.id;
+    optionLabel.textContent = label;
+    
+    check.append(input, optionLabel);
+    
+    // Feedback goes with the last option so it renders below the group
+    if (index === options.length - 1) {
+      appendHelpAndFeedback(check, field);
+    }
+    
+    wrapper.appendChild(check);
+  });
+}
+
+/**
+ * Create the character counter shown below textareas with maxlength
+ * Matches the structure expected by initializeCharacterCounters
+ * @private
+ */
+function createCharCounter(field) {
+  const container = document.createElement('div');
+  container.className = 'form-text';
+  
+  const counter = document.createElement('small');
+  counter.className = 'char-count';
+  counter.textContent = '0';
+  
+  container.append(counter, ` ${t('counter.maxLength', { count: field.maxlength })}`);
+  return container;
+}
+
+/**
+ * Append help text and invalid feedback elements
+ * @private
+ */
+function appendHelpAndFeedback(parent, field) {
+  if (field.helpText) {
+    const helpText = document.createElement('div');
+    helpText.className = 'form-text';
+    helpText.textContent = field.helpText;
+    parent.appendChild(helpText);
+  }
+  
+  const feedback = document.createElement('div');
+  feedback.className = 'invalid-feedback';
+  feedback.textContent = field.invalidFeedback || '';
+  parent.appendChild(feedback);
+}
+
+/**
+ * Apply attributes shared by all control types
+ * @private
+ */
+function applyCommonAttributes(element, formId, field) {
+  element.id = fieldId(formId, field.name);
+  element.name = field.name;
+  
+  if (field.required) element.required = true;
+  if (field.disabled) element.disabled = true;
+  if (field.readonly) element.readOnly = true;
+  if (field.multiple) element.multiple = true;
+  if (field.placeholder && element.tagName !== 'SELECT') element.placeholder = field.placeholder;
+  
+  ['maxlength', 'minlength', 'min', 'max', 'step', 'pattern', 'autocomplete', 'accept'].forEach(attribute => {
+    if (field[attribute] !== undefined && field[attribute] !== null) {
+      element.setAttribute(attribute, field[attribute]);
+    }
+  });
+  
+  // Typed extraction (see getFormData); date pickers are typed by default
+  const dataType = field.dataType ?? DATA_TYPES[field.type];
+  if (dataType) {
+    element.dataset.type = dataType;
+  }
+  
+  // Timezone and API output of date fields (see form-datetime.js)
+  if (field.timezone) element.dataset.timezone = field.timezone;
+  if (field.dateOutput) element.dataset.dateOutput = field.dateOutput;
+  
+  if (field.validators) {
+    element.dataset.validators = JSON.stringify([].concat(field.validators));
+  }
+  
+  if (field.className) {
+    element.classList.add(...String(field.className).split(/\s+/).filter(Boolean));
+  }
+  
+  Object.entries(field.attributes || {}).forEach(([name, value]) => {
+    if (value === false || value === null || value === undefined) return;
+    element.setAttribute(name, value === true ? '' : value);
+  });
+}
+
+/**
+ * Normalize options into { value, label } pairs
+ * Accepts strings, numbers or objects with value/label (or id/name) keys
+ * @private
+ */
+function normalizeOptions(options = []) {
+  return options.map(option => {
+    if (option !== null && typeof option === 'object') {
+      const value = option.value ?? option.id ?? '';
+      return { value: String(value), label: String(option.label ?? option.name ?? value) };
+    }
+    return { value: String(option), label: String(option) };
+  });
+}
+
+/**
+ * Normalize an initial value into a list of strings for selection checks
+ * @private
+ */
+function toValueList(value) {
+  if (value === undefined || value === null) return [];
+  return (Array.isArray(value) ? value : [value]).map(String);
+}
+
+/**
+ * Build the element ID for a field
+ * @private
+ */
+function fieldId(formId, name) {
+  return `${formId}_${String(name).replace(/[^\w-]/g, '_')}`;
+}
@@ -0,0 +1,254 @@
+/**
+ * File: form-submit.js
+ * Created: 2026-10-19
+ * Last Modified: 2026-10-19
+ * 
+ * Submit Pipeline Module
+ * 
+ * Turns raw form data into the payload sent to the API, driven by
+ * data-form-config instead of hard-coded field names:
+ * 
+ * 1. DATE RANGES: pairs of fields where end must be after start
+ * 2. TRANSFORMS: per-field value transforms (trim, number, isoDateTime, ...)
+ * 3. DATE FIELDS: shorthand for serializing fields to ISO 8601
+ * 
+ * Dates are parsed with each input's dateFormat and timezone and sent in
+ * its output mode (data-timezone / data-date-output, or "timezone" and
+ * "dateOutput" in the config; see form-datetime.js).
+ * 
+ * CONFIGURATION:
+ * {
+ *   "dateRanges": [{ "start": "startDateTime", "end": "endDateTime", "message": "..." }],
+ *   "dateFields": ["startDateTime", "endDateTime"],
+ *   "transforms": { "email": ["trim", "lowercase"], "quantity": "integer" }
+ * }
+ * 
+ * LEGACY DEFAULT:
+ * Forms that declare no dateRanges/dateFields but contain both a
+ * startDateTime and an endDateTime field keep the original request form
+ * behavior: the pair is range-checked and both are sent as ISO 8601.
+ * 
+ * @module form-kit/core/form-submit
+ */
+
+'use strict';
+
+import { validateDateTimeRange, formatDateTimeForAPI } from '../helpers/form-helpers.js';
+import { parseDateTime, getDateTimeOptions } from '../helpers/form-datetime.js';
+
+/**
+ * Field pair used by the request form this library was extracted from
+ * @private
+ */
+const LEGACY_RANGE = { start: 'startDateTime', end: 'endDateTime' };
+
+/**
+ * Registry of value transforms
+ * Each transform receives: (value, options, data) => transformedValue
+ * @private
+ */
+const transforms = new Map();
+
+/**
+ * Register a value transform for use in config.transforms
+ * @param {string} name - Transform name
+ * @param {Function} fn - Transform function (value, options, data) => newValue
+ * 
+ * @example
+ * registerTransform('cents', (value) => Math.round(parseFloat(value) * 100));
+ */
+export function registerTransform(name, fn) {
+  transforms.set(name, fn);
+}
+
+/**
+ * Get a registered transform
+ * @param {string} name - Transform name
+ * @returns {Function|undefined} Transform function
+ */
+export function getTransform(name) {
+  return transforms.get(name);
+}
+
+// ============================================================================
+// BUILT-IN TRANSFORMS
+// ============================================================================
+
+/**
+ * Apply a function to a value, or to each item of an array value
+ * @private
+ */
+const mapValue = (value, fn) => (Array.isArray(value) ? value.map(fn) : fn(value));
+
+registerTransform('trim', value => mapValue(value, item => (typeof item === 'string' ? item.trim() : item)));
+
+registerTransform('lowercase', value => mapValue(value, item => (typeof item === 'string' ? item.toLowerCase() : item)));
+
+registerTransform('uppercase', value => mapValue(value, item => (typeof item === 'string' ? item.toUpperCase() : item)));
+
+registerTransform('nullIfEmpty', value => (value === '' || value === undefined ? null : value));
+
+registerTransform('number', value => mapValue(value, item => {
+  if (item === '' || item === null || item === undefined) return null;
+  const number = Number(item);
+  return isNaN(number) ? null : number;
+}));
+
+registerTransform('integer', value => mapValue(value, item => {
+  if (item === '' || item === null || item === undefined) return null;
+  const number = parseInt(item, 10);
+  return isNaN(number) ? null : number;
+}));
+
+registerTransform('boolean', value => mapValue(value, item => (
+  item === true || ['true', 'on', '1', 'yes'].includes(String(item).toLowerCase())
+)));
+
+registerTransform('split', (value, options) => {
+  if (Array.isArray(value)) return value;
+  if (value === '' || value === null || value === undefined) return [];
+  return String(value).split(options.separator || ',').map(item => item.trim()).filter(Boolean);
+});
+
+registerTransform('isoDateTime', (value, options) => mapValue(value, item => formatDateTimeForAPI(item, options)));
+
+// ============================================================================
+// PIPELINE
+// ============================================================================
+
+/**
+ * Run the submit pipeline on extracted form data
+ * 
+ * Validates the configured date ranges (marking the end input invalid on
+ * failure), then applies transforms and ISO date serialization.
+ * The input data object is not modified.
+ * 
+ * @param {HTMLFormElement} form - The form element
+ * @param {Object} config - Form configuration (from data-form-config)
+ * @param {Object} formData - Data from getFormData
+ * @returns {Object} { valid: boolean, data: Object, errors: Array<{ field, message }> }
+ * 
+ * @example
+ * const { valid, data, errors } = prepareSubmission(form, config, getFormData(form));
+ * if (!valid) showToast(errors[0].message, 'error');
+ */
+export function prepareSubmission(form, config, formData) {
+  const errors = validateDateRanges(form, getDateRanges(form, config), formData);
+  if (errors.length > 0) {
+    return { valid: false, data: formData, errors };
+  }
+  
+  return { valid: true, data: applyTransforms(formData, getFieldTransforms(form, config)), errors };
+}
+
+/**
+ * Get the date range pairs for a form, including the legacy default
+ * @param {HTMLFormElement} form - The form element
+ * @param {Object} config - Form configuration
+ * @returns {Array<Object>} Range definitions { start, end, message }
+ */
+export function getDateRanges(form, config) {
+  if (Array.isArray(config.dateRanges)) {
+    return config.dateRanges;
+  }
+  
+  return usesLegacyDateTimes(form, config) ? [LEGACY_RANGE] : [];
+}
+
+/**
+ * Validate date range pairs, setting custom validity on failing end inputs
+ * Ranges with an empty start or end are skipped (required handles those).
+ * @private
+ */
+function validateDateRanges(form, ranges, formData) {
+  const errors = [];
+  
+  ranges.forEach(range => {
+    const startInput = form.querySelector(`[name="${range.start}"]`);
+    const endInput = form.querySelector(`[name="${range.end}"]`);
+    endInput?.setCustomValidity('');
+    
+    const start = formData[range.start];
+    const end = formData[range.end];
+    if (!start || !end) return;
+    
+    // Each side is read with its own input's format and timezone
+    const result = validateDateTimeRange(
+      parseDateTime(start, getDateTimeOptions(startInput)) || start,
+      parseDateTime(end, getDateTimeOptions(endInput)) || end
+    );
+    if (!result.valid) {
+      const message = range.message || result.message;
+      endInput?.setCustomValidity(message);
+      errors.push({ field: range.end, message });
+    }
+  });
+  
+  return errors;
+}
+
+/**
+ * Build the per-field transform list from config.transforms and config.dateFields
+ * @private
+ */
+function getFieldTransforms(form, config) {
+  const fieldTransforms = {};
+  
+  Object.entries(config.transforms || {}).forEach(([field, spec]) => {
+    fieldTransforms[field] = [].concat(spec);
+  });
+  
+  let dateFields = config.dateFields;
+  if (!Array.isArray(dateFields)) {
+    dateFields = usesLegacyDateTimes(form, config) ? [LEGACY_RANGE.start, LEGACY_RANGE.end] : [];
+  }
+  
+  dateFields.forEach(field => {
+    const input = form.querySelector(`[name="${field}"]`);
+    fieldTransforms[field] = [...(fieldTransforms[field] || []), { name: 'isoDateTime', ...getDateTimeOptions(input) }];
+  });
+  
+  return fieldTransforms;
+}
+
+/**
+ * Apply transforms to a copy of the data
+ * @private
+ */
+function applyTransforms(formData, fieldTransforms) {
+  const data = { ...formData };
+  
+  Object.entries(fieldTransforms).forEach(([field, specs]) => {
+    if (!(field in data)) return;
+    
+    specs.forEach(spec => {
+      const name = typeof spec === 'string' ? spec : spec.name;
+      const options = typeof spec === 'string' ? {} : spec;
+      const transform = transforms.get(name);
+      
+      if (!transform) {
+        console.warn(`Transform "${name}" not found`);
+        return;
+      }
+      
+      data[field] = transform(data[field], options, data);
+    });
+  });
+  
+  return data;
+}
+
+/**
+ * Check whether the legacy startDateTime/endDateTime behavior applies
+ * @private
+ */
+function usesLegacyDateTimes(form, config) {
+  if (Array.isArray(config.dateRanges) || Array.isArray(config.dateFields)) {
+    return false;
+  }
+  
+  return Boolean(
+    form.querySelector(`[name="${LEGACY_RANGE.start}"]`) &&
+    form.querySelector(`[name="${LEGACY_RANGE.end}"]`)
+  );
+}
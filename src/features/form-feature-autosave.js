@@ -0,0 +1,324 @@
+/**
+ * Form Kit - Draft Autosave Feature
+ * 
+ * Saves form values to localStorage or sessionStorage while the user types,
+ * and offers to restore the draft the next time the form is loaded.
+ * 
+ * Used by initializeForm when data-form-config sets "autosave":
+ * {
+ *   "autosave": true
+ * }
+ * or
+ * {
+ *   "autosave": {
+ *     "storage": "local",          // or "session"
+ *     "key": "ticket-draft",       // default: derived from the page path and form id
+ *     "debounce": 1000,            // milliseconds after the last edit
+ *     "exclude": ["ssn"],          // never stored (password and file fields never are)
+ *     "prompt": "banner"           // or "toast"
+ *   }
+ * }
+ * 
+ * Fields can also opt out with data-autosave="false".
+ * 
+ * @module form-kit/features/form-feature-autosave
+ */
+
+'use strict';
+
+import { readFormValues } from './form-feature-dirty.js';
+import { populateForm } from '../helpers/form-helpers.js';
+import { notify } from '../helpers/form-notify.js';
+import { t, formatDate } from '../helpers/form-i18n.js';
+
+/**
+ * Prefix for storage keys
+ */
+export const DRAFT_KEY_PREFIX = 'form-kit:draft:';
+
+/**
+ * Default autosave options
+ * @private
+ */
+const DEFAULT_OPTIONS = {
+  storage: 'local',
+  debounce: 1000,
+  exclude: [],
+  prompt: 'banner'
+};
+
+// ============================================================================
+// STORAGE
+// ============================================================================
+
+/**
+ * Get the storage object for an option value
+ * @param {string} storage - 'local' or 'session'
+ * @returns {Storage|null} Storage, or null if unavailable (e.g. blocked cookies)
+ * @private
+ */
+function getStorage(storage) {
+  try {
+    return storage === 'session' ? window.sessionStorage : window.localStorage;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Build the default draft key for a form
+ * @param {HTMLFormElement} form - The form element
+ * @returns {string} Storage key
+ */
+export function getDraftKey(form) {
+  const formKey = form.id || form.getAttribute('action') || 'form';
+  return `${DRAFT_KEY_PREFIX}${window.location.pathname}:${formKey}`;
+}
+
+/**
+ * Names of fields that are never stored in a draft
+ * @param {HTMLFormElement} form - The form element
+ * @param {Array<string>} exclude - Configured sensitive field names
+ * @returns {Set<string>} Excluded field names
+ * @private
+ */
+function getExcludedNames(form, exclude) {
+  const excluded = new Set(exclude);
+  
+  [...form.elements].forEach(element => {
+    if (!element.name) return;
+    if (element.type === 'password' || element.type === 'file' || element.dataset.autosave === 'false') {
+      excluded.add(element.name);
+    }
+  });
+  
+  return excluded;
+}
+
+// ============================================================================
+// AUTOSAVE
+// ============================================================================
+
+/**
+ * Enable draft autosave for a form
+ * 
+ * Call schedule() after edits; the draft is written after the debounce
+ * delay, or removed when the form is back to its initial values. If a
+ * draft exists when autosave is created, the user is asked whether to
+ * restore it.
+ * 
+ * @param {HTMLFormElement} form - The form element
+ * @param {Object|boolean} config - Autosave options (see module docs), or true for defaults
+ * @param {Object} hooks - Integration hooks
+ * @param {Function} hooks.isDirty - Returns true when the form differs from its initial values
+ * @param {Function} hooks.onSave - Called with (draft) after a draft is written
+ * @param {Function} hooks.onRestore - Called with (values) after a draft is restored
+ * @returns {Object} Autosave handle with schedule, save, restore, clear, getDraft and destroy
+ * 
+ * @example
+ * const autosave = createAutosave(form, { storage: 'session' }, { isDirty: tracker.isDirty });
+ * form.addEventListener('input', () => autosave.schedule());
+ */
+export function createAutosave(form, config = {}, hooks = {}) {
+  const options = { ...DEFAULT_OPTIONS, ...(config === true ? {} : config) };
+  const storage = getStorage(options.storage);
+  const key = options.key || getDraftKey(form);
+  let timer = null;
+  // Restore banner element, or { remove } for the toast prompt
+  let prompt = null;
+  // Draft from a previous visit offered by the prompt, kept in memory so the
+  // current edits can be saved until it is restored or discarded
+  let offeredDraft = null;
+  
+  /**
+   * Read the stored draft
+   * @returns {Object|null} { savedAt, values }, or null if there is none
+   */
+  function getDraft() {
+    try {
+      const stored = storage?.getItem(key);
+      return stored ? JSON.parse(stored) : null;
+    } catch (error) {
+      console.warn('Autosave: unable to read draft', error);
+      return null;
+    }
+  }
+  
+  /**
+   * Remove the stored draft and any pending save
+   */
+  function clear() {
+    clearTimeout(timer);
+    timer = null;
+    offeredDraft = null;
+    try {
+      storage?.removeItem(key);
+    } catch (error) {
+      console.warn('Autosave: unable to remove draft', error);
+    }
+  }
+  
+  /**
+   * Write the current values now (or remove the draft if nothing changed)
+   * While a draft from a previous visit is offered and not answered, a form
+   * without changes stores that draft again instead of removing it.
+   */
+  function save() {
+    clearTimeout(timer);
+    timer = null;
+    
+    if (hooks.isDirty && !hooks.isDirty()) {
+      if (offeredDraft) {
+        writeDraft(offeredDraft);
+      } else {
+        clear();
+      }
+      return;
+    }
+    
+    const excluded = getExcludedNames(form, options.exclude);
+    const values = Object.fromEntries(
+      Object.entries(readFormValues(form)).filter(([name]) => !excluded.has(name))
+    );
+    const draft = { savedAt: new Date().toISOString(), values };
+    
+    if (writeDraft(draft)) {
+      hooks.onSave?.(draft);
+    }
+  }
+  
+  /**
+   * Store a draft
+   * @returns {boolean} True if it was stored
+   * @private
+   */
+  function writeDraft(draft) {
+    try {
+      storage?.setItem(key, JSON.stringify(draft));
+      return true;
+    } catch (error) {
+      console.warn('Autosave: unable to save draft', error);
+      return false;
+    }
+  }
+  
+  /**
+   * Save after the debounce delay
+   */
+  function schedule() {
+    clearTimeout(timer);
+    timer = setTimeout(save, options.debounce);
+  }
+  
+  /**
+   * Restore the offered (or else the stored) draft into the form
+   * @returns {boolean} True if a draft was restored
+   */
+  function restore() {
+    const draft = offeredDraft || getDraft();
+    offeredDraft = null;
+    removePrompt();
+    if (!draft?.values) return false;
+    
+    populateForm(form, draft.values);
+    hooks.onRestore?.(draft.values);
+    return true;
+  }
+  
+  /**
+   * Remove the restore banner or toast
+   */
+  function removePrompt() {
+    prompt?.remove();
+    prompt = null;
+  }
+  
+  /**
+   * Ask the user whether to restore the draft
+   * @param {Object} draft - Stored draft
+   */
+  function showPrompt(draft) {
+    const savedAt = new Date(draft.savedAt);
+    const message = isNaN(savedAt.getTime())
+      ? t('autosave.draft')
+      : t('autosave.draftFrom', { date: formatDate(savedAt) });
+    
+    // Declining drops the offered draft; edits made meanwhile stay saved
+    const discard = () => {
+      offeredDraft = null;
+      removePrompt();
+      save();
+    };
+    
+    if (options.prompt === 'toast') {
+      const toast = notify(message, {
+        type: 'info',
+        duration: 15000,
+        actions: [
+          { label: t('autosave.restore'), onClick: restore },
+          { label: t('autosave.discard'), onClick: discard }
+        ]
+      });
+      const handle = { remove: toast.dismiss };
+      prompt = handle;
+      // A toast that times out unanswered keeps the draft for the next visit
+      toast.closed.then(() => {
+        if (prompt === handle) prompt = null;
+      });
+      return;
+    }
+    
+    const actions = document.createElement('div');
+    actions.className = 'd-flex gap-2';
+    actions.append(
+      createPromptButton(t('autosave.restore'), 'btn btn-sm btn-primary', restore),
+      createPromptButton(t('autosave.discard'), 'btn btn-sm btn-outline-secondary', discard)
+    );
+    
+    prompt = document.createElement('div');
+    prompt.className = 'alert alert-info d-flex flex-wrap align-items-center justify-content-between gap-2 form-draft-banner';
+    prompt.setAttribute('role', 'status');
+    
+    const text = document.createElement('span');
+    text.textContent = message;
+    prompt.append(text, actions);
+    form.prepend(prompt);
+  }
+  
+  const draft = getDraft();
+  if (draft?.values) {
+    offeredDraft = draft;
+    showPrompt(draft);
+  }
+  
+  return {
+    key,
+    schedule,
+    save,
+    restore,
+    clear,
+    getDraft,
+    
+    /**
+     * Cancel pending saves and remove the prompt (the draft is kept)
+     */
+    destroy: () => {
+      clearTimeout(timer);
+      timer = null;
+      removePrompt();
+    }
+  };
+}
+
+/**
+ * Create a button for the restore prompt
+ * @private
+ */
+function createPromptButton(label, className, onClick) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = className;
+  button.textContent = label;
+  button.addEventListener('click', onClick);
+  return button;
+}
@@ -0,0 +1,781 @@
+/**
+ * Form Kit - Combobox Feature
+ * 
+ * Searchable select (autocomplete) following the ARIA 1.2 combobox pattern,
+ * styled as a Bootstrap dropdown. The original <select> keeps its name and
+ * the selected values, so getFormData, populateForm, required and custom
+ * validators work as for any select; it is visually hidden and a text input
+ * with a listbox of results is shown in its place.
+ * 
+ * MARKUP:
+ * <select name="appId" class="form-select" required
+ *         data-combobox="/api/apps?search={query}"
+ *         data-options-value="id" data-options-template="{iGateApp} - {cetApp}"></select>
+ * 
+ * <select name="tags" multiple data-combobox data-combobox-free-text>
+ *   <option>urgent</option>
+ *   <option>billing</option>
+ * </select>
+ * 
+ * ATTRIBUTES:
+ * - data-combobox               Search URL with a {query} placeholder (?q= is appended without one);
+ *                               empty to search the select's own options
+ * - data-combobox-min-chars     Characters typed before searching (default 1; 0 also searches on focus)
+ * - data-combobox-debounce      Delay in ms after the last keystroke (default 250)
+ * - data-combobox-free-text     Allow values that are not in the results
+ * - data-combobox-lookup        URL with a {value} placeholder returning the item of a value,
+ *                               used to show labels of values set by populateForm
+ * - data-combobox-placeholder   Placeholder of the text input
+ * - data-options-value, data-options-label, data-options-template, data-options-path
+ *                               Item mapping, as for remote select options
+ * - multiple                    Selected values are shown as removable tags
+ * 
+ * KEYBOARD:
+ * ArrowDown/ArrowUp open the list and move through the results, Enter
+ * selects, Escape closes the list (or clears the text when closed), and
+ * Backspace in an empty input removes the last tag.
+ * 
+ * A search still in flight is cancelled when the user types again. The
+ * selectionCount validator limits the number of values of a multiple
+ * combobox: { name: 'selectionCount', min: 1, max: 3 }.
+ * 
+ * @module form-kit/features/form-feature-combobox
+ */
+
+'use strict';
+
+import { loadAppData } from '../helpers/form-helpers.js';
+import { t } from '../helpers/form-i18n.js';
+import { getFieldPath } from '../helpers/form-data.js';
+import { registerValidator } from './form-feature-validators.js';
+import { readOptionsMapping, toOptionItem, extractOptionItems } from './form-feature-options.js';
+
+/**
+ * Selects enhanced as comboboxes
+ * @private
+ */
+const COMBOBOX_SELECTOR = 'select[data-combobox]';
+
+/**
+ * Default delay after typing before searching (ms)
+ * @private
+ */
+const DEFAULT_DEBOUNCE = 250;
+
+/**
+ * Combobox handles by select element
+ * @private
+ */
+const comboboxes = new WeakMap();
+
+/**
+ * Counter used to generate element IDs
+ * @private
+ */
+let comboboxCounter = 0;
+
+// ============================================================================
+// INITIALIZATION
+// ============================================================================
+
+/**
+ * Enhance every select[data-combobox] in a form
+ * 
+ * @param {HTMLFormElement} form - The form element
+ * @returns {Object} { refresh, destroy } - Enhance selects added later; restore every select
+ * 
+ * @example
+ * const comboboxes = initializeComboboxes(form);
+ * comboboxes.destroy();
+ */
+export function initializeComboboxes(form) {
+  const handles = [];
+  
+  /**
+   * Enhance selects not enhanced yet
+   */
+  function refresh() {
+    form.querySelectorAll(COMBOBOX_SELECTOR).forEach(select => {
+      if (!comboboxes.has(select)) {
+        handles.push(createCombobox(select));
+      }
+    });
+  }
+  
+  refresh();
+  
+  return {
+    refresh,
+    destroy: () => {
+      handles.forEach(handle => handle.destroy());
+      handles.length = 0;
+    }
+  };
+}
+
+/**
+ * Get the combobox handle of an enhanced select
+ * @param {HTMLSelectElement} select - The select element
+ * @returns {Object|null} Combobox handle, or null if not enhanced
+ */
+export function getCombobox(select) {
+  return comboboxes.get(select) || null;
+}
+
+/**
+ * Enhance a select as a combobox
+ * 
+ * @param {HTMLSelectElement} select - The select element (see module docs for attributes)
+ * @returns {Object} Handle: { select, input, search, open, close, getValue, setValue, destroy }
+ * 
+ * @example
+ * const combobox = createCombobox(document.querySelector('[name="appId"]'));
+ * combobox.setValue([{ value: '7', label: 'CRM' }]);
+ */
+export function createCombobox(select) {
+  const existing = comboboxes.get(select);
+  if (existing) return existing;
+  
+  const { dataset } = select;
+  const settings = {
+    source: dataset.combobox || '',
+    minChars: parseInt(dataset.comboboxMinChars ?? '1', 10),
+    debounce: parseInt(dataset.comboboxDebounce ?? String(DEFAULT_DEBOUNCE), 10),
+    freeText: select.hasAttribute('data-combobox-free-text'),
+    lookup: dataset.comboboxLookup,
+    mapping: readOptionsMapping(select)
+  };
+  const multiple = select.multiple;
+  const baseId = `${select.id || `formKitCombobox${++comboboxCounter}`}-combobox`;
+  const listenerController = new AbortController();
+  const { signal } = listenerController;
+  
+  // Labels of values seen in results, so populated values can be shown by name
+  const labels = new Map([...select.options].map(option => [option.value, option.textContent.trim()]));
+  
+  // Without a URL the select's own options are searched
+  const staticItems = settings.source
+    ? null
+    : [...select.options].filter(option => option.value !== '').map(option => ({
+      value: option.value,
+      label: option.textContent.trim(),
+      disabled: option.disabled
+    }));
+  
+  // A single select needs an empty option to represent "nothing selected"
+  let emptyOption = null;
+  if (!multiple && ![...select.options].some(option => option.value === '')) {
+    emptyOption = createOption('', '');
+    select.prepend(emptyOption);
+    if (![...select.options].some(option => option.defaultSelected)) {
+      select.value = '';
+    }
+  }
+  
+  const originalState = {
+    className: select.className,
+    tabIndex: select.getAttribute('tabindex'),
+    ariaHidden: select.getAttribute('aria-hidden')
+  };
+  
+  // ==========================================================================
+  // MARKUP
+  // ==========================================================================
+  
+  const wrapper = document.createElement('div');
+  wrapper.className = 'form-kit-combobox dropdown';
+  
+  const tags = multiple ? document.createElement('div') : null;
+  if (tags) {
+    tags.className = 'form-kit-combobox-tags d-flex flex-wrap gap-1 mb-1';
+    wrapper.appendChild(tags);
+  }
+  
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.id = baseId;
+  input.className = select.classList.contains('form-select-sm') ? 'form-control form-control-sm' : 'form-control';
+  input.autocomplete = 'off';
+  input.placeholder = dataset.comboboxPlaceholder || '';
+  input.setAttribute('role', 'combobox');
+  input.setAttribute('aria-autocomplete', 'list');
+  input.setAttribute('aria-expanded', 'false');
+  input.setAttribute('aria-controls', `${baseId}-listbox`);
+  
+  const menu = document.createElement('div');
+  menu.className = 'dropdown-menu w-100';
+  
+  const listbox = document.createElement('ul');
+  listbox.id = `${baseId}-listbox`;
+  listbox.className = 'list-unstyled mb-0';
+  listbox.setAttribute('role', 'listbox');
+  if (multiple) listbox.setAttribute('aria-multiselectable', 'true');
+  
+  const message = document.createElement('div');
+  message.className = 'dropdown-item-text text-body-secondary small';
+  message.hidden = true;
+  
+  const status = document.createElement('div');
+  status.className = 'visually-hidden';
+  status.setAttribute('role', 'status');
+  status.setAttribute('aria-live', 'polite');
+  
+  menu.append(listbox, message);
+  wrapper.append(input, menu, status);
+  
+  // The label now points at the text input
+  const label = select.id ? select.ownerDocument.querySelector(`label[for="${select.id}"]`) : null;
+  if (label) {
+    label.htmlFor = input.id;
+    listbox.setAttribute('aria-label', label.textContent.trim());
+  }
+  
+  select.classList.add('visually-hidden');
+  select.tabIndex = -1;
+  select.setAttribute('aria-hidden', 'true');
+  select.after(wrapper);
+  
+  // Mirror validation classes, disabled and required from the select
+  const syncAttributes = () => {
+    input.classList.toggle('is-invalid', select.classList.contains('is-invalid'));
+    input.classList.toggle('is-valid', select.classList.contains('is-valid'));
+    input.disabled = select.disabled;
+    input.setAttribute('aria-required', String(select.required));
+    input.setAttribute('aria-invalid', String(select.classList.contains('is-invalid')));
+    tags?.querySelectorAll('button').forEach(button => {
+      button.disabled = select.disabled;
+    });
+  };
+  const observer = new MutationObserver(syncAttributes);
+  observer.observe(select, { attributes: true, attributeFilter: ['class', 'disabled', 'required'] });
+  
+  // ==========================================================================
+  // STATE
+  // ==========================================================================
+  
+  let results = [];
+  let activeIndex = -1;
+  let searchController = null;
+  let searchTimer = null;
+  
+  /**
+   * Selected options of the select (without the empty option)
+   * @returns {Array<HTMLOptionElement>} Options
+   */
+  function getSelectedOptions() {
+    return [...select.selectedOptions].filter(option => option.value !== '');
+  }
+  
+  /**
+   * Show the selection: tags for multiple, the label in the input otherwise
+   */
+  function renderSelection() {
+    const selected = getSelectedOptions();
+    
+    if (tags) {
+      tags.replaceChildren(...selected.map(option => createTag(option, select.disabled)));
+    } else if (document.activeElement !== input) {
+      input.value = selected[0] ? (labels.get(selected[0].value) ?? selected[0].textContent) : '';
+    }
+  }
+  
+  /**
+   * Select values on the select and notify listeners (change event) if they changed
+   * @param {Array<Object>} items - { value, label } of every selected value
+   */
+  function applySelection(items) {
+    const before = getSelectedOptions().map(option => option.value).join('\u0000');
+    
+    items.forEach(item => {
+      labels.set(item.value, item.label);
+      let option = [...select.options].find(candidate => candidate.value === item.value);
+      if (!option) {
+        option = createOption(item.value, item.label);
+        select.appendChild(option);
+      }
+      option.textContent = item.label;
+    });
+    
+    const values = items.map(item => item.value);
+    [...select.options].forEach(option => {
+      option.selected = values.includes(option.value);
+    });
+    if (!multiple && values.length === 0) {
+      select.value = '';
+    }
+    
+    // Remote options only exist while selected
+    if (!staticItems) {
+      [...select.options].forEach(option => {
+        if (!option.selected && option.value !== '') option.remove();
+      });
+    }
+    
+    renderSelection();
+    
+    if (getSelectedOptions().map(option => option.value).join('\u0000') !== before) {
+      select.dispatchEvent(new Event('input', { bubbles: true }));
+      select.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+  }
+  
+  /**
+   * Current selection as items
+   * @returns {Array<Object>} { value, label }
+   */
+  function getSelectedItems() {
+    return getSelectedOptions().map(option => ({
+      value: option.value,
+      label: labels.get(option.value) ?? option.textContent
+    }));
+  }
+  
+  /**
+   * Select a result (toggle it for multiple)
+   * @param {Object} item - Result item
+   */
+  function choose(item) {
+    if (!item || item.disabled) return;
+    
+    if (multiple) {
+      const selected = getSelectedItems();
+      const isSelected = selected.some(entry => entry.value === item.value);
+      applySelection(isSelected ? selected.filter(entry => entry.value !== item.value) : [...selected, item]);
+      input.value = '';
+      close();
+    } else {
+      applySelection([item]);
+      input.value = item.label;
+      close();
+    }
+  }
+  
+  // ==========================================================================
+  // LISTBOX
+  // ==========================================================================
+  
+  /**
+   * Whether the listbox is shown
+   */
+  function isOpen() {
+    return menu.classList.contains('show');
+  }
+  
+  /**
+   * Show the listbox
+   */
+  function open() {
+    menu.classList.add('show');
+    input.setAttribute('aria-expanded', 'true');
+  }
+  
+  /**
+   * Hide the listbox and cancel a pending search
+   */
+  function close() {
+    clearTimeout(searchTimer);
+    searchController?.abort();
+    menu.classList.remove('show');
+    input.setAttribute('aria-expanded', 'false');
+    input.removeAttribute('aria-activedescendant');
+    activeIndex = -1;
+  }
+  
+  /**
+   * Render results, or a message when there are none
+   * @param {Array<Object>} items - Result items
+   * @param {string} text - Message shown below the results (optional)
+   */
+  function renderResults(items, text = '') {
+    results = items;
+    activeIndex = -1;
+    input.removeAttribute('aria-activedescendant');
+    
+    const selectedValues = getSelectedOptions().map(option => option.value);
+    listbox.replaceChildren(...items.map((item, index) => {
+      const option = document.createElement('li');
+      option.id = `${baseId}-option-${index}`;
+      option.className = 'dropdown-item';
+      option.setAttribute('role', 'option');
+      option.setAttribute('aria-selected', String(selectedValues.includes(item.value)));
+      option.dataset.index = String(index);
+      option.textContent = item.freeText ? t('combobox.useText', { text: item.label }) : item.label;
+      
+      if (selectedValues.includes(item.value)) option.classList.add('fw-semibold');
+      if (item.disabled) {
+        option.classList.add('disabled');
+        option.setAttribute('aria-disabled', 'true');
+      }
+      return option;
+    }));
+    
+    message.textContent = text;
+    message.hidden = !text;
+    status.textContent = text || t('combobox.results', { count: items.length });
+    open();
+  }
+  
+  /**
+   * Move the active result
+   * @param {number} offset - +1 or -1
+   */
+  function moveActive(offset) {
+    const enabled = results.map((item, index) => (item.disabled ? -1 : index)).filter(index => index !== -1);
+    if (enabled.length === 0) return;
+    
+    const position = enabled.indexOf(activeIndex);
+    const next = position === -1
+      ? enabled[offset > 0 ? 0 : enabled.length - 1]
+      : enabled[(position + offset + enabled.length) % enabled.length];
+    
+    listbox.querySelectorAll('[role="option"]').forEach(option => {
+      option.classList.toggle('active', Number(option.dataset.index) === next);
+    });
+    activeIndex = next;
+    
+    const activeOption = listbox.querySelector(`[data-index="${next}"]`);
+    input.setAttribute('aria-activedescendant', activeOption.id);
+    activeOption.scrollIntoView?.({ block: 'nearest' });
+  }
+  
+  // ==========================================================================
+  // SEARCH
+  // ==========================================================================
+  
+  /**
+   * Search for a query and show the results
+   * @param {string} query - Search text
+   * @returns {Promise<Array>} Result items (empty when cancelled)
+   */
+  async function search(query) {
+    clearTimeout(searchTimer);
+    searchController?.abort();
+    
+    const text = query.trim();
+    if (text.length < settings.minChars) {
+      if (text.length === 0) {
+        close();
+      } else {
+        renderResults([], t('combobox.minChars', { count: settings.minChars }));
+      }
+      return [];
+    }
+    
+    let items;
+    if (staticItems) {
+      const needle = text.toLowerCase();
+      items = staticItems.filter(item => item.label.toLowerCase().includes(needle));
+    } else {
+      const controller = new AbortController();
+      searchController = controller;
+      renderResults(results, t('combobox.searching'));
+      listbox.setAttribute('aria-busy', 'true');
+      
+      try {
+        const response = await loadAppData(buildSearchUrl(settings.source, text), { throwOnError: true, signal: controller.signal });
+        if (controller.signal.aborted) return [];
+        items = extractOptionItems(response, settings.mapping.path).map(item => toOptionItem(item, settings.mapping));
+      } catch (error) {
+        if (controller.signal.aborted || error.name === 'AbortError') return [];
+        console.error(`Combobox search failed for "${select.name}":`, error);
+        listbox.removeAttribute('aria-busy');
+        renderResults([], t('combobox.error'));
+        return [];
+      }
+      listbox.removeAttribute('aria-busy');
+    }
+    
+    if (settings.freeText && !items.some(item => item.label.toLowerCase() === text.toLowerCase())) {
+      items = [...items, { value: text, label: text, freeText: true }];
+    }
+    
+    renderResults(items, items.length === 0 ? t('combobox.noResults') : '');
+    return items;
+  }
+  
+  /**
+   * Commit the typed text when the user leaves the input (single select)
+   */
+  function commitText() {
+    const text = input.value.trim();
+    const [selected] = getSelectedItems();
+    
+    if (text === '') {
+      applySelection([]);
+    } else if (settings.freeText && text !== selected?.label) {
+      applySelection([{ value: text, label: text }]);
+    } else {
+      input.value = selected?.label ?? '';
+    }
+  }
+  
+  // ==========================================================================
+  // EVENTS
+  // ==========================================================================
+  
+  input.addEventListener('input', () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(() => search(input.value), settings.debounce);
+  }, { signal });
+  
+  input.addEventListener('focus', () => {
+    if (settings.minChars === 0 && !isOpen()) search(input.value);
+  }, { signal });
+  
+  input.addEventListener('keydown', (e) => {
+    switch (e.key) {
+      case 'ArrowDown':
+      case 'ArrowUp':
+        e.preventDefault();
+        if (!isOpen()) {
+          search(input.value).then(() => moveActive(e.key === 'ArrowDown' ? 1 : -1));
+        } else {
+          moveActive(e.key === 'ArrowDown' ? 1 : -1);
+        }
+        break;
+      case 'Enter':
+        if (isOpen() && activeIndex !== -1) {
+          e.preventDefault();
+          choose(results[activeIndex]);
+        } else if (isOpen()) {
+          // Enter while choosing does not submit the form
+          e.preventDefault();
+        }
+        break;
+      case 'Escape':
+        if (isOpen()) {
+          e.preventDefault();
+          close();
+        } else if (input.value) {
+          e.preventDefault();
+          input.value = '';
+          if (!multiple) applySelection([]);
+        }
+        break;
+      case 'Backspace':
+        if (multiple && input.value === '') {
+          const selected = getSelectedItems();
+          if (selected.length > 0) applySelection(selected.slice(0, -1));
+        }
+        break;
+      case 'Tab':
+        close();
+        break;
+    }
+  }, { signal });
+  
+  input.addEventListener('blur', () => {
+    close();
+    if (multiple) {
+      input.value = '';
+    } else {
+      commitText();
+    }
+  }, { signal });
+  
+  // Keep focus in the input while clicking results
+  menu.addEventListener('mousedown', (e) => e.preventDefault(), { signal });
+  menu.addEventListener('click', (e) => {
+    const option = e.target.closest('[role="option"]');
+    if (option) choose(results[Number(option.dataset.index)]);
+  }, { signal });
+  
+  tags?.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-combobox-remove]');
+    if (!button) return;
+    applySelection(getSelectedItems().filter(item => item.value !== button.dataset.comboboxRemove));
+    input.focus();
+  }, { signal });
+  
+  // Programmatic focus (e.g. on the first invalid field) goes to the text input
+  select.addEventListener('focus', () => input.focus(), { signal });
+  
+  // Values changed elsewhere (populateForm, reset) are shown too
+  select.addEventListener('change', () => {
+    renderSelection();
+    lookupLabels();
+  }, { signal });
+  
+  if (select.form) {
+    // populateForm sets values by option, so create options for values not in the list
+    select.form.addEventListener('formkit:populate', (e) => {
+      const value = getFieldPath(e.detail?.data || {}, select.name);
+      if (value === undefined || value === null) return;
+      
+      [].concat(value).map(String).filter(Boolean).forEach(entry => {
+        if (![...select.options].some(option => option.value === entry)) {
+          select.appendChild(createOption(entry, labels.get(entry) ?? entry));
+        }
+      });
+    }, { signal });
+    
+    select.form.addEventListener('reset', () => setTimeout(renderSelection), { signal });
+  }
+  
+  /**
+   * Fetch labels of selected values known only by value (data-combobox-lookup)
+   */
+  function lookupLabels() {
+    if (!settings.lookup) return;
+    
+    getSelectedOptions()
+      .filter(option => !labels.has(option.value) || labels.get(option.value) === option.value)
+      .forEach(async option => {
+        const url = settings.lookup.replace('{value}', encodeURIComponent(option.value));
+        const response = await loadAppData(url, { cache: true });
+        const item = Array.isArray(response) ? response[0] : response;
+        if (!item || signal.aborted) return;
+        
+        const { label: itemLabel } = toOptionItem(item, settings.mapping);
+        labels.set(option.value, itemLabel);
+        option.textContent = itemLabel;
+        renderSelection();
+      });
+  }
+  
+  syncAttributes();
+  renderSelection();
+  lookupLabels();
+  
+  const handle = {
+    select,
+    input,
+    search,
+    open,
+    close,
+    
+    /**
+     * Selected value (array for multiple)
+     * @returns {string|Array<string>} Value
+     */
+    getValue: () => {
+      const values = getSelectedOptions().map(option => option.value);
+      return multiple ? values : (values[0] ?? '');
+    },
+    
+    /**
+     * Select values; items may be strings or { value, label }
+     * @param {string|Object|Array} value - Value(s) to select
+     */
+    setValue: (value) => {
+      const items = [].concat(value ?? []).filter(entry => entry !== '').map(entry => {
+        if (entry && typeof entry === 'object') return { value: String(entry.value), label: String(entry.label ?? entry.value) };
+        return { value: String(entry), label: labels.get(String(entry)) ?? String(entry) };
+      });
+      applySelection(multiple ? items : items.slice(0, 1));
+      if (!multiple) input.value = items[0]?.label ?? '';
+      lookupLabels();
+    },
+    
+    /**
+     * Remove the text input and show the select again (its values are kept)
+     */
+    destroy: () => {
+      close();
+      listenerController.abort();
+      observer.disconnect();
+      wrapper.remove();
+      
+      select.className = originalState.className;
+      restoreAttribute(select, 'tabindex', originalState.tabIndex);
+      restoreAttribute(select, 'aria-hidden', originalState.ariaHidden);
+      if (emptyOption && !emptyOption.selected) emptyOption.remove();
+      if (label) label.htmlFor = select.id;
+      
+      comboboxes.delete(select);
+    }
+  };
+  
+  comboboxes.set(select, handle);
+  return handle;
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Build the search URL for a query
+ * @private
+ */
+function buildSearchUrl(source, query) {
+  const encoded = encodeURIComponent(query);
+  if (source.includes('{query}')) {
+    return source.replaceAll('{query}', encoded);
+  }
+  return `${source}${source.includes('?') ? '&' : '?'}q=${encoded}`;
+}
+
+/**
+ * Create an <option>
+ * @private
+ */
+function createOption(value, label) {
+  const option = document.createElement('option');
+  option.value = value;
+  option.textContent = label;
+  return option;
+}
+
+/**
+ * Create a removable tag for a selected option
+ * @private
+ */
+function createTag(option, disabled) {
+  const tag = document.createElement('span');
+  tag.className = 'badge text-bg-secondary d-inline-flex align-items-center gap-1';
+  tag.textContent = option.textContent;
+  
+  const remove = document.createElement('button');
+  remove.type = 'button';
+  remove.className = 'btn-close btn-close-white';
+  remove.style.fontSize = '0.6em';
+  remove.dataset.comboboxRemove = option.value;
+  remove.disabled = disabled;
+  remove.setAttribute('aria-label', t('combobox.remove', { label: option.textContent }));
+  
+  tag.appendChild(remove);
+  return tag;
+}
+
+/**
+ * Restore an attribute to its original value (removing it if it was absent)
+ * @private
+ */
+function restoreAttribute(element, name, value) {
+  if (value === null) {
+    element.removeAttribute(name);
+  } else {
+    element.setAttribute(name, value);
+  }
+}
+
+// ============================================================================
+// BUILT-IN VALIDATORS
+// ============================================================================
+
+/**
+ * Validate the number of selected values of a multiple select or combobox
+ */
+registerValidator('selectionCount', (value, options, form, context) => {
+  const input = context?.input;
+  const count = input?.tagName === 'SELECT'
+    ? [...input.selectedOptions].filter(option => option.value !== '').length
+    : [].concat(value || []).length;
+  
+  if (options.min !== undefined && count < options.min) {
+    return {
+      valid: false,
+      message: options.message || t('validation.selectionMin', { count: options.min })
+    };
+  }
+  
+  if (options.max !== undefined && count > options.max) {
+    return {
+      valid: false,
+      message: options.message || t('validation.selectionMax', { count: options.max })
+    };
+  }
+  
+  return { valid: true, message: '' };
+});
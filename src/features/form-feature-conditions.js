@@ -0,0 +1,342 @@
+/**
+ * Form Kit - Conditional Fields Feature
+ * 
+ * Shows, enables or requires fields depending on the values of other fields.
+ * Hidden fields are also disabled, so they drop out of getFormData and
+ * HTML5 validation until they are shown again. Rules are re-evaluated on
+ * every input and change event.
+ * 
+ * RULES (data-form-config, keyed by field name):
+ * {
+ *   "conditions": {
+ *     "companyName": { "showIf": { "field": "accountType", "equals": "business" } },
+ *     "vatNumber":   { "requiredIf": { "and": [{ "field": "country", "in": ["PT", "ES"] }, { "field": "accountType", "equals": "business" }] } },
+ *     "discount":    { "enableIf": { "field": "quantity", "gte": 10 } }
+ *   }
+ * }
+ * 
+ * or as attributes on a field or on any container (fieldset, div):
+ * <div data-show-if='{"field": "contactMethod", "equals": "phone"}'>...</div>
+ * <input name="phone" data-required-if="contactMethod=phone">
+ * <input name="reason" data-enable-if="!agree">
+ * 
+ * CONDITIONS:
+ * - { field, equals: value }           equal (any item for arrays, e.g. checkbox groups)
+ * - { field, in: [values] }            equal to one of the values
+ * - { field, truthy: true|false }      not empty / empty (also the default with only field)
+ * - { field, gt|gte|lt|lte: number }   numeric comparison
+ * - { not: condition }
+ * - { and: [conditions] }, { or: [conditions] }
+ * - Attribute shorthand: "field", "!field", "field=value", "field!=value"
+ * 
+ * Rules keyed by field name act on the field's wrapper ([data-field], as
+ * rendered by renderForm, or .form-check), so labels and help text hide too.
+ * 
+ * @module form-kit/features/form-feature-conditions
+ */
+
+'use strict';
+
+import { getFormData } from '../helpers/form-helpers.js';
+import { clearValidationState } from './form-feature-validators.js';
+
+/**
+ * Rule attributes and the action each one drives
+ * @private
+ */
+const RULE_ATTRIBUTES = {
+  showIf: 'data-show-if',
+  enableIf: 'data-enable-if',
+  requiredIf: 'data-required-if'
+};
+
+/**
+ * Controls affected by show and enable rules
+ * @private
+ */
+const CONTROL_SELECTOR = 'input, select, textarea';
+
+// ============================================================================
+// EVALUATION
+// ============================================================================
+
+/**
+ * Parse a condition from an attribute value
+ * @param {string|Object} source - JSON condition or shorthand ("field", "!field", "field=value", "field!=value")
+ * @returns {Object|null} Condition object, or null if empty or invalid
+ * 
+ * @example
+ * parseCondition('contactMethod=phone'); // { field: 'contactMethod', equals: 'phone' }
+ */
+export function parseCondition(source) {
+  if (source && typeof source === 'object') return source;
+  
+  const text = String(source || '').trim();
+  if (!text) return null;
+  
+  if (text.startsWith('{') || text.startsWith('[')) {
+    try {
+      const parsed = JSON.parse(text);
+      return Array.isArray(parsed) ? { and: parsed } : parsed;
+    } catch (error) {
+      console.warn(`Invalid condition: ${text}`, error);
+      return null;
+    }
+  }
+  
+  const notEquals = text.match(/^([^!=]+)!=(.*)$/);
+  if (notEquals) {
+    return { not: { field: notEquals[1].trim(), equals: notEquals[2].trim() } };
+  }
+  
+  const equals = text.match(/^([^=]+)=(.*)$/);
+  if (equals) {
+    return { field: equals[1].trim(), equals: equals[2].trim() };
+  }
+  
+  if (text.startsWith('!')) {
+    return { field: text.slice(1).trim(), truthy: false };
+  }
+  
+  return { field: text, truthy: true };
+}
+
+/**
+ * Evaluate a condition against field values
+ * @param {Object} condition - Condition (see module docs)
+ * @param {Object} values - Typed field values by name (as getFormData with coerce: true)
+ * @returns {boolean} True if the condition holds
+ * 
+ * @example
+ * evaluateCondition({ or: [{ field: 'age', gte: 18 }, { field: 'guardian', truthy: true }] }, { age: 16, guardian: true }); // true
+ */
+export function evaluateCondition(condition, values) {
+  if (!condition) return true;
+  
+  if (Array.isArray(condition.and)) {
+    return condition.and.every(part => evaluateCondition(part, values));
+  }
+  if (Array.isArray(condition.or)) {
+    return condition.or.some(part => evaluateCondition(part, values));
+  }
+  if (condition.not !== undefined) {
+    return !evaluateCondition(condition.not, values);
+  }
+  
+  const value = values[condition.field];
+  
+  if ('equals' in condition) {
+    return matchesValue(value, condition.equals);
+  }
+  if (Array.isArray(condition.in)) {
+    return condition.in.some(expected => matchesValue(value, expected));
+  }
+  
+  const comparisons = { gt: (a, b) => a > b, gte: (a, b) => a >= b, lt: (a, b) => a < b, lte: (a, b) => a <= b };
+  const operator = Object.keys(comparisons).find(key => key in condition);
+  if (operator) {
+    const number = typeof value === 'number' ? value : parseFloat(value);
+    return !isNaN(number) && comparisons[operator](number, Number(condition[operator]));
+  }
+  
+  return isTruthy(value) === (condition.truthy !== false);
+}
+
+/**
+ * Compare a field value to an expected value (as strings; arrays match any item)
+ * @private
+ */
+function matchesValue(value, expected) {
+  if (Array.isArray(value)) {
+    return value.some(item => matchesValue(item, expected));
+  }
+  if (typeof expected === 'boolean') {
+    return isTruthy(value) === expected;
+  }
+  if (value === null || value === undefined) {
+    return expected === null || expected === '';
+  }
+  return String(value) === String(expected);
+}
+
+/**
+ * Whether a field value counts as filled in
+ * @private
+ */
+function isTruthy(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  return value !== null && value !== undefined && value !== '' && value !== false;
+}
+
+// ============================================================================
+// APPLYING RULES
+// ============================================================================
+
+/**
+ * Apply conditional rules to a form and keep them up to date
+ * 
+ * @param {HTMLFormElement} form - The form element
+ * @param {Object} options - Options
+ * @param {Object} options.rules - Rules keyed by field name (config.conditions)
+ * @param {AbortSignal} options.signal - Removes the listeners when aborted
+ * @param {Function} options.onChange - Called with ({ target, rule, active }) when a rule flips
+ * @returns {Object} { evaluate, destroy } - Re-evaluate now; restore every element
+ * 
+ * @example
+ * const conditions = initializeConditions(form, { rules: config.conditions, signal });
+ * conditions.evaluate(); // after changing values programmatically without events
+ */
+export function initializeConditions(form, options = {}) {
+  const states = new Map();
+  
+  /**
+   * Collect the current rules: config rules on field wrappers, then attributes
+   * @returns {Array<Object>} { target, rule, condition }
+   */
+  function collectRules() {
+    const collected = [];
+    
+    Object.entries(options.rules || {}).forEach(([fieldName, fieldRules]) => {
+      const controls = form.querySelectorAll(`[name="${fieldName}"]`);
+      if (controls.length === 0) return;
+      
+      Object.keys(RULE_ATTRIBUTES).forEach(rule => {
+        const condition = parseCondition(fieldRules[rule]);
+        if (!condition) return;
+        
+        const targets = rule === 'requiredIf'
+          ? [...controls]
+          : [...new Set([...controls].map(control => getFieldWrapper(control)))];
+        targets.forEach(target => collected.push({ target, rule, condition }));
+      });
+    });
+    
+    Object.entries(RULE_ATTRIBUTES).forEach(([rule, attribute]) => {
+      form.querySelectorAll(`[${attribute}]`).forEach(target => {
+        const condition = parseCondition(target.getAttribute(attribute));
+        if (condition) collected.push({ target, rule, condition });
+      });
+    });
+    
+    return collected;
+  }
+  
+  /**
+   * Evaluate every rule and update the affected elements
+   */
+  function evaluate() {
+    const rules = collectRules();
+    if (rules.length === 0 && states.size === 0) return;
+    
+    const flips = [];
+    
+    // Several passes, so fields hidden by one rule can hide the fields depending on them
+    for (let pass = 0; pass < 5; pass++) {
+      const values = getFormData(form, { coerce: true });
+      let changed = false;
+      
+      rules.forEach(({ target, rule, condition }) => {
+        const active = evaluateCondition(condition, values);
+        const state = states.get(target) || {};
+        if (state[rule] === active) return;
+        
+        state[rule] = active;
+        states.set(target, state);
+        applyState(target, state);
+        changed = true;
+        flips.push({ target, rule, active });
+      });
+      
+      if (!changed) break;
+      syncDisabled(form);
+    }
+    
+    flips.forEach(flip => options.onChange?.(flip));
+  }
+  
+  form.addEventListener('input', evaluate, { signal: options.signal });
+  form.addEventListener('change', evaluate, { signal: options.signal });
+  form.addEventListener('reset', () => setTimeout(evaluate), { signal: options.signal });
+  
+  evaluate();
+  
+  return {
+    evaluate,
+    
+    /**
+     * Show and enable everything the rules hid or disabled (required flags are kept)
+     */
+    destroy: () => {
+      states.forEach((state, target) => {
+        applyState(target, {
+          showIf: state.showIf === undefined ? undefined : true,
+          enableIf: state.enableIf === undefined ? undefined : true
+        });
+      });
+      states.clear();
+      syncDisabled(form);
+    }
+  };
+}
+
+/**
+ * Element hidden by rules keyed by a field name: its wrapper
+ * @private
+ */
+function getFieldWrapper(control) {
+  return control.closest('[data-field]') || control.closest('.form-check') || control;
+}
+
+/**
+ * Apply the rule results of one target element
+ * Show and enable rules mark the target; controls are disabled by syncDisabled.
+ * @param {HTMLElement} target - Field or container
+ * @param {Object} state - { showIf, enableIf, requiredIf } results (undefined when no such rule)
+ * @private
+ */
+function applyState(target, state) {
+  if (state.showIf !== undefined) {
+    target.classList.toggle('d-none', !state.showIf);
+    target.toggleAttribute('data-condition-hidden', !state.showIf);
+  }
+  
+  if (state.enableIf !== undefined) {
+    target.toggleAttribute('data-condition-inactive', !state.enableIf);
+    
+    // A field with its own enable rule may start out disabled in the markup
+    if (target.matches(CONTROL_SELECTOR) && target.disabled) {
+      target.dataset.disabledByCondition = '';
+    }
+  }
+  
+  if (state.requiredIf !== undefined) {
+    const controls = target.matches(CONTROL_SELECTOR) ? [target] : [...target.querySelectorAll(CONTROL_SELECTOR)];
+    controls.forEach(control => {
+      control.required = state.requiredIf;
+      if (!state.requiredIf) clearValidationState(control);
+    });
+  }
+}
+
+/**
+ * Disable controls inside hidden or inactive targets, and re-enable the
+ * ones this feature disabled once they are not; controls disabled by
+ * other code are left alone
+ * @param {HTMLFormElement} form - The form element
+ * @private
+ */
+function syncDisabled(form) {
+  form.querySelectorAll(CONTROL_SELECTOR).forEach(control => {
+    const blocked = Boolean(control.closest('[data-condition-hidden], [data-condition-inactive]'));
+    
+    if (blocked && !control.disabled) {
+      control.disabled = true;
+      control.dataset.disabledByCondition = '';
+      clearValidationState(control);
+      control.classList.remove('was-validated-field');
+    } else if (!blocked && control.hasAttribute('data-disabled-by-condition')) {
+      control.disabled = false;
+      delete control.dataset.disabledByCondition;
+    }
+  });
+}
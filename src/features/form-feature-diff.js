@@ -0,0 +1,156 @@
+/**
+ * Form Kit - Diff Submission Feature
+ * 
+ * Builds PATCH payloads for edit forms containing only the fields the user
+ * changed since the form was populated, either as a partial object
+ * (JSON merge style) or as a JSON Patch document (RFC 6902).
+ * 
+ * Used by initializeForm when data-form-config sets "submitMode": "diff":
+ * {
+ *   "submitMode": "diff",
+ *   "diffFormat": "merge",       // or "json-patch"
+ *   "alwaysInclude": ["id"]      // sent even when unchanged
+ * }
+ * 
+ * @module form-kit/features/form-feature-diff
+ */
+
+'use strict';
+
+import { parseFieldPath } from '../helpers/form-data.js';
+
+/**
+ * Content type for JSON Patch documents
+ */
+export const JSON_PATCH_CONTENT_TYPE = 'application/json-patch+json';
+
+/**
+ * Build a partial payload with only changed fields (plus alwaysInclude keys)
+ * 
+ * Values come from the submission data (after transforms). Changed fields
+ * missing from it, such as an unchecked checkbox, fall back to currentValues.
+ * 
+ * A merge PATCH replaces arrays whole, so a change inside a repeated row
+ * (e.g. contacts[1].email) sends every current row of that array rather
+ * than a sparse one; an array whose rows were all removed is sent as [].
+ * 
+ * @param {Object} data - Full submission data
+ * @param {Object} diff - Diff information
+ * @param {Array<string>} diff.changedFields - Names of changed fields
+ * @param {Object} diff.currentValues - Current field values (see readFormValues)
+ * @param {Array<string>} diff.alwaysInclude - Keys always included when present in data
+ * @returns {Object} Partial payload
+ * 
+ * @example
+ * buildDiffPayload({ id: 7, email: 'a@b.c', name: 'Ann' }, {
+ *   changedFields: ['email'], currentValues: {}, alwaysInclude: ['id']
+ * }); // { id: 7, email: 'a@b.c' }
+ */
+export function buildDiffPayload(data, diff) {
+  const { changedFields = [], currentValues = {}, alwaysInclude = [] } = diff;
+  const payload = {};
+  
+  alwaysInclude.forEach(key => {
+    if (key in data) payload[key] = data[key];
+  });
+  
+  changedFields.forEach(key => {
+    const arrayPath = getArrayPath(key);
+    if (!arrayPath) {
+      payload[key] = key in data ? data[key] : (currentValues[key] ?? null);
+      return;
+    }
+    
+    const rowKeys = Object.keys(data).filter(name => startsWithPath(parseFieldPath(name), arrayPath));
+    rowKeys.forEach(name => {
+      payload[name] = data[name];
+    });
+    if (rowKeys.length === 0) {
+      payload[arrayPath.join('.')] = [];
+    }
+  });
+  
+  return payload;
+}
+
+/**
+ * Path of the outermost array a field name indexes into
+ * 'contacts[1].email' -> ['contacts']; null for names without an index.
+ * @private
+ */
+function getArrayPath(key) {
+  const segments = parseFieldPath(key);
+  const index = segments.findIndex(segment => typeof segment === 'number');
+  return index > 0 ? segments.slice(0, index) : null;
+}
+
+/**
+ * Check whether path segments start with a prefix
+ * @private
+ */
+function startsWithPath(segments, prefix) {
+  return segments.length > prefix.length && prefix.every((segment, index) => segments[index] === segment);
+}
+
+/**
+ * Build a JSON Patch (RFC 6902) document for changed fields
+ * 
+ * - Fields without an initial value produce "add"
+ * - Fields no longer in the form produce "remove"
+ * - Other changes produce "replace"
+ * - alwaysInclude keys produce a leading "test" operation, so the server
+ *   rejects the patch if e.g. the record id does not match
+ * 
+ * @param {Object} data - Full submission data
+ * @param {Object} diff - Diff information
+ * @param {Array<string>} diff.changedFields - Names of changed fields
+ * @param {Object} diff.initialValues - Snapshot values (see readFormValues)
+ * @param {Object} diff.currentValues - Current field values
+ * @param {Array<string>} diff.alwaysInclude - Keys to emit "test" operations for
+ * @returns {Array<Object>} JSON Patch operations
+ * 
+ * @example
+ * toJsonPatch({ id: 7, email: 'new@b.c' }, {
+ *   changedFields: ['email'], initialValues: { email: 'old@b.c' }, currentValues: { email: 'new@b.c' }, alwaysInclude: ['id']
+ * });
+ * // [{ op: 'test', path: '/id', value: 7 }, { op: 'replace', path: '/email', value: 'new@b.c' }]
+ */
+export function toJsonPatch(data, diff) {
+  const { changedFields = [], initialValues = {}, currentValues = {}, alwaysInclude = [] } = diff;
+  const operations = [];
+  
+  alwaysInclude.forEach(key => {
+    if (key in data) {
+      operations.push({ op: 'test', path: toPointer(key), value: data[key] });
+    }
+  });
+  
+  changedFields.forEach(key => {
+    const path = toPointer(key);
+    
+    if (!(key in currentValues) && !(key in data)) {
+      operations.push({ op: 'remove', path });
+      return;
+    }
+    
+    const value = key in data ? data[key] : (currentValues[key] ?? null);
+    const op = key in initialValues ? 'replace' : 'add';
+    operations.push({ op, path, value });
+  });
+  
+  return operations;
+}
+
+/**
+ * Convert a field name to a JSON Pointer (RFC 6901)
+ * Dotted and bracketed names become one segment per level,
+ * e.g. 'address.city' -> '/address/city', 'items[0].qty' -> '/items/0/qty'.
+ * @param {string} key - Field name
+ * @returns {string} JSON Pointer
+ */
+export function toPointer(key) {
+  return parseFieldPath(key)
+    .filter(segment => segment !== '')
+    .map(segment => '/' + String(segment).replace(/~/g, '~0').replace(/\//g, '~1'))
+    .join('');
+}
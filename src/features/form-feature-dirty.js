@@ -0,0 +1,211 @@
+/**
+ * Form Kit - Dirty Tracking Feature
+ * 
+ * Tracks whether a form's values differ from a snapshot taken at load,
+ * after populate() or after a successful save, and optionally guards
+ * against losing unsaved edits when leaving the page or closing a modal.
+ * 
+ * Values are compared per field name, so typing a value and deleting it
+ * again leaves the form clean.
+ * 
+ * @module form-kit/features/form-feature-dirty
+ */
+
+'use strict';
+
+import { t } from '../helpers/form-i18n.js';
+
+// ============================================================================
+// VALUE SNAPSHOTS
+// ============================================================================
+
+/**
+ * Read the current value of every named field in a form
+ * 
+ * Unlike FormData, unchecked checkboxes are included (as false, or as an
+ * empty array for checkbox groups), and disabled fields are included too,
+ * so enabling or disabling a field does not count as an edit.
+ * 
+ * @param {HTMLFormElement} form - The form element
+ * @returns {Object} Map of field names to values
+ */
+export function readFormValues(form) {
+  const values = {};
+  const checkboxCounts = {};
+  
+  [...form.elements].forEach(element => {
+    if (element.name && element.type === 'checkbox') {
+      checkboxCounts[element.name] = (checkboxCounts[element.name] || 0) + 1;
+    }
+  });
+  
+  [...form.elements].forEach(element => {
+    const { name, type } = element;
+    if (!name || ['button', 'submit', 'reset', 'image'].includes(type) || element.tagName === 'FIELDSET') {
+      return;
+    }
+    
+    if (type === 'checkbox') {
+      if (checkboxCounts[name] > 1) {
+        values[name] = values[name] || [];
+        if (element.checked) values[name].push(element.value);
+      } else {
+        values[name] = element.checked;
+      }
+    } else if (type === 'radio') {
+      if (!(name in values)) values[name] = null;
+      if (element.checked) values[name] = element.value;
+    } else if (type === 'file') {
+      values[name] = [...(element.files || [])].map(file => `${file.name}:${file.size}`);
+    } else if (element.tagName === 'SELECT' && element.multiple) {
+      values[name] = [...element.selectedOptions].map(option => option.value);
+    } else if (name in values) {
+      // Repeated names (e.g. several hidden inputs) are compared as a list
+      values[name] = [].concat(values[name], element.value);
+    } else {
+      values[name] = element.value;
+    }
+  });
+  
+  return values;
+}
+
+/**
+ * Compare two field values
+ * @private
+ */
+function isSameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+// ============================================================================
+// TRACKER
+// ============================================================================
+
+/**
+ * Create a dirty tracker for a form
+ * 
+ * The tracker does not listen to events itself: call update() after edits.
+ * It toggles the `dirty` class on the form and calls onChange when the
+ * dirty state flips.
+ * 
+ * @param {HTMLFormElement} form - The form element
+ * @param {Object} options - Tracker options
+ * @param {Function} options.onChange - Called with (dirty) when the dirty state flips
+ * @returns {Object} Tracker with snapshot, update, acceptField, isDirty, getChangedFields and getInitialValues
+ * 
+ * @example
+ * const tracker = createDirtyTracker(form, { onChange: dirty => console.log(dirty) });
+ * form.addEventListener('input', () => tracker.update());
+ */
+export function createDirtyTracker(form, options = {}) {
+  let initialValues = readFormValues(form);
+  let dirty = false;
+  
+  /**
+   * Names of fields whose value differs from the snapshot
+   * @returns {Array<string>} Changed field names
+   */
+  function getChangedFields() {
+    const current = readFormValues(form);
+    const names = new Set([...Object.keys(initialValues), ...Object.keys(current)]);
+    return [...names].filter(name => !isSameValue(initialValues[name], current[name]));
+  }
+  
+  /**
+   * Recompute the dirty state, updating the CSS class and notifying on change
+   * @returns {boolean} Current dirty state
+   */
+  function update() {
+    const isNowDirty = getChangedFields().length > 0;
+    form.classList.toggle('dirty', isNowDirty);
+    
+    if (isNowDirty !== dirty) {
+      dirty = isNowDirty;
+      options.onChange?.(dirty);
+    }
+    
+    return dirty;
+  }
+  
+  /**
+   * Take a new snapshot of the current values (the form becomes clean)
+   */
+  function snapshot() {
+    initialValues = readFormValues(form);
+    update();
+  }
+  
+  return {
+    snapshot,
+    update,
+    getChangedFields,
+    
+    /**
+     * Take the current value of one field into the snapshot
+     * (e.g. a value selected once its options were loaded)
+     * @param {string} name - Field name
+     */
+    acceptField: (name) => {
+      const current = readFormValues(form);
+      if (name in current) {
+        initialValues[name] = current[name];
+      } else {
+        delete initialValues[name];
+      }
+      update();
+    },
+    
+    /**
+     * Whether the form differs from the snapshot
+     * @returns {boolean} Dirty state
+     */
+    isDirty: () => getChangedFields().length > 0,
+    
+    /**
+     * Values captured by the last snapshot
+     * @returns {Object} Copy of the snapshot values
+     */
+    getInitialValues: () => JSON.parse(JSON.stringify(initialValues))
+  };
+}
+
+// ============================================================================
+// UNSAVED CHANGES GUARD
+// ============================================================================
+
+/**
+ * Prompt before losing unsaved edits
+ * 
+ * Listens to beforeunload on the window and, when the form is inside a
+ * Bootstrap modal, to hide.bs.modal (cancelled unless the user confirms).
+ * Browsers show their own text for beforeunload; the message is used for
+ * the modal confirmation.
+ * 
+ * @param {HTMLFormElement} form - The form element
+ * @param {Function} isDirty - Returns true when there are unsaved edits
+ * @param {Object} options - Guard options
+ * @param {string} options.message - Confirmation message for modals (default: t('dirty.confirm'))
+ * @returns {Function} Function that removes the guard
+ */
+export function installUnsavedChangesGuard(form, isDirty, options = {}) {
+  const controller = new AbortController();
+  
+  window.addEventListener('beforeunload', (e) => {
+    if (!form.isConnected || !isDirty()) return;
+    e.preventDefault();
+    e.returnValue = '';
+  }, { signal: controller.signal });
+  
+  const modal = form.closest('.modal');
+  if (modal) {
+    modal.addEventListener('hide.bs.modal', (e) => {
+      if (e.target !== modal) return; // Ignore nested modals
+      if (isDirty() && !window.confirm(options.message || t('dirty.confirm'))) {
+        e.preventDefault();
+      }
+    }, { signal: controller.signal });
+  }
+  
+  return () => controller.abort();
+}
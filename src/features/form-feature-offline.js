@@ -0,0 +1,362 @@
+/**
+ * Form Kit - Offline Queue Feature
+ * 
+ * Stores submissions made while offline in IndexedDB and sends them when
+ * connectivity returns. Each queued submission keeps the idempotency key
+ * it was created with, so a replay that reaches the server twice is only
+ * applied once (when the API honors Idempotency-Key).
+ * 
+ * Used by initializeForm when data-form-config sets "offline": true:
+ * submissions made while navigator.onLine is false, or failing with a
+ * network error, are queued instead of lost.
+ * 
+ * Replayed requests use the current global transport settings, so auth
+ * headers and CSRF tokens are read at send time. Header functions and
+ * interceptors from a form's options.transport are not stored.
+ * 
+ * @module form-kit/features/form-feature-offline
+ */
+
+'use strict';
+
+import { sendRequest, createIdempotencyKey } from '../helpers/form-transport.js';
+import { showToast } from '../helpers/form-helpers.js';
+import { t } from '../helpers/form-i18n.js';
+
+/**
+ * IndexedDB database and store names
+ */
+const DB_NAME = 'form-kit';
+const DB_VERSION = 1;
+const STORE_NAME = 'submissions';
+
+/**
+ * In-memory fallback when IndexedDB is unavailable (e.g. private mode)
+ * @private
+ */
+const memoryQueue = [];
+let memoryId = 0;
+
+/**
+ * Replay state
+ * @private
+ */
+let replayController = null;
+let replayOptions = {};
+let replaying = null;
+let replayTimer = null;
+
+/**
+ * Delay before retrying submissions that failed while the browser reported being online
+ */
+const DEFAULT_REPLAY_INTERVAL = 30000;
+
+// ============================================================================
+// STORAGE
+// ============================================================================
+
+/**
+ * Open (and create if needed) the queue database
+ * @returns {Promise<IDBDatabase|null>} Database, or null if IndexedDB is unavailable
+ * @private
+ */
+function openDatabase() {
+  if (typeof indexedDB === 'undefined') {
+    return Promise.resolve(null);
+  }
+  
+  return new Promise((resolve) => {
+    let blocked = false;
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+    };
+    request.onsuccess = () => {
+      // Opened after being reported blocked: the caller already fell back to memory
+      if (blocked) {
+        request.result.close();
+        return;
+      }
+      resolve(request.result);
+    };
+    request.onerror = () => {
+      console.warn('Offline queue: IndexedDB unavailable, queue kept in memory', request.error);
+      resolve(null);
+    };
+    // Another tab holds an older version open; do not wait for it to close
+    request.onblocked = () => {
+      blocked = true;
+      console.warn('Offline queue: IndexedDB blocked by another tab, queue kept in memory');
+      resolve(null);
+    };
+  });
+}
+
+/**
+ * Run a single operation on the queue store
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} operation - (store) => IDBRequest
+ * @param {Function} fallback - Operation on the in-memory queue when IndexedDB is unavailable
+ * @returns {Promise<*>} Result of the request
+ * @private
+ */
+async function withStore(mode, operation, fallback) {
+  const db = await openDatabase();
+  if (!db) return fallback();
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = operation(transaction.objectStore(STORE_NAME));
+    transaction.oncomplete = () => {
+      db.close();
+      resolve(request.result);
+    };
+    transaction.onerror = () => {
+      db.close();
+      reject(transaction.error);
+    };
+    // Quota errors, storage eviction and commit failures only fire abort
+    transaction.onabort = () => {
+      db.close();
+      reject(transaction.error || new DOMException('Transaction aborted', 'AbortError'));
+    };
+  });
+}
+
+/**
+ * Add a submission to the offline queue
+ * 
+ * @param {Object} submission - Submission to store
+ * @param {string} submission.url - Endpoint URL
+ * @param {string} submission.method - HTTP method
+ * @param {Object} submission.data - Payload (may contain files)
+ * @param {Object} submission.options - Serializable transport options (encoding, headers object, ...)
+ * @param {string} submission.formId - ID of the form it came from (optional)
+ * @returns {Promise<Object>} The stored submission, including id and idempotencyKey
+ * 
+ * @example
+ * await queueSubmission({ url: '/api/notes', method: 'POST', data: { text: 'Hi' } });
+ */
+export async function queueSubmission(submission) {
+  const entry = {
+    url: submission.url,
+    method: submission.method || 'POST',
+    data: submission.data,
+    options: toStorableOptions(submission.options),
+    formId: submission.formId || null,
+    idempotencyKey: submission.idempotencyKey || createIdempotencyKey(),
+    queuedAt: new Date().toISOString()
+  };
+  
+  const id = await withStore('readwrite', store => store.add(entry), () => {
+    memoryId += 1;
+    memoryQueue.push({ ...entry, id: memoryId });
+    return memoryId;
+  });
+  
+  scheduleReplay();
+  return { ...entry, id };
+}
+
+/**
+ * Keep only transport options that survive structured cloning
+ * @private
+ */
+function toStorableOptions(options = {}) {
+  const storable = {};
+  
+  Object.entries(options).forEach(([key, value]) => {
+    if (typeof value === 'function' || key === 'signal' || key === 'transport') return;
+    if (key === 'headers' && (typeof value !== 'object' || Array.isArray(value))) return;
+    storable[key] = value;
+  });
+  
+  return storable;
+}
+
+/**
+ * Get all queued submissions, oldest first
+ * @returns {Promise<Array<Object>>} Queued submissions
+ */
+export function getQueuedSubmissions() {
+  return withStore('readonly', store => store.getAll(), () => [...memoryQueue]);
+}
+
+/**
+ * Remove a submission from the queue
+ * @param {number} id - Submission id
+ * @returns {Promise<void>}
+ */
+export function removeQueuedSubmission(id) {
+  return withStore('readwrite', store => store.delete(id), () => {
+    const index = memoryQueue.findIndex(entry => entry.id === id);
+    if (index !== -1) memoryQueue.splice(index, 1);
+  });
+}
+
+/**
+ * Remove every queued submission
+ * @returns {Promise<void>}
+ */
+export function clearQueue() {
+  return withStore('readwrite', store => store.clear(), () => {
+    memoryQueue.length = 0;
+  });
+}
+
+// ============================================================================
+// REPLAY
+// ============================================================================
+
+/**
+ * Send every queued submission, oldest first
+ * 
+ * - Sent submissions are removed from the queue
+ * - Submissions rejected by the server (4xx) are removed and reported as failed
+ * - On network errors, timeouts or 5xx responses replay stops and the
+ *   remaining submissions stay queued for the next attempt
+ * 
+ * Concurrent calls share the same run.
+ * 
+ * @returns {Promise<Object>} { sent, failed, remaining } counts
+ */
+export function replayQueue() {
+  if (!replaying) {
+    replaying = runReplay().finally(() => {
+      replaying = null;
+    });
+  }
+  return replaying;
+}
+
+/**
+ * Replay implementation
+ * @private
+ */
+async function runReplay() {
+  const queued = await getQueuedSubmissions();
+  const result = { sent: 0, failed: 0, remaining: queued.length };
+  
+  for (const submission of queued) {
+    try {
+      const response = await sendRequest(submission.url, submission.method, submission.data, {
+        ...submission.options,
+        idempotencyKey: submission.idempotencyKey
+      });
+      await removeQueuedSubmission(submission.id);
+      result.sent += 1;
+      result.remaining -= 1;
+      notifyReplay('sent', { submission, response });
+    } catch (error) {
+      if (error.code === 'HTTP' && error.status < 500) {
+        await removeQueuedSubmission(submission.id);
+        result.failed += 1;
+        result.remaining -= 1;
+        notifyReplay('failed', { submission, error });
+        continue;
+      }
+      
+      // Still unreachable: keep this and the remaining submissions for later
+      break;
+    }
+  }
+  
+  if (result.remaining > 0) {
+    scheduleReplay();
+  }
+  
+  if (replayOptions.showToast !== false && result.sent > 0) {
+    showToast(t('offline.sent', { count: result.sent }), 'success');
+  }
+  
+  return result;
+}
+
+/**
+ * Report a replayed submission via callbacks, a toast and a window event
+ * @private
+ */
+function notifyReplay(outcome, detail) {
+  if (outcome === 'sent') {
+    replayOptions.onSent?.(detail.submission, detail.response);
+  } else {
+    replayOptions.onFailed?.(detail.submission, detail.error);
+    if (replayOptions.showToast !== false) {
+      showToast(t('offline.failed', { error: detail.error.message }), 'error');
+    }
+  }
+  
+  window.dispatchEvent(new CustomEvent(`formkit:queue${outcome === 'sent' ? 'Sent' : 'Failed'}`, { detail }));
+}
+
+/**
+ * Retry later when the browser reports being online but the server was
+ * unreachable (no 'online' event will fire in that case)
+ * @private
+ */
+function scheduleReplay() {
+  if (!replayController || replayTimer || isOffline()) return;
+  
+  replayTimer = setTimeout(() => {
+    replayTimer = null;
+    replayInBackground();
+  }, replayOptions.interval || DEFAULT_REPLAY_INTERVAL);
+}
+
+/**
+ * Replay from a timer or event listener, where a rejection (e.g. a
+ * QuotaExceededError from the store) would otherwise go unhandled
+ * @private
+ */
+function replayInBackground() {
+  replayQueue().catch(error => console.warn('Offline queue: replay failed', error));
+}
+
+/**
+ * Replay the queue whenever the browser comes back online (and once now,
+ * if online, for submissions left from a previous visit)
+ * 
+ * Calling it again updates the options without adding listeners.
+ * 
+ * @param {Object} options - Replay options
+ * @param {Function} options.onSent - Called with (submission, response) for each sent submission
+ * @param {Function} options.onFailed - Called with (submission, error) for each rejected submission
+ * @param {boolean} options.showToast - Show toasts for sent/failed submissions (default: true)
+ * @param {number} options.interval - Milliseconds between retries while online but unreachable (default: 30000)
+ * @returns {Function} Function that stops listening
+ * 
+ * @example
+ * startQueueReplay({ onSent: (submission) => console.log('Sent', submission.url) });
+ */
+export function startQueueReplay(options = {}) {
+  replayOptions = { ...replayOptions, ...options };
+  
+  if (!replayController) {
+    replayController = new AbortController();
+    window.addEventListener('online', replayInBackground, { signal: replayController.signal });
+    
+    if (navigator.onLine !== false) {
+      replayInBackground();
+    }
+  }
+  
+  return stopQueueReplay;
+}
+
+/**
+ * Stop replaying the queue when the browser comes back online
+ */
+export function stopQueueReplay() {
+  replayController?.abort();
+  replayController = null;
+  clearTimeout(replayTimer);
+  replayTimer = null;
+}
+
+/**
+ * Check whether the browser reports being offline
+ * @returns {boolean} True if offline
+ */
+export function isOffline() {
+  return typeof navigator !== 'undefined' && navigator.onLine === false;
+}
@@ -0,0 +1,510 @@
+/**
+ * Form Kit - Remote Options Feature
+ * 
+ * Loads the options of <select> elements from an API, with dependent
+ * (cascading) selects that reload when the fields they depend on change.
+ * Responses are cached per URL through loadAppData.
+ * 
+ * MARKUP:
+ * <select name="country" data-options-source="/api/countries" data-options-value="code" data-options-label="name"></select>
+ * <select name="region" data-options-source="/api/countries/{country}/regions"></select>
+ * <select name="city" data-options-source="/api/cities?region={region}"
+ *         data-options-template="{name} ({population})" data-options-group="province"></select>
+ * 
+ * ATTRIBUTES:
+ * - data-options-source       URL; {field} placeholders are replaced with the (encoded) value
+ *                             of that field, and the select reloads when the field changes
+ * - data-options-depends-on   Extra comma-separated field names that trigger a reload
+ * - data-options-value        Item property used as option value (default: value, then id)
+ * - data-options-label        Item property used as option text (default: label, then name)
+ * - data-options-template     Option text template, e.g. "{code} - {name}" (overrides the label)
+ * - data-options-group        Item property to group options by (one <optgroup> per value)
+ * - data-options-path         Where the array is in the response, e.g. "data.items"
+ *                             (default: the response itself, or its data property)
+ * - data-options-placeholder  Text of the empty first option (default: "Select...")
+ * - data-options-cache        "false" to fetch on every load
+ * - data-value                Value selected once the options are loaded
+ * 
+ * STATES (data-options-state on the select; aria-busy while loading):
+ * - waiting   a field in the URL is empty; only the placeholder is shown
+ * - loading   request in flight ("Loading...")
+ * - ready     options rendered
+ * - empty     the response had no items ("No options available")
+ * - error     the request failed ("Unable to load options")
+ * Texts can be changed with data-options-loading-text, -empty-text and -error-text.
+ * 
+ * A value that arrives before the options (data-value, the value rendered by
+ * the server, or populateForm data) is selected as soon as they are loaded.
+ * Otherwise a reload keeps the current selection where the new options allow,
+ * also when it supersedes a load still in flight.
+ * 
+ * @module form-kit/features/form-feature-options
+ */
+
+'use strict';
+
+import { loadAppData } from '../helpers/form-helpers.js';
+import { getFieldPath } from '../helpers/form-data.js';
+import { t } from '../helpers/form-i18n.js';
+
+/**
+ * Selects with remote options
+ * @private
+ */
+const SOURCE_SELECTOR = 'select[data-options-source]';
+
+/**
+ * {field} placeholders in source URLs and label templates
+ * @private
+ */
+const PLACEHOLDER_PATTERN = /\{([^{}]+)\}/g;
+
+/**
+ * Latest load per select, so responses of superseded loads are ignored
+ * @private
+ */
+const latestLoads = new WeakMap();
+
+/**
+ * Last settled selection per select (after a change or a completed load),
+ * restored when a load supersedes one still in flight
+ * @private
+ */
+const settledSelections = new WeakMap();
+
+// ============================================================================
+// INITIALIZATION
+// ============================================================================
+
+/**
+ * Load the options of every select[data-options-source] in a form and
+ * reload dependent selects when the fields they depend on change
+ * 
+ * @param {HTMLFormElement} form - The form element
+ * @param {Object} options - Options
+ * @param {AbortSignal} options.signal - Removes the listeners when aborted
+ * @param {Function} options.onLoad - Called with ({ select, items, error }) after each load
+ * @param {Function} options.applyValue - Called with (select, apply) to select a value that
+ *   arrived before the options; must call apply(). Lets initializeForm treat it like populate().
+ * @returns {Object} { reload, refresh } - Reload one select (or all); pick up selects added later
+ * 
+ * @example
+ * const remoteOptions = initializeRemoteOptions(form, { signal });
+ * remoteOptions.reload('region');
+ */
+export function initializeRemoteOptions(form, options = {}) {
+  const known = new Set();
+  const pendingValues = new Map();
+  const loadedUrls = new Map();
+  
+  /**
+   * Load a select whose URL placeholders are filled, or show it as waiting
+   * @param {HTMLSelectElement} select - Select with data-options-source
+   * @returns {Promise<Array>} Loaded items (empty while waiting or on error)
+   */
+  async function load(select) {
+    // While a load is in flight only the status option is shown
+    const previous = select.dataset.optionsState === 'loading'
+      ? settledSelections.get(select) ?? []
+      : getSelectedValues(select);
+    const url = resolveSourceUrl(select, form);
+    loadedUrls.set(select, url);
+    
+    let items = [];
+    let error = null;
+    
+    if (url === null) {
+      latestLoads.delete(select);
+      renderOptions(select, [], 'waiting');
+    } else {
+      try {
+        items = await loadSelectOptions(select, url);
+      } catch (loadError) {
+        error = loadError;
+      }
+      if (options.signal?.aborted || !select.isConnected) return items;
+      if (error?.name === 'AbortError') return items; // Superseded by a newer load
+    }
+    
+    // Select the value that arrived before the options, else keep the previous one
+    const state = select.dataset.optionsState;
+    if (pendingValues.has(select) && (state === 'ready' || state === 'empty')) {
+      const value = pendingValues.get(select);
+      pendingValues.delete(select);
+      restoreValue(select, value, previous);
+    } else {
+      setSelectedValues(select, previous);
+      settledSelections.set(select, getSelectedValues(select));
+      notifyIfChanged(select, previous);
+    }
+    
+    // Dependents that saw this select empty while it was loading
+    getSelects().forEach(dependent => {
+      if (getDependencies(dependent).includes(select.name) && resolveSourceUrl(dependent, form) !== loadedUrls.get(dependent)) {
+        load(dependent);
+      }
+    });
+    
+    options.onLoad?.({ select, items, error });
+    return items;
+  }
+  
+  /**
+   * Select a value that arrived before the options were loaded
+   */
+  function restoreValue(select, value, previous) {
+    const apply = () => {
+      setSelectedValues(select, [].concat(value ?? []).map(String));
+      settledSelections.set(select, getSelectedValues(select));
+      notifyIfChanged(select, previous);
+    };
+    
+    if (options.applyValue) {
+      options.applyValue(select, apply);
+    } else {
+      apply();
+    }
+  }
+  
+  /**
+   * Set up selects not seen before and load them
+   */
+  function refresh() {
+    form.querySelectorAll(SOURCE_SELECTOR).forEach(select => {
+      if (known.has(select)) return;
+      known.add(select);
+      
+      const initial = select.dataset.value ?? (select.value || undefined);
+      if (initial !== undefined) {
+        pendingValues.set(select, select.multiple ? String(initial).split(',') : initial);
+      }
+      load(select);
+    });
+  }
+  
+  /**
+   * Reload selects whose source depends on a changed field
+   * @param {Event} e - change event
+   */
+  const handleChange = (e) => {
+    const name = e.target.name;
+    if (!name) return;
+    
+    if (known.has(e.target) && e.target.dataset.optionsState !== 'loading') {
+      settledSelections.set(e.target, getSelectedValues(e.target));
+    }
+    
+    getSelects().forEach(select => {
+      if (select !== e.target && getDependencies(select).includes(name)) {
+        load(select);
+      }
+    });
+  };
+  
+  /**
+   * Remote selects still in the form
+   * @returns {Array<HTMLSelectElement>} Selects
+   */
+  function getSelects() {
+    return [...known].filter(select => form.contains(select));
+  }
+  
+  form.addEventListener('change', handleChange, { signal: options.signal });
+  
+  // populateForm: remember values for selects whose options are not loaded (yet),
+  // and select them once populateForm has finished if the options are already there
+  form.addEventListener('formkit:populate', (e) => {
+    const data = e.detail?.data || {};
+    getSelects().forEach(select => {
+      const value = getFieldPath(data, select.name);
+      if (value === undefined) return;
+      
+      pendingValues.set(select, value);
+      queueMicrotask(() => {
+        // Still loading (e.g. populateForm changed a field it depends on): selected after the load
+        if (pendingValues.get(select) !== value || select.dataset.optionsState !== 'ready') return;
+        pendingValues.delete(select);
+        restoreValue(select, value, getSelectedValues(select));
+      });
+    });
+  }, { signal: options.signal });
+  
+  refresh();
+  
+  return {
+    /**
+     * Reload the options of a select, or of every remote select
+     * @param {string|HTMLSelectElement} target - Field name or select (omit for all)
+     * @returns {Promise<void>} Resolves when loaded
+     */
+    reload: async (target) => {
+      const selects = getSelects().filter(select => !target || select === target || select.name === target);
+      await Promise.all(selects.map(select => load(select)));
+    },
+    
+    refresh
+  };
+}
+
+// ============================================================================
+// LOADING
+// ============================================================================
+
+/**
+ * Load options into a select from a URL or an array
+ * Mapping attributes (data-options-value, -label, -template, -group, -path)
+ * are read from the select; options passed here take precedence.
+ * 
+ * @param {HTMLSelectElement} select - The select element
+ * @param {string|Array} source - URL or array of items
+ * @param {Object} mapping - Overrides: { value, label, template, group, path, placeholder, cache }
+ * @returns {Promise<Array>} The loaded items
+ * @throws {Error} If the request fails or the response holds no array
+ * 
+ * @example
+ * await loadSelectOptions(select, '/api/apps', { value: 'id', template: '{iGateApp} - {cetApp} (ID: {id})' });
+ */
+export async function loadSelectOptions(select, source, mapping = {}) {
+  const settings = { ...readOptionsMapping(select), ...mapping };
+  const load = {};
+  latestLoads.set(select, load);
+  
+  renderOptions(select, [], 'loading', settings);
+  
+  let items;
+  try {
+    const response = await loadAppData(source, { cache: settings.cache, throwOnError: true });
+    items = extractOptionItems(response, settings.path);
+  } catch (error) {
+    if (latestLoads.get(select) !== load) throw createAbortError();
+    console.error(`Error loading options for "${select.name}":`, error);
+    renderOptions(select, [], 'error', settings);
+    throw error;
+  }
+  
+  if (latestLoads.get(select) !== load) throw createAbortError();
+  
+  renderOptions(select, items, items.length > 0 ? 'ready' : 'empty', settings);
+  return items;
+}
+
+/**
+ * Build the URL of a select from data-options-source and the current field values
+ * @param {HTMLSelectElement} select - The select element
+ * @param {HTMLFormElement} form - The form element
+ * @returns {string|null} URL, or null while a referenced field is empty
+ * @private
+ */
+function resolveSourceUrl(select, form) {
+  let missing = false;
+  
+  const url = select.dataset.optionsSource.replace(PLACEHOLDER_PATTERN, (match, name) => {
+    const value = readFieldValue(form, name.trim());
+    if (value === '') missing = true;
+    return encodeURIComponent(value);
+  });
+  
+  const extra = (select.dataset.optionsDependsOn || '').split(',').map(name => name.trim()).filter(Boolean);
+  if (extra.some(name => readFieldValue(form, name) === '')) missing = true;
+  
+  return missing ? null : url;
+}
+
+/**
+ * Field names a select depends on: URL placeholders and data-options-depends-on
+ * @private
+ */
+function getDependencies(select) {
+  const names = [...select.dataset.optionsSource.matchAll(PLACEHOLDER_PATTERN)].map(match => match[1].trim());
+  const extra = (select.dataset.optionsDependsOn || '').split(',').map(name => name.trim()).filter(Boolean);
+  return [...names, ...extra];
+}
+
+/**
+ * Current value of a field as a string ('' when empty or missing)
+ * @private
+ */
+function readFieldValue(form, name) {
+  const controls = [...form.querySelectorAll(`[name="${name}"]`)];
+  const control = controls.find(element => !['radio', 'checkbox'].includes(element.type) || element.checked);
+  return control ? String(control.value ?? '') : '';
+}
+
+/**
+ * Find the item array in an options response
+ * @param {*} response - Parsed response
+ * @param {string} path - Where the array is (e.g. 'data.items'); the response or its data property when omitted
+ * @returns {Array} Items
+ * @throws {Error} If there is no array
+ */
+export function extractOptionItems(response, path) {
+  const items = path ? getFieldPath(response, path) : response;
+  if (Array.isArray(items)) return items;
+  if (!path && Array.isArray(response?.data)) return response.data;
+  throw new Error('Options response does not contain an array');
+}
+
+/**
+ * Read the option mapping attributes of an element (data-options-value, -label, ...)
+ * @param {HTMLElement} select - Element with the attributes
+ * @returns {Object} { value, label, template, group, path, cache, placeholder, loadingText, emptyText, errorText }
+ */
+export function readOptionsMapping(select) {
+  const { dataset } = select;
+  return {
+    value: dataset.optionsValue,
+    label: dataset.optionsLabel,
+    template: dataset.optionsTemplate,
+    group: dataset.optionsGroup,
+    path: dataset.optionsPath,
+    cache: dataset.optionsCache !== 'false',
+    placeholder: dataset.optionsPlaceholder ?? t('options.placeholder'),
+    loadingText: dataset.optionsLoadingText || t('options.loading'),
+    emptyText: dataset.optionsEmptyText || t('options.empty'),
+    errorText: dataset.optionsErrorText || t('options.error')
+  };
+}
+
+/**
+ * Error used to settle loads superseded by a newer one
+ * @private
+ */
+function createAbortError() {
+  const error = new Error('Options load superseded');
+  error.name = 'AbortError';
+  return error;
+}
+
+// ============================================================================
+// RENDERING
+// ============================================================================
+
+/**
+ * Replace the options of a select and record its state
+ * @param {HTMLSelectElement} select - The select element
+ * @param {Array} items - Items to render
+ * @param {string} state - waiting, loading, ready, empty or error
+ * @param {Object} settings - Mapping and texts (read from the select when omitted)
+ * @private
+ */
+function renderOptions(select, items, state, settings = readOptionsMapping(select)) {
+  select.dataset.optionsState = state;
+  select.setAttribute('aria-busy', String(state === 'loading'));
+  select.replaceChildren();
+  
+  const statusText = { loading: settings.loadingText, empty: settings.emptyText, error: settings.errorText }[state];
+  
+  if (statusText) {
+    select.appendChild(createOption('', statusText, true));
+    return;
+  }
+  
+  if (!select.multiple && settings.placeholder) {
+    select.appendChild(createOption('', settings.placeholder));
+  }
+  
+  const groups = new Map();
+  items.forEach(item => {
+    const option = createOption(getItemValue(item, settings), getItemLabel(item, settings), Boolean(item?.disabled));
+    const groupName = settings.group && item && typeof item === 'object' ? getFieldPath(item, settings.group) : undefined;
+    
+    if (groupName === undefined || groupName === null || groupName === '') {
+      select.appendChild(option);
+      return;
+    }
+    
+    if (!groups.has(groupName)) {
+      const optgroup = document.createElement('optgroup');
+      optgroup.label = String(groupName);
+      groups.set(groupName, optgroup);
+      select.appendChild(optgroup);
+    }
+    groups.get(groupName).appendChild(option);
+  });
+}
+
+/**
+ * Create an <option>
+ * @private
+ */
+function createOption(value, label, disabled = false) {
+  const option = document.createElement('option');
+  option.value = value;
+  option.textContent = label;
+  option.disabled = disabled;
+  return option;
+}
+
+/**
+ * Map a response item to an option
+ * @param {*} item - Item (object or primitive)
+ * @param {Object} mapping - { value, label, template } (see readOptionsMapping)
+ * @returns {Object} { value, label, disabled }
+ * 
+ * @example
+ * toOptionItem({ id: 7, name: 'CRM' }, {}); // { value: '7', label: 'CRM', disabled: false }
+ */
+export function toOptionItem(item, mapping) {
+  return { value: getItemValue(item, mapping), label: getItemLabel(item, mapping), disabled: Boolean(item?.disabled) };
+}
+
+/**
+ * Option value of an item
+ * @private
+ */
+function getItemValue(item, settings) {
+  if (item === null || typeof item !== 'object') return String(item ?? '');
+  const value = settings.value ? getFieldPath(item, settings.value) : (item.value ?? item.id);
+  return String(value ?? '');
+}
+
+/**
+ * Option text of an item: template, label property, or a default
+ * @private
+ */
+function getItemLabel(item, settings) {
+  if (item === null || typeof item !== 'object') return String(item ?? '');
+  
+  if (settings.template) {
+    return settings.template.replace(PLACEHOLDER_PATTERN, (match, path) => String(getFieldPath(item, path.trim()) ?? ''));
+  }
+  
+  const label = settings.label ? getFieldPath(item, settings.label) : (item.label ?? item.name ?? item.text);
+  return String(label ?? getItemValue(item, settings));
+}
+
+/**
+ * Selected values of a select
+ * @private
+ */
+function getSelectedValues(select) {
+  return [...select.selectedOptions].map(option => option.value).filter(value => value !== '');
+}
+
+/**
+ * Select the given values where an option exists (the placeholder otherwise)
+ * @private
+ */
+function setSelectedValues(select, values) {
+  let selected = false;
+  [...select.options].forEach(option => {
+    const match = option.value !== '' && values.includes(option.value) && (select.multiple || !selected);
+    option.selected = match;
+    if (match) selected = true;
+  });
+  
+  if (!selected && !select.multiple) {
+    select.selectedIndex = select.options.length > 0 ? 0 : -1;
+  }
+}
+
+/**
+ * Dispatch change when the selection differs, so dependent selects reload
+ * @private
+ */
+function notifyIfChanged(select, previous) {
+  const current = getSelectedValues(select);
+  if (current.length !== previous.length || current.some((value, index) => value !== previous[index])) {
+    select.dispatchEvent(new Event('change', { bubbles: true }));
+  }
+}
@@ -0,0 +1,386 @@
+/**
+ * Form Kit - Repeater Feature
+ * 
+ * Repeatable field groups ("add another contact / line item"). Rows are
+ * cloned from a <template>; field names use __index__, which is replaced
+ * with the row's position and renumbered after every add, remove or move,
+ * so getFormData returns an array and populateForm can fill it back.
+ * 
+ * MARKUP:
+ * <div data-repeater="contacts" data-min="1" data-max="5">
+ *   <template>
+ *     <div class="row g-2 mb-2">
+ *       <div class="col"><input class="form-control" name="contacts[__index__].name" required></div>
+ *       <div class="col"><input class="form-control" name="contacts[__index__].email" data-validators="email"></div>
+ *       <div class="col-auto">
+ *         <button type="button" class="btn btn-outline-secondary" data-repeater-up>↑</button>
+ *         <button type="button" class="btn btn-outline-secondary" data-repeater-down>↓</button>
+ *         <button type="button" class="btn btn-outline-danger" data-repeater-remove>Remove</button>
+ *       </div>
+ *     </div>
+ *   </template>
+ *   <div data-repeater-items></div>
+ *   <button type="button" class="btn btn-outline-primary" data-repeater-add>Add contact</button>
+ * </div>
+ * 
+ * - Rows already in [data-repeater-items] (e.g. rendered by the server with
+ *   contacts[0].name) are kept and renumbered like added ones
+ * - id, for, aria-* and data-validators attributes may use __index__ too
+ * - [data-repeater-number] elements show the row's 1-based position
+ * - Rows are added up to data-min on initialization; add and remove
+ *   buttons are disabled at data-max and data-min
+ * - populateForm adds or removes rows to match the length of the data array
+ * 
+ * renderForm builds the same markup from { type: 'repeater', name, fields, min, max }.
+ * 
+ * @module form-kit/features/form-feature-repeater
+ */
+
+'use strict';
+
+import { getFieldPath } from '../helpers/form-data.js';
+
+/**
+ * Placeholder replaced by the row index in template attributes
+ */
+export const INDEX_PLACEHOLDER = '__index__';
+
+/**
+ * Attributes renumbered when rows change position
+ * @private
+ */
+const RENUMBERED_ATTRIBUTES = ['name', 'id', 'for', 'aria-describedby', 'aria-labelledby', 'aria-controls', 'data-validators'];
+
+/**
+ * Attribute templates (with the placeholder) per element
+ * @private
+ */
+const attributeTemplates = new WeakMap();
+
+/**
+ * Repeater handles by container element
+ * @private
+ */
+const repeaters = new WeakMap();
+
+// ============================================================================
+// INITIALIZATION
+// ============================================================================
+
+/**
+ * Set up every [data-repeater] container in a form
+ * 
+ * @param {HTMLFormElement} form - The form element
+ * @param {Object} options - Repeater options
+ * @param {AbortSignal} options.signal - Removes the listeners when aborted
+ * @param {Function} options.onAdd - Called with (row, repeater) after a row is added
+ * @param {Function} options.onRemove - Called with (row, repeater) before a row is removed
+ * @param {Function} options.onChange - Called with ({ action, row, index, repeater }) after rows change
+ * @returns {Array<Object>} Repeater handles (see createRepeater)
+ * 
+ * @example
+ * const controller = new AbortController();
+ * const [contacts] = initializeRepeaters(form, { signal: controller.signal });
+ * contacts.addRow();
+ */
+export function initializeRepeaters(form, options = {}) {
+  const handles = [...form.querySelectorAll('[data-repeater]')].map(container => createRepeater(container, options));
+  
+  if (handles.length > 0) {
+    // populateForm announces its data first, so rows can be added or removed to fit
+    form.addEventListener('formkit:populate', (e) => {
+      handles.forEach(handle => handle.resize(e.detail.data));
+    }, { signal: options.signal });
+  }
+  
+  return handles;
+}
+
+/**
+ * Get the repeater handle of a container
+ * @param {HTMLElement} container - [data-repeater] element
+ * @returns {Object|undefined} Repeater handle
+ */
+export function getRepeater(container) {
+  return repeaters.get(container);
+}
+
+/**
+ * Set up a single repeater container
+ * 
+ * @param {HTMLElement} container - [data-repeater] element
+ * @param {Object} options - Same options as initializeRepeaters
+ * @returns {Object} Handle with name, getRows, addRow, removeRow, moveRow, setRowCount and resize
+ */
+export function createRepeater(container, options = {}) {
+  const existing = repeaters.get(container);
+  if (existing) {
+    return existing;
+  }
+  
+  const name = container.dataset.repeater;
+  const template = container.querySelector(':scope > template, template[data-repeater-template]');
+  const min = Number(container.dataset.min) || 0;
+  const max = container.dataset.max !== undefined ? Number(container.dataset.max) : Infinity;
+  const { signal } = options;
+  
+  if (!template) {
+    console.warn(`Repeater "${name}" has no <template>`);
+  }
+  
+  let items = container.querySelector('[data-repeater-items]');
+  if (!items) {
+    items = document.createElement('div');
+    items.dataset.repeaterItems = '';
+    (template || container.firstChild)?.before(items);
+    if (!items.isConnected) container.appendChild(items);
+  }
+  
+  /**
+   * Current rows in order
+   * @returns {Array<HTMLElement>} Row elements
+   */
+  function getRows() {
+    return [...items.children].filter(child => child.hasAttribute('data-repeater-row'));
+  }
+  
+  /**
+   * Add a row at the end
+   * @param {Object} settings - { focus: true } moves focus to the row's first field
+   * @returns {HTMLElement|null} The new row, or null at the maximum
+   */
+  function addRow(settings = {}) {
+    if (!template || getRows().length >= max) return null;
+    
+    const row = createRowFromTemplate(template);
+    items.appendChild(row);
+    renumber();
+    
+    options.onAdd?.(row, handle);
+    notify('add', row);
+    
+    if (settings.focus) {
+      row.querySelector('input, select, textarea')?.focus();
+    }
+    return row;
+  }
+  
+  /**
+   * Remove a row
+   * @param {HTMLElement|number} rowOrIndex - Row element or index
+   * @returns {boolean} True if removed (false at the minimum)
+   */
+  function removeRow(rowOrIndex) {
+    const rows = getRows();
+    const row = typeof rowOrIndex === 'number' ? rows[rowOrIndex] : rowOrIndex;
+    if (!row || !rows.includes(row) || rows.length <= min) return false;
+    
+    const index = rows.indexOf(row);
+    options.onRemove?.(row, handle);
+    row.remove();
+    renumber();
+    notify('remove', row, index);
+    return true;
+  }
+  
+  /**
+   * Move a row up or down
+   * @param {HTMLElement|number} rowOrIndex - Row element or index
+   * @param {number} offset - -1 (up) or 1 (down)
+   * @returns {boolean} True if moved
+   */
+  function moveRow(rowOrIndex, offset) {
+    const rows = getRows();
+    const row = typeof rowOrIndex === 'number' ? rows[rowOrIndex] : rowOrIndex;
+    const target = rows[rows.indexOf(row) + offset];
+    if (!row || !target) return false;
+    
+    if (offset < 0) {
+      target.before(row);
+    } else {
+      target.after(row);
+    }
+    renumber();
+    notify('move', row);
+    return true;
+  }
+  
+  /**
+   * Add or remove rows at the end until there are count rows (within min/max)
+   * @param {number} count - Desired number of rows
+   */
+  function setRowCount(count) {
+    const target = Math.min(Math.max(count, min), max);
+    while (getRows().length < target && addRow()) { /* keep adding */ }
+    while (getRows().length > target && removeRow(getRows().length - 1)) { /* keep removing */ }
+  }
+  
+  /**
+   * Fit the rows to the array for this repeater in a data object, if any
+   * Accepts nested data ({ contacts: [...] }) or flat keys ('contacts[2].name').
+   * @param {Object} data - Data about to be populated
+   */
+  function resize(data) {
+    if (!data) return;
+    
+    const value = getFieldPath(data, name);
+    if (Array.isArray(value)) {
+      setRowCount(value.length);
+      return;
+    }
+    
+    const prefix = `${name}[`;
+    const indexes = Object.keys(data)
+      .filter(key => key.startsWith(prefix))
+      .map(key => parseInt(key.slice(prefix.length), 10))
+      .filter(index => !isNaN(index));
+    if (indexes.length > 0) {
+      setRowCount(Math.max(...indexes) + 1);
+    }
+  }
+  
+  /**
+   * Apply row indexes to names and attributes, and update button states
+   */
+  function renumber() {
+    const rows = getRows();
+    
+    // Two passes, so moved radio groups never share a name (which would uncheck one)
+    rows.forEach((row, index) => applyIndex(row, `${INDEX_PLACEHOLDER}${index}`));
+    rows.forEach((row, index) => {
+      applyIndex(row, index);
+      row.dataset.repeaterIndex = index;
+      row.querySelectorAll('[data-repeater-number]').forEach(element => {
+        element.textContent = index + 1;
+      });
+      row.querySelectorAll('[data-repeater-up]').forEach(button => {
+        button.disabled = index === 0;
+      });
+      row.querySelectorAll('[data-repeater-down]').forEach(button => {
+        button.disabled = index === rows.length - 1;
+      });
+      row.querySelectorAll('[data-repeater-remove]').forEach(button => {
+        button.disabled = rows.length <= min;
+      });
+    });
+    
+    container.querySelectorAll('[data-repeater-add]').forEach(button => {
+      if (!button.closest('[data-repeater-row]')) button.disabled = rows.length >= max;
+    });
+    container.dataset.repeaterCount = rows.length;
+  }
+  
+  /**
+   * Report a change to the onChange option
+   */
+  function notify(action, row, index = getRows().indexOf(row)) {
+    options.onChange?.({ action, row, index, repeater: handle });
+  }
+  
+  container.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-repeater-add], [data-repeater-remove], [data-repeater-up], [data-repeater-down]');
+    if (!button || button.closest('[data-repeater]') !== container) return;
+    
+    const row = button.closest('[data-repeater-row]');
+    if (button.hasAttribute('data-repeater-add')) {
+      addRow({ focus: true });
+    } else if (row && button.hasAttribute('data-repeater-remove')) {
+      const next = row.nextElementSibling || row.previousElementSibling;
+      if (removeRow(row)) {
+        (next?.querySelector('input, select, textarea') || container.querySelector('[data-repeater-add]'))?.focus();
+      }
+    } else if (row && moveRow(row, button.hasAttribute('data-repeater-up') ? -1 : 1)) {
+      // Keep focus on the moved row, even when its button is now disabled (first/last)
+      (button.disabled ? row.querySelector('input, select, textarea') : button)?.focus();
+    }
+  }, { signal });
+  
+  const handle = {
+    name,
+    container,
+    getRows,
+    addRow,
+    removeRow,
+    moveRow,
+    setRowCount,
+    resize
+  };
+  repeaters.set(container, handle);
+  signal?.addEventListener('abort', () => repeaters.delete(container));
+  
+  // Rows rendered by the server: remember their attributes as templates
+  [...items.children].forEach((row, index) => {
+    row.setAttribute('data-repeater-row', '');
+    recordTemplates(row, (value) => value.split(`${name}[${index}]`).join(`${name}[${INDEX_PLACEHOLDER}]`));
+  });
+  
+  renumber();
+  setRowCount(getRows().length);
+  
+  return handle;
+}
+
+// ============================================================================
+// ROWS
+// ============================================================================
+
+/**
+ * Clone a row from the template, remembering its attribute templates
+ * @param {HTMLTemplateElement} template - Row template
+ * @returns {HTMLElement} Row element (not yet indexed)
+ * @private
+ */
+function createRowFromTemplate(template) {
+  const fragment = template.content.cloneNode(true);
+  const elements = [...fragment.children];
+  
+  let row = elements[0];
+  if (elements.length !== 1) {
+    row = document.createElement('div');
+    row.append(...fragment.childNodes);
+  }
+  
+  row.setAttribute('data-repeater-row', '');
+  recordTemplates(row, (value) => value);
+  return row;
+}
+
+/**
+ * Store the renumbered attributes of a row and its descendants
+ * @param {HTMLElement} row - Row element
+ * @param {Function} toTemplate - Maps a current attribute value to its template
+ * @private
+ */
+function recordTemplates(row, toTemplate) {
+  [row, ...row.querySelectorAll('*')].forEach(element => {
+    const templates = {};
+    RENUMBERED_ATTRIBUTES.forEach(attribute => {
+      const value = element.getAttribute(attribute);
+      if (value === null) return;
+      
+      const template = toTemplate(value);
+      if (template.includes(INDEX_PLACEHOLDER)) templates[attribute] = template;
+    });
+    
+    if (Object.keys(templates).length > 0) {
+      attributeTemplates.set(element, templates);
+    }
+  });
+}
+
+/**
+ * Write a row index into the templated attributes of a row
+ * @param {HTMLElement} row - Row element
+ * @param {number|string} index - Row index
+ * @private
+ */
+function applyIndex(row, index) {
+  [row, ...row.querySelectorAll('*')].forEach(element => {
+    const templates = attributeTemplates.get(element);
+    if (!templates) return;
+    
+    Object.entries(templates).forEach(([attribute, template]) => {
+      element.setAttribute(attribute, template.split(INDEX_PLACEHOLDER).join(index));
+    });
+  });
+}
@@ -0,0 +1,363 @@
+/**
+ * Form Kit - File Upload Feature
+ * 
+ * Adds file input support: built-in validators, image previews and
+ * drag-and-drop zones. Upload progress is reported by the transport
+ * (onUploadProgress) and shown on the submit button by initializeForm.
+ * 
+ * VALIDATORS (use context.input.files):
+ * - fileSize:  { max: '5MB', min: 0 }          limits for each file (bytes or '500KB', '5MB', '1GB')
+ * - fileType:  { accept: 'image/*,.pdf' }      defaults to the input's accept attribute
+ * - fileCount: { min: 1, max: 3 }              number of selected files
+ * 
+ * MARKUP:
+ * <input type="file" name="photos" accept="image/*" multiple
+ *        data-preview data-dropzone="Drop photos here or click to browse"
+ *        data-validators='[{"name":"fileSize","max":"5MB"},{"name":"fileCount","max":3}]'>
+ * 
+ * @module form-kit/features/form-feature-upload
+ */
+
+'use strict';
+
+import { registerValidator } from './form-feature-validators.js';
+import { t } from '../helpers/form-i18n.js';
+
+// ============================================================================
+// FILE SIZES
+// ============================================================================
+
+/**
+ * Size units accepted by parseFileSize
+ */
+const SIZE_UNITS = { B: 1, KB: 1024, MB: 1024 ** 2, GB: 1024 ** 3 };
+
+/**
+ * Parse a file size into bytes
+ * @param {number|string} size - Bytes, or a string like '500KB', '5 MB', '1.5GB'
+ * @returns {number} Size in bytes (NaN if invalid)
+ * 
+ * @example
+ * parseFileSize('5MB'); // 5242880
+ */
+export function parseFileSize(size) {
+  if (typeof size === 'number') return size;
+  
+  const match = String(size).trim().toUpperCase().match(/^(\d+(?:\.\d+)?)\s*(B|KB|MB|GB)?$/);
+  if (!match) return NaN;
+  
+  return Math.round(parseFloat(match[1]) * SIZE_UNITS[match[2] || 'B']);
+}
+
+/**
+ * Format a size in bytes for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Human-readable size (e.g. '1.5 MB')
+ */
+export function formatFileSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  
+  const units = ['KB', 'MB', 'GB'];
+  let value = bytes;
+  let unit = 'B';
+  for (const next of units) {
+    if (value < 1024) break;
+    value /= 1024;
+    unit = next;
+  }
+  
+  return `${Number(value.toFixed(1))} ${unit}`;
+}
+
+/**
+ * Check whether a file matches an accept list
+ * @param {File} file - The file
+ * @param {string|Array<string>} accept - Extensions (.pdf), MIME types (application/pdf) or wildcards (image/*)
+ * @returns {boolean} True if the file matches (or accept is empty)
+ */
+export function matchesAccept(file, accept) {
+  const rules = (Array.isArray(accept) ? accept : String(accept || '').split(','))
+    .map(rule => rule.trim().toLowerCase())
+    .filter(Boolean);
+  if (rules.length === 0) return true;
+  
+  const name = file.name.toLowerCase();
+  const type = (file.type || '').toLowerCase();
+  
+  return rules.some(rule => {
+    if (rule.startsWith('.')) return name.endsWith(rule);
+    if (rule.endsWith('/*')) return type.startsWith(rule.slice(0, -1));
+    return type === rule;
+  });
+}
+
+/**
+ * Get the selected files of the input being validated
+ * @private
+ */
+function getFiles(context) {
+  return [...(context?.input?.files || [])];
+}
+
+// ============================================================================
+// BUILT-IN FILE VALIDATORS
+// ============================================================================
+
+/**
+ * Validate the size of each selected file
+ */
+registerValidator('fileSize', (value, options, form, context) => {
+  const max = options.max !== undefined ? parseFileSize(options.max) : Infinity;
+  const min = options.min !== undefined ? parseFileSize(options.min) : 0;
+  
+  const tooLarge = getFiles(context).find(file => file.size > max);
+  if (tooLarge) {
+    return {
+      valid: false,
+      message: options.message || t('upload.tooLarge', { name: tooLarge.name, size: formatFileSize(max) })
+    };
+  }
+  
+  const tooSmall = getFiles(context).find(file => file.size < min);
+  if (tooSmall) {
+    return {
+      valid: false,
+      message: options.message || t('upload.tooSmall', { name: tooSmall.name, size: formatFileSize(min) })
+    };
+  }
+  
+  return { valid: true, message: '' };
+});
+
+/**
+ * Validate the type of each selected file
+ */
+registerValidator('fileType', (value, options, form, context) => {
+  const accept = options.accept || context?.input?.accept || '';
+  
+  const rejected = getFiles(context).find(file => !matchesAccept(file, accept));
+  if (rejected) {
+    const allowed = (Array.isArray(accept) ? accept : accept.split(',')).map(rule => rule.trim()).join(', ');
+    return {
+      valid: false,
+      message: options.message || t('upload.type', { name: rejected.name, allowed })
+    };
+  }
+  
+  return { valid: true, message: '' };
+});
+
+/**
+ * Validate the number of selected files
+ */
+registerValidator('fileCount', (value, options, form, context) => {
+  const count = getFiles(context).length;
+  
+  if (options.min !== undefined && count < options.min) {
+    return {
+      valid: false,
+      message: options.message || t('upload.countMin', { count: options.min })
+    };
+  }
+  
+  if (options.max !== undefined && count > options.max) {
+    return {
+      valid: false,
+      message: options.message || t('upload.countMax', { count: options.max })
+    };
+  }
+  
+  return { valid: true, message: '' };
+});
+
+// ============================================================================
+// PREVIEWS AND DROPZONES
+// ============================================================================
+
+/**
+ * Enhance the file inputs of a form
+ * 
+ * - input[data-preview]: shows thumbnails for images and name/size for other files
+ * - input[data-dropzone]: replaces the native picker with a drag-and-drop zone
+ *   (the attribute value, if any, is used as the zone's text)
+ * 
+ * @param {HTMLFormElement} form - The form element
+ * @param {AbortSignal} signal - Removes the listeners when aborted
+ * @returns {Function} Function that removes previews and dropzones and restores the inputs
+ * 
+ * @example
+ * const controller = new AbortController();
+ * const restore = initializeUploads(form, controller.signal);
+ */
+export function initializeUploads(form, signal) {
+  const cleanups = [];
+  
+  form.querySelectorAll('input[type="file"][data-dropzone]').forEach(input => {
+    cleanups.push(createDropzone(input, signal));
+  });
+  
+  form.querySelectorAll('input[type="file"][data-preview]').forEach(input => {
+    cleanups.push(createPreview(input, signal));
+  });
+  
+  return () => cleanups.forEach(cleanup => cleanup());
+}
+
+/**
+ * Show previews of the selected files after an input
+ * @param {HTMLInputElement} input - File input
+ * @param {AbortSignal} signal - Removes the listeners when aborted
+ * @returns {Function} Cleanup function
+ * @private
+ */
+function createPreview(input, signal) {
+  const container = document.createElement('div');
+  container.className = 'file-preview d-flex flex-wrap gap-2 mt-2';
+  
+  input.after(container);
+  
+  let objectUrls = [];
+  
+  const render = () => {
+    objectUrls.forEach(url => URL.revokeObjectURL(url));
+    objectUrls = [];
+    container.replaceChildren();
+    
+    [...(input.files || [])].forEach(file => {
+      const item = document.createElement('figure');
+      item.className = 'file-preview-item m-0 text-center';
+      item.style.maxWidth = '8rem';
+      
+      if (file.type.startsWith('image/')) {
+        const url = URL.createObjectURL(file);
+        objectUrls.push(url);
+        
+        const image = document.createElement('img');
+        image.className = 'img-thumbnail';
+        image.style.maxHeight = '6rem';
+        image.src = url;
+        image.alt = file.name;
+        item.appendChild(image);
+      } else {
+        const icon = document.createElement('i');
+        icon.className = 'bi bi-file-earmark fs-1 d-block text-body-secondary';
+        item.appendChild(icon);
+      }
+      
+      const caption = document.createElement('figcaption');
+      caption.className = 'small text-truncate';
+      caption.textContent = `${file.name} (${formatFileSize(file.size)})`;
+      caption.title = file.name;
+      item.appendChild(caption);
+      
+      container.appendChild(item);
+    });
+  };
+  
+  input.addEventListener('change', render, { signal });
+  input.form?.addEventListener('reset', () => setTimeout(render), { signal });
+  render();
+  
+  return () => {
+    objectUrls.forEach(url => URL.revokeObjectURL(url));
+    container.remove();
+  };
+}
+
+/**
+ * Replace a file input's picker with a drag-and-drop zone
+ * The input stays in the form (visually hidden and out of the tab order) so
+ * validation and getFormData work unchanged. The zone follows input.disabled.
+ * Cleanup restores the input's original class and tabindex.
+ * @param {HTMLInputElement} input - File input
+ * @param {AbortSignal} signal - Removes the listeners when aborted
+ * @returns {Function} Cleanup function
+ * @private
+ */
+function createDropzone(input, signal) {
+  const zone = document.createElement('div');
+  zone.className = 'form-dropzone border border-2 rounded p-4 text-center text-body-secondary';
+  zone.style.borderStyle = 'dashed';
+  zone.setAttribute('role', 'button');
+  if (input.id) zone.setAttribute('aria-controls', input.id);
+  
+  const icon = document.createElement('i');
+  icon.className = 'bi bi-cloud-arrow-up fs-2 d-block mb-2';
+  icon.setAttribute('aria-hidden', 'true');
+  
+  const text = document.createElement('span');
+  text.textContent = input.dataset.dropzone || t('upload.dropzone');
+  
+  zone.append(icon, text);
+  input.before(zone);
+  
+  // The zone takes the input's place in the tab order
+  const wasHidden = input.classList.contains('visually-hidden');
+  const originalTabIndex = input.getAttribute('tabindex');
+  input.classList.add('visually-hidden');
+  input.tabIndex = -1;
+  
+  const highlight = (active) => {
+    zone.classList.toggle('border-primary', active);
+    zone.classList.toggle('bg-primary-subtle', active);
+  };
+  
+  zone.addEventListener('click', () => {
+    if (!input.disabled) input.click();
+  }, { signal });
+  zone.addEventListener('keydown', (e) => {
+    if (input.disabled) return;
+    if (e.key === 'Enter' || e.key === ' ') {
+      e.preventDefault();
+      input.click();
+    }
+  }, { signal });
+  
+  zone.addEventListener('dragover', (e) => {
+    if (input.disabled) return;
+    e.preventDefault();
+    highlight(true);
+  }, { signal });
+  zone.addEventListener('dragleave', () => highlight(false), { signal });
+  
+  zone.addEventListener('drop', (e) => {
+    e.preventDefault();
+    highlight(false);
+    if (input.disabled) return;
+    
+    const dropped = [...(e.dataTransfer?.files || [])];
+    if (dropped.length === 0) return;
+    
+    const transfer = new DataTransfer();
+    (input.multiple ? dropped : dropped.slice(0, 1)).forEach(file => transfer.items.add(file));
+    input.files = transfer.files;
+    
+    // Same events as picking files natively, so validation and previews update
+    input.dispatchEvent(new Event('input', { bubbles: true }));
+    input.dispatchEvent(new Event('change', { bubbles: true }));
+  }, { signal });
+  
+  // Mirror the input's validation and disabled state on the zone
+  const syncState = () => {
+    zone.classList.toggle('border-danger', input.classList.contains('is-invalid'));
+    zone.classList.toggle('border-success', input.classList.contains('is-valid'));
+    zone.classList.toggle('opacity-50', input.disabled);
+    zone.style.cursor = input.disabled ? 'not-allowed' : 'pointer';
+    zone.tabIndex = input.disabled ? -1 : 0;
+    zone.setAttribute('aria-disabled', String(input.disabled));
+  };
+  syncState();
+  const observer = new MutationObserver(syncState);
+  observer.observe(input, { attributes: true, attributeFilter: ['class', 'disabled'] });
+  
+  return () => {
+    observer.disconnect();
+    zone.remove();
+    if (!wasHidden) input.classList.remove('visually-hidden');
+    if (originalTabIndex === null) {
+      input.removeAttribute('tabindex');
+    } else {
+      input.setAttribute('tabindex', originalTabIndex);
+    }
+  };
+}
@@ -12,23 +12,42 @@
 
 'use strict';
 
+import { t } from '../helpers/form-i18n.js';
+import { parseDateTime, getDateTimeOptions } from '../helpers/form-datetime.js';
+
 // ============================================================================
 // VALIDATOR REGISTRY
 // ============================================================================
 
 /**
  * Registry of custom validators
- * Each validator receives: (value, options, form) => { valid: boolean, message: string }
+ * Each validator receives: (value, options, form, context) => { valid: boolean, message: string }
+ * Async validators return a Promise resolving to the same shape.
+ * context is { input, signal } where signal aborts when the check becomes stale.
  */
 const validators = new Map();
 
+/**
+ * Default options per validator (e.g. debounce for async validators)
+ */
+const validatorDefaults = new Map();
+
 /**
  * Register a custom validator
  * @param {string} name - Validator name
- * @param {Function} fn - Validator function (value, options, form) => { valid, message }
+ * @param {Function} fn - Validator function (value, options, form, context) => { valid, message } or a Promise of it
+ * @param {Object} defaults - Default options merged under each field's config (e.g. { debounce: 300 })
+ * 
+ * @example
+ * registerValidator('usernameAvailable', async (value, options, form, { signal }) => {
+ *   const response = await fetch(`/api/users/exists?name=${encodeURIComponent(value)}`, { signal });
+ *   const { exists } = await response.json();
+ *   return { valid: !exists, message: 'Username is already taken' };
+ * }, { debounce: 400 });
  */
-export function registerValidator(name, fn) {
+export function registerValidator(name, fn, defaults = {}) {
   validators.set(name, fn);
+  validatorDefaults.set(name, defaults);
 }
 
 /**
@@ -65,15 +84,16 @@ registerValidator('dateRange', (value, options, form) => {
     return { valid: true, message: '' }; // Let required handle empty
   }
   
-  const startDate = new Date(startValue);
-  const endDate = new Date(endValue);
+  // Read with each input's dateFormat and timezone, so '31/12/2026 14:00' is understood
+  const startDate = parseDateTime(startValue, getDateTimeOptions(startInput));
+  const endDate = parseDateTime(endValue, getDateTimeOptions(endInput));
   
-  if (isNaN(startDate.getTime()) || isNaN(endDate.getTime())) {
-    return { valid: false, message: 'Invalid date format' };
+  if (!startDate || !endDate) {
+    return { valid: false, message: t('validation.dateInvalid') };
   }
   
   if (endDate <= startDate) {
-    return { valid: false, message: options.message || 'End date must be after start date' };
+    return { valid: false, message: options.message || t('validation.dateRange') };
   }
   
   return { valid: true, message: '' };
@@ -93,7 +113,7 @@ registerValidator('phone', (value, options) => {
   if (digitsOnly.length < 10 || digitsOnly.length > 15) {
     return { 
       valid: false, 
-      message: options.message || 'Phone number must be 10-15 digits' 
+      message: options.message || t('validation.phone')
     };
   }
   
@@ -112,7 +132,7 @@ registerValidator('matchField', (value, options, form) => {
   }
   
   if (value !== targetInput.value) {
-    return { valid: false, message: message || `Must match ${field}` };
+    return { valid: false, message: message || t('validation.matchField', { field }) };
   }
   
   return { valid: true, message: '' };
@@ -139,7 +159,7 @@ registerValidator('conditionalRequired', (value, options, form) => {
   
   // If condition met and value is empty, invalid
   if (conditionMet && !value?.trim()) {
-    return { valid: false, message: message || 'This field is required' };
+    return { valid: false, message: message || t('validation.required') };
   }
   
   return { valid: true, message: '' };
@@ -149,23 +169,99 @@ registerValidator('conditionalRequired', (value, options, form) => {
 // VALIDATION RUNNER
 // ============================================================================
 
+/**
+ * Per-input validation state: { controller, timer, run }
+ * Used to debounce and cancel stale runs on the same input
+ */
+const fieldStates = new WeakMap();
+
 /**
  * Run custom validators on a field
  * Integrates with Bootstrap validation styling
  * 
+ * Validators may be synchronous or return a Promise. Starting a new run on
+ * an input aborts the previous one (its AbortSignal fires and its result is
+ * discarded); the superseded call resolves with the newer run's result.
+ * While an async validator is in flight the input gets the `is-pending`
+ * class and aria-busy="true".
+ * 
+ * The largest `debounce` option (ms) among the configs delays the run,
+ * unless options.immediate is set (e.g. on submit).
+ * 
  * @param {HTMLInputElement} input - The input element to validate
  * @param {Array} validatorConfigs - Array of validator configs
  * @param {HTMLFormElement} form - The parent form
- * @returns {boolean} True if all validators pass
+ * @param {Object} options - Run options
+ * @param {boolean} options.immediate - Skip the debounce delay
+ * @returns {Promise<boolean>} True if all validators pass (false if cancelled)
  * 
  * @example
  * // In form config:
  * validators: [
  *   'phone',
- *   { name: 'dateRange', startField: 'startDateTime', endField: 'endDateTime' }
+ *   { name: 'dateRange', startField: 'startDateTime', endField: 'endDateTime' },
+ *   { name: 'usernameAvailable', debounce: 500 }
  * ]
  */
-export function runValidators(input, validatorConfigs, form) {
+export function runValidators(input, validatorConfigs, form, options = {}) {
+  const state = fieldStates.get(input) || {};
+  fieldStates.set(input, state);
+  
+  const previous = state.controller;
+  const controller = new AbortController();
+  const delay = options.immediate ? 0 : getDebounceDelay(validatorConfigs);
+  
+  clearTimeout(state.timer);
+  state.controller = controller;
+  
+  const run = new Promise(resolve => {
+    // Superseded runs settle with the newer run's result; cancelled runs with false
+    controller.signal.addEventListener('abort', () => {
+      resolve(state.run && state.run !== run ? state.run : false);
+    }, { once: true });
+    
+    const start = () => {
+      state.timer = null;
+      executeValidators(input, validatorConfigs, form, controller.signal)
+        .then(valid => {
+          if (!controller.signal.aborted) resolve(valid);
+        })
+        .catch(error => {
+          if (controller.signal.aborted) return;
+          console.error('Validator error:', error);
+          applyInvalidState(input, t('validation.unavailable'));
+          resolve(false);
+        });
+    };
+    
+    if (delay > 0) {
+      state.timer = setTimeout(start, delay);
+    } else {
+      start();
+    }
+  });
+  
+  state.run = run;
+  previous?.abort();
+  
+  return run;
+}
+
+/**
+ * Execute validators in order, stopping at the first failure
+ * Synchronous validators apply their styling before this returns.
+ * 
+ * @param {HTMLInputElement} input - The input element
+ * @param {Array} validatorConfigs - Array of validator configs
+ * @param {HTMLFormElement} form - The parent form
+ * @param {AbortSignal} signal - Aborted when this run becomes stale
+ * @returns {Promise<boolean>} True if all validators pass
+ */
+async function executeValidators(input, validatorConfigs, form, signal) {
+  // Clear any message left by a previous run, otherwise checkValidity()
+  // keeps failing on our own custom validity
+  input.setCustomValidity('');
+  
   // First check HTML5 validity
   if (!input.checkValidity()) {
     applyInvalidState(input);
@@ -175,7 +271,6 @@ export function runValidators(input, validatorConfigs, form) {
   // Run custom validators
   for (const config of validatorConfigs) {
     const validatorName = typeof config === 'string' ? config : config.name;
-    const options = typeof config === 'string' ? {} : config;
     
     const validator = validators.get(validatorName);
     if (!validator) {
@@ -183,10 +278,19 @@ export function runValidators(input, validatorConfigs, form) {
       continue;
     }
     
-    const result = validator(input.value, options, form);
+    const options = getValidatorOptions(config);
+    let result = validator(input.value, options, form, { input, signal });
+    
+    if (result && typeof result.then === 'function') {
+      applyPendingState(input);
+      result = await result;
+      
+      // A newer run owns the input state now
+      if (signal.aborted) return false;
+    }
     
-    if (!result.valid) {
-      applyInvalidState(input, result.message);
+    if (!result || !result.valid) {
+      applyInvalidState(input, result?.message);
       return false;
     }
   }
@@ -196,25 +300,92 @@ export function runValidators(input, validatorConfigs, form) {
   return true;
 }
 
+/**
+ * Merge a validator config with the validator's registered defaults
+ * @param {string|Object} config - Validator name or config object
+ * @returns {Object} Options passed to the validator
+ */
+function getValidatorOptions(config) {
+  const name = typeof config === 'string' ? config : config.name;
+  const overrides = typeof config === 'string' ? {} : config;
+  return { ...validatorDefaults.get(name), ...overrides };
+}
+
+/**
+ * Get the debounce delay for a field: the largest debounce among its validators
+ * @param {Array} validatorConfigs - Array of validator configs
+ * @returns {number} Delay in milliseconds
+ */
+function getDebounceDelay(validatorConfigs) {
+  return validatorConfigs.reduce((delay, config) => {
+    const debounce = Number(getValidatorOptions(config).debounce) || 0;
+    return Math.max(delay, debounce);
+  }, 0);
+}
+
+/**
+ * Cancel any pending or in-flight validation on an input
+ * The cancelled run resolves with false and its result is never applied.
+ * @param {HTMLInputElement} input - The input element
+ */
+export function cancelValidation(input) {
+  const state = fieldStates.get(input);
+  if (!state) return;
+  
+  clearTimeout(state.timer);
+  state.timer = null;
+  state.run = null;
+  state.controller?.abort();
+  state.controller = null;
+  clearPendingState(input);
+}
+
+/**
+ * Check whether an input has a debounced or in-flight validation
+ * @param {HTMLInputElement} input - The input element
+ * @returns {boolean} True if validation is pending
+ */
+export function isValidationPending(input) {
+  const state = fieldStates.get(input);
+  return Boolean(state && (state.timer || input.classList.contains('is-pending')));
+}
+
+/**
+ * Apply pending state while an async validator runs
+ * @param {HTMLInputElement} input - The input element
+ */
+function applyPendingState(input) {
+  input.classList.remove('is-valid', 'is-invalid');
+  input.classList.add('is-pending');
+  input.setAttribute('aria-busy', 'true');
+}
+
+/**
+ * Remove pending state from input
+ * @param {HTMLInputElement} input - The input element
+ */
+function clearPendingState(input) {
+  input.classList.remove('is-pending');
+  input.removeAttribute('aria-busy');
+}
+
 /**
  * Apply Bootstrap invalid state to input
  * @param {HTMLInputElement} input - The input element
  * @param {string} message - Optional custom error message
  */
 function applyInvalidState(input, message) {
+  clearPendingState(input);
   input.classList.remove('is-valid');
   input.classList.add('is-invalid');
   
   if (message) {
     // Set custom validity for HTML5 API
     input.setCustomValidity(message);
-    
-    // Update .invalid-feedback sibling if exists
-    const feedback = input.parentElement?.querySelector('.invalid-feedback');
-    if (feedback) {
-      feedback.textContent = message;
-    }
   }
+  
+  // Show the custom message, or restore the original one for HTML5 errors
+  setFeedbackMessage(input, message);
 }
 
 /**
@@ -222,9 +393,31 @@ function applyInvalidState(input, message) {
  * @param {HTMLInputElement} input - The input element
  */
 function applyValidState(input) {
+  clearPendingState(input);
   input.classList.remove('is-invalid');
   input.classList.add('is-valid');
   input.setCustomValidity('');
+  setFeedbackMessage(input);
+}
+
+/**
+ * Update the .invalid-feedback sibling of an input
+ * 
+ * The original (server-rendered) feedback text is remembered the first time
+ * it is replaced, and restored when called without a message.
+ * 
+ * @param {HTMLInputElement} input - The input element
+ * @param {string} message - Message to show, or empty to restore the original
+ */
+function setFeedbackMessage(input, message) {
+  const feedback = input.parentElement?.querySelector('.invalid-feedback');
+  if (!feedback) return;
+  
+  if (feedback.dataset.defaultMessage === undefined) {
+    feedback.dataset.defaultMessage = feedback.textContent;
+  }
+  
+  feedback.textContent = message || feedback.dataset.defaultMessage;
 }
 
 /**
@@ -232,40 +425,42 @@ function applyValidState(input) {
  * @param {HTMLInputElement} input - The input element
  */
 export function clearValidationState(input) {
+  cancelValidation(input);
   input.classList.remove('is-valid', 'is-invalid');
   input.setCustomValidity('');
+  setFeedbackMessage(input);
 }
 
 /**
  * Validate entire form with custom validators
+ * 
+ * Custom validators run in parallel without debounce, and the returned
+ * promise waits for any async (e.g. server-side) checks to finish.
+ * 
  * @param {HTMLFormElement} form - The form to validate
  * @param {Object} fieldValidators - Map of field names to validator configs
- * @returns {boolean} True if all fields pass validation
+ * @returns {Promise<boolean>} True if all fields pass validation
  * 
  * @example
- * const isValid = validateFormWithCustom(form, {
+ * const isValid = await validateFormWithCustom(form, {
  *   endDateTime: [{ name: 'dateRange', startField: 'startDateTime', endField: 'endDateTime' }],
  *   phone: ['phone']
  * });
  */
-export function validateFormWithCustom(form, fieldValidators = {}) {
-  let allValid = true;
-  
-  // Run HTML5 validation first
-  if (!form.checkValidity()) {
-    form.classList.add('was-validated');
-    allValid = false;
-  }
-  
+export async function validateFormWithCustom(form, fieldValidators = {}) {
   // Run custom validators on specified fields
-  for (const [fieldName, validatorConfigs] of Object.entries(fieldValidators)) {
+  const runs = Object.entries(fieldValidators).map(([fieldName, validatorConfigs]) => {
     const input = form.querySelector(`[name="${fieldName}"]`);
-    if (!input) continue;
+    if (!input) return true;
     
-    const fieldValid = runValidators(input, validatorConfigs, form);
-    if (!fieldValid) {
-      allValid = false;
-    }
+    return runValidators(input, validatorConfigs, form, { immediate: true });
+  });
+  
+  let allValid = (await Promise.all(runs)).every(Boolean);
+  
+  // Run HTML5 validation once custom validity messages are settled
+  if (!form.checkValidity()) {
+    allValid = false;
   }
   
   if (!allValid) {
@@ -275,6 +470,225 @@ export function validateFormWithCustom(form, fieldValidators = {}) {
   return allValid;
 }
 
+// ============================================================================
+// SERVER-SIDE ERRORS
+// ============================================================================
+
+/**
+ * Find the controls for a field name reported by an API
+ * Tries the exact name, then "name[]" and the bracket form of dotted
+ * paths ("address.city" -> "address[city]").
+ * @param {HTMLFormElement} form - The form element
+ * @param {string} fieldName - Field name from the error response
+ * @returns {Array<HTMLElement>} Matching controls (several for radio/checkbox groups)
+ */
+function findFieldControls(form, fieldName) {
+  const bracketName = String(fieldName).replace(/\.(\w+)/g, '[$1]');
+  const candidates = [fieldName, `${fieldName}[]`, bracketName];
+  
+  for (const name of candidates) {
+    const controls = [...form.elements].filter(element => element.name === name);
+    if (controls.length > 0) return controls;
+  }
+  
+  return [];
+}
+
+/**
+ * Show server-side field errors on the matching inputs
+ * 
+ * Each matched input gets the `is-invalid` state, the message in its
+ * .invalid-feedback element and a custom validity, and is marked with
+ * `data-server-error` until clearFieldErrors() is called for it (initializeForm
+ * does this on the next edit).
+ * 
+ * @param {HTMLFormElement} form - The form element
+ * @param {Object} fieldErrors - Map of field names to a message or array of messages
+ * @returns {Array<string>} Field names that did not match any input
+ * 
+ * @example
+ * const unmatched = applyFieldErrors(form, { email: ['already used'] });
+ */
+export function applyFieldErrors(form, fieldErrors = {}) {
+  const unmatched = [];
+  
+  Object.entries(fieldErrors).forEach(([fieldName, messages]) => {
+    const controls = findFieldControls(form, fieldName);
+    if (controls.length === 0) {
+      unmatched.push(fieldName);
+      return;
+    }
+    
+    const message = [].concat(messages).filter(Boolean).join(' ') || t('validation.invalid');
+    controls.forEach(input => {
+      cancelValidation(input);
+      applyInvalidState(input, message);
+      input.dataset.serverError = message;
+    });
+  });
+  
+  return unmatched;
+}
+
+/**
+ * Remove server-side field errors
+ * @param {HTMLFormElement} form - The form element
+ * @param {string} fieldName - Only clear this field (default: all fields)
+ */
+export function clearFieldErrors(form, fieldName) {
+  const inputs = fieldName
+    ? findFieldControls(form, fieldName)
+    : form.querySelectorAll('[data-server-error]');
+  
+  inputs.forEach(input => {
+    if (input.dataset.serverError === undefined) return;
+    delete input.dataset.serverError;
+    clearValidationState(input);
+  });
+}
+
+/**
+ * Check whether an input shows a server-side error
+ * @param {HTMLElement} input - Form control
+ * @returns {boolean} True if marked by applyFieldErrors
+ */
+export function hasFieldError(input) {
+  return input.dataset.serverError !== undefined;
+}
+
+// ============================================================================
+// DECLARATIVE CONFIGURATION
+// ============================================================================
+
+/**
+ * Option keys that reference other fields in built-in validator configs
+ * Used to re-run a field's validators when a field it depends on changes
+ */
+const FIELD_REFERENCE_KEYS = ['field', 'startField', 'endField'];
+
+/**
+ * Collect per-field validator configs declared for a form
+ * 
+ * Merges the `validators` map from data-form-config with `data-validators`
+ * attributes on individual inputs. The attribute may hold a JSON array of
+ * validator configs or a comma-separated list of validator names.
+ * Attribute validators are appended after config validators for the same field.
+ * 
+ * Config keys may use [*] for repeated rows: "contacts[*].email" applies to
+ * contacts[0].email, contacts[1].email, ... and a [*] in a referenced field
+ * ({ "name": "matchField", "field": "contacts[*].email" }) resolves to the same row.
+ * 
+ * @param {HTMLFormElement} form - The form element
+ * @param {Object} configValidators - Map of field names to validator configs
+ * @returns {Object} Map of field names to validator config arrays
+ * 
+ * @example
+ * // <input name="phone" data-validators="phone">
+ * // <input name="confirm" data-validators='[{"name":"matchField","field":"password"}]'>
+ * const fieldValidators = getFieldValidators(form, config.validators);
+ */
+export function getFieldValidators(form, configValidators = {}) {
+  const fieldValidators = {};
+  
+  Object.entries(configValidators || {}).forEach(([fieldName, validatorConfigs]) => {
+    if (fieldName.includes('[*]')) {
+      expandRowValidators(form, fieldName, [].concat(validatorConfigs), fieldValidators);
+    } else {
+      fieldValidators[fieldName] = [].concat(validatorConfigs);
+    }
+  });
+  
+  form.querySelectorAll('[data-validators]').forEach(input => {
+    if (!input.name) return;
+    
+    const declared = parseValidatorAttribute(input.dataset.validators);
+    fieldValidators[input.name] = [...(fieldValidators[input.name] || []), ...declared];
+  });
+  
+  return fieldValidators;
+}
+
+/**
+ * Apply validators declared for a [*] pattern to every matching field
+ * @param {HTMLFormElement} form - The form element
+ * @param {string} pattern - Field name pattern (e.g. 'contacts[*].email')
+ * @param {Array} validatorConfigs - Validator configs for the pattern
+ * @param {Object} fieldValidators - Map being built (modified)
+ * @private
+ */
+function expandRowValidators(form, pattern, validatorConfigs, fieldValidators) {
+  const escaped = pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\\\[\\\*\\\]/g, '\\[(\\d+)\\]');
+  const matcher = new RegExp(`^${escaped}$`);
+  const names = new Set([...form.querySelectorAll('[name]')].map(element => element.name));
+  
+  names.forEach(name => {
+    const match = name.match(matcher);
+    if (!match) return;
+    
+    // Resolve [*] in referenced field names to this field's row indexes
+    const indexes = match.slice(1);
+    const resolve = (value) => {
+      let position = 0;
+      return value.replace(/\[\*\]/g, () => `[${indexes[position++] ?? '*'}]`);
+    };
+    
+    fieldValidators[name] = validatorConfigs.map(config => {
+      if (typeof config !== 'object' || config === null) return config;
+      
+      const resolved = { ...config };
+      FIELD_REFERENCE_KEYS.forEach(key => {
+        if (typeof resolved[key] === 'string') resolved[key] = resolve(resolved[key]);
+      });
+      return resolved;
+    });
+  });
+}
+
+/**
+ * Parse a data-validators attribute value
+ * @param {string} value - JSON array or comma-separated validator names
+ * @returns {Array} Validator configs
+ */
+function parseValidatorAttribute(value) {
+  const source = (value || '').trim();
+  if (!source) return [];
+  
+  if (source.startsWith('[') || source.startsWith('{')) {
+    try {
+      return [].concat(JSON.parse(source));
+    } catch (error) {
+      console.warn(`Invalid data-validators value: ${source}`, error);
+      return [];
+    }
+  }
+  
+  return source.split(',').map(name => name.trim()).filter(Boolean);
+}
+
+/**
+ * Get the names of other fields a set of validator configs depends on
+ * @param {Array} validatorConfigs - Array of validator configs
+ * @returns {Array<string>} Referenced field names
+ * 
+ * @example
+ * getValidatorDependencies([{ name: 'matchField', field: 'password' }]); // ['password']
+ */
+export function getValidatorDependencies(validatorConfigs = []) {
+  const dependencies = new Set();
+  
+  validatorConfigs.forEach(config => {
+    if (typeof config !== 'object' || config === null) return;
+    
+    FIELD_REFERENCE_KEYS.forEach(key => {
+      if (typeof config[key] === 'string') {
+        dependencies.add(config[key]);
+      }
+    });
+  });
+  
+  return [...dependencies];
+}
+
 // ============================================================================
 // EXPORTS
 // ============================================================================
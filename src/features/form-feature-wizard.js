@@ -0,0 +1,498 @@
+/**
+ * Form Kit - Wizard Feature
+ * 
+ * Splits a form into steps shown one at a time. Every step stays in the
+ * form, so values entered on earlier steps are kept when moving back and
+ * forth and are submitted together through the normal submit pipeline.
+ * 
+ * MARKUP:
+ * <form id="signupForm" data-form-config='{"action": "/api/signup", "wizard": true}'>
+ *   <fieldset data-step="Account">...</fieldset>
+ *   <fieldset data-step="Company" data-show-if="accountType=business">...</fieldset>
+ *   <fieldset data-step="Confirm">...</fieldset>
+ *   <button type="submit" class="btn btn-primary">Sign up</button>
+ * </form>
+ * 
+ * CONFIG ("wizard": true, or an object):
+ * {
+ *   "wizard": {
+ *     "progress": "stepper",    // "stepper", "bar", "both" or false
+ *     "nextLabel": "Next",      // Default: the wizard.next message
+ *     "backLabel": "Back"       // Default: the wizard.back message
+ *   }
+ * }
+ * 
+ * - The step title is the data-step value, or the step's <legend>
+ * - Next validates the fields of the current step only; Back never validates
+ * - Steps hidden by a conditional rule (data-show-if on the step) are skipped
+ * - The submit button is shown on the last step; pressing Enter on an
+ *   earlier step moves to the next step instead of submitting
+ * - Resetting the form (also after a successful submit) returns to the first step
+ * - Elements with data-wizard-next / data-wizard-back in the markup are used
+ *   instead of the generated navigation buttons
+ * 
+ * renderForm builds the steps from schema.steps: [{ title, fields, showIf }].
+ * 
+ * @module form-kit/features/form-feature-wizard
+ */
+
+'use strict';
+
+import { getFieldValidators, runValidators } from './form-feature-validators.js';
+import { t } from '../helpers/form-i18n.js';
+
+/**
+ * Default wizard options (button labels default to the wizard.next and wizard.back messages)
+ * @private
+ */
+const DEFAULT_OPTIONS = {
+  progress: 'stepper'
+};
+
+/**
+ * Controls validated per step
+ * @private
+ */
+const CONTROL_SELECTOR = 'input, select, textarea';
+
+/**
+ * Set up wizard mode on a form with [data-step] sections
+ * 
+ * @param {HTMLFormElement} form - The form element
+ * @param {Object} options - Wizard options (see module docs), plus:
+ * @param {AbortSignal} options.signal - Removes the listeners when aborted
+ * @param {Function} options.validate - Called with (step) before moving forward; returns
+ *   (a promise of) a boolean. Defaults to HTML5 validity plus the step's data-validators.
+ * @param {Function} options.onChange - Called with ({ from, to, step }) after the step changes
+ * @returns {Object|null} Wizard handle, or null if the form has no steps
+ * 
+ * @example
+ * const wizard = initializeWizard(form, { progress: 'bar' });
+ * await wizard.next(); // false if the current step is invalid
+ */
+export function initializeWizard(form, options = {}) {
+  const steps = [...form.querySelectorAll('[data-step]')];
+  if (steps.length === 0) return null;
+  
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const listenerController = new AbortController();
+  const { signal } = listenerController;
+  options.signal?.addEventListener('abort', () => listenerController.abort(), { once: true });
+  
+  const validate = options.validate || ((step) => validateStep(form, step));
+  const submitButtons = [...form.querySelectorAll('button[type="submit"], input[type="submit"]')];
+  const hiddenSubmitButtons = submitButtons.filter(button => button.classList.contains('d-none'));
+  
+  // The browser cannot point at invalid fields in hidden steps; invalid steps are shown instead
+  const noValidate = form.noValidate;
+  form.noValidate = true;
+  
+  // Navigation from the markup, or generated after the last step
+  const hasOwnNavigation = Boolean(form.querySelector('[data-wizard-next], [data-wizard-back]'));
+  const navigation = hasOwnNavigation ? null : createNavigation(settings);
+  if (navigation) {
+    steps[steps.length - 1].after(navigation);
+  }
+  
+  const progress = createProgress(settings.progress, steps);
+  if (progress) {
+    form.prepend(progress);
+  }
+  
+  let current = Math.max(0, steps.findIndex(step => isAvailable(step)));
+  let moving = false;
+  
+  /**
+   * Steps not skipped by a conditional rule
+   * @returns {Array<HTMLElement>} Available steps, in order
+   */
+  function getAvailableSteps() {
+    return steps.filter(step => isAvailable(step));
+  }
+  
+  /**
+   * Show the current step and update navigation, progress and submit buttons
+   */
+  function render() {
+    const available = getAvailableSteps();
+    const position = available.indexOf(steps[current]);
+    const isFirst = position <= 0;
+    const isLast = position === available.length - 1;
+    
+    steps.forEach((step, index) => {
+      step.hidden = index !== current;
+    });
+    
+    form.querySelectorAll('[data-wizard-back]').forEach(button => {
+      button.classList.toggle('invisible', isFirst);
+      button.disabled = isFirst;
+    });
+    form.querySelectorAll('[data-wizard-next]').forEach(button => {
+      button.classList.toggle('d-none', isLast);
+    });
+    submitButtons.forEach(button => {
+      button.classList.toggle('d-none', !isLast || hiddenSubmitButtons.includes(button));
+    });
+    
+    form.dataset.wizardStep = String(position + 1);
+    updateProgress(progress, steps, available, current);
+  }
+  
+  /**
+   * Move to a step
+   * @param {number} index - Index in the list of all steps
+   * @param {boolean} focus - Move focus to the first field of the step
+   */
+  function show(index, focus) {
+    const from = current;
+    current = index;
+    render();
+    
+    if (focus) {
+      const first = [...steps[index].querySelectorAll(CONTROL_SELECTOR)]
+        .find(control => !control.disabled && control.type !== 'hidden');
+      (first || steps[index]).focus?.();
+    }
+    
+    if (from !== index) {
+      options.onChange?.({ from, to: index, step: steps[index] });
+    }
+  }
+  
+  /**
+   * Resolve a step argument to its index
+   * @param {number|string|HTMLElement} target - Index, title or step element
+   * @returns {number} Step index, or -1
+   */
+  function resolveStep(target) {
+    if (typeof target === 'number') return target >= 0 && target < steps.length ? target : -1;
+    if (target instanceof HTMLElement) return steps.indexOf(target);
+    return steps.findIndex(step => getStepTitle(step) === target);
+  }
+  
+  /**
+   * Validate the current step and move to the next available one
+   * @returns {Promise<boolean>} True if the step changed
+   */
+  async function next() {
+    if (moving) return false;
+    
+    const available = getAvailableSteps();
+    const following = available[available.indexOf(steps[current]) + 1];
+    if (!following) return false;
+    
+    moving = true;
+    try {
+      const valid = await validate(steps[current]);
+      if (!valid || signal.aborted) {
+        if (!valid) focusFirstInvalid(steps[current]);
+        return false;
+      }
+    } finally {
+      moving = false;
+    }
+    
+    show(steps.indexOf(following), true);
+    return true;
+  }
+  
+  /**
+   * Move to the previous available step (without validating)
+   * @returns {boolean} True if the step changed
+   */
+  function back() {
+    const available = getAvailableSteps();
+    const previous = available[available.indexOf(steps[current]) - 1];
+    if (!previous) return false;
+    
+    show(steps.indexOf(previous), true);
+    return true;
+  }
+  
+  form.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-wizard-next], [data-wizard-back], [data-wizard-goto]');
+    if (!button || !form.contains(button)) return;
+    
+    e.preventDefault();
+    if (button.hasAttribute('data-wizard-next')) {
+      next();
+    } else if (button.hasAttribute('data-wizard-back')) {
+      back();
+    } else {
+      // Stepper: only steps before the current one can be revisited directly
+      const index = Number(button.dataset.wizardGoto);
+      if (index < current) show(index, true);
+    }
+  }, { signal });
+  
+  // Registered before initializeForm's submit handler: Enter on an earlier step moves forward
+  form.addEventListener('submit', (e) => {
+    const available = getAvailableSteps();
+    if (available.indexOf(steps[current]) === available.length - 1) return;
+    
+    e.preventDefault();
+    e.stopImmediatePropagation();
+    next();
+  }, { signal });
+  
+  // A reset form starts over at the first step
+  form.addEventListener('reset', () => {
+    steps.forEach(step => step.classList.remove('was-validated'));
+    const first = steps.findIndex(step => isAvailable(step));
+    if (first !== -1) show(first, false);
+  }, { signal });
+  
+  render();
+  
+  return {
+    steps,
+    next,
+    back,
+    
+    /**
+     * Move to a step without validating (e.g. from an "Edit" link on a summary step)
+     * @param {number|string|HTMLElement} target - Index, title or step element
+     * @returns {boolean} True if the step exists and is not skipped
+     */
+    goTo: (target) => {
+      const index = resolveStep(target);
+      if (index === -1 || !isAvailable(steps[index])) return false;
+      show(index, true);
+      return true;
+    },
+    
+    /**
+     * Show the step containing an element (e.g. the first invalid field after submit)
+     * @param {HTMLElement} element - Element inside a step
+     * @returns {boolean} True if the element is inside a step
+     */
+    showStepOf: (element) => {
+      const index = element ? steps.findIndex(step => step.contains(element)) : -1;
+      if (index === -1) return false;
+      if (index !== current) show(index, false);
+      return true;
+    },
+    
+    /**
+     * Current step
+     * @returns {Object} { index, step, title, position, total } - position is 1-based among available steps
+     */
+    getCurrentStep: () => {
+      const available = getAvailableSteps();
+      return {
+        index: current,
+        step: steps[current],
+        title: getStepTitle(steps[current]),
+        position: available.indexOf(steps[current]) + 1,
+        total: available.length
+      };
+    },
+    
+    /**
+     * Re-check skipped steps (after conditional rules changed); leaves a step that became skipped
+     */
+    refresh: () => {
+      if (!isAvailable(steps[current])) {
+        const index = steps.findIndex((step, i) => i > current && isAvailable(step));
+        const fallback = steps.findLastIndex((step, i) => i < current && isAvailable(step));
+        const target = index !== -1 ? index : fallback;
+        if (target !== -1) {
+          show(target, false);
+          return;
+        }
+      }
+      render();
+    },
+    
+    /**
+     * Show every step again and remove the generated navigation and progress
+     */
+    destroy: () => {
+      listenerController.abort();
+      navigation?.remove();
+      progress?.remove();
+      steps.forEach(step => {
+        step.hidden = false;
+      });
+      submitButtons.forEach(button => {
+        button.classList.toggle('d-none', hiddenSubmitButtons.includes(button));
+      });
+      form.querySelectorAll('[data-wizard-back], [data-wizard-next]').forEach(button => {
+        button.classList.remove('invisible', 'd-none');
+        button.disabled = false;
+      });
+      delete form.dataset.wizardStep;
+      form.noValidate = noValidate;
+    }
+  };
+}
+
+/**
+ * Validate the fields of one step: HTML5 constraints plus data-validators
+ * Used when initializeWizard is called without a validate option.
+ * @param {HTMLFormElement} form - The form element
+ * @param {HTMLElement} step - Step element
+ * @returns {Promise<boolean>} True if every enabled field in the step is valid
+ * @private
+ */
+async function validateStep(form, step) {
+  const controls = [...step.querySelectorAll(CONTROL_SELECTOR)].filter(control => control.name && !control.disabled);
+  const fieldValidators = getFieldValidators(form);
+  
+  const runs = [...new Set(controls.map(control => control.name))]
+    .filter(name => fieldValidators[name])
+    .map(name => runValidators(form.querySelector(`[name="${name}"]`), fieldValidators[name], form, { immediate: true }));
+  const customValid = (await Promise.all(runs)).every(Boolean);
+  
+  const html5Valid = controls.every(control => control.checkValidity());
+  step.classList.toggle('was-validated', !html5Valid || !customValid);
+  
+  return customValid && html5Valid;
+}
+
+/**
+ * Focus the first invalid field of a step
+ * @private
+ */
+function focusFirstInvalid(step) {
+  const invalid = [...step.querySelectorAll(CONTROL_SELECTOR)]
+    .find(control => !control.disabled && (control.classList.contains('is-invalid') || !control.validity.valid));
+  invalid?.focus();
+}
+
+/**
+ * Whether a step is shown in the flow (not hidden by a conditional rule)
+ * @private
+ */
+function isAvailable(step) {
+  return !step.hasAttribute('data-condition-hidden');
+}
+
+/**
+ * Title of a step: the data-step value, or its legend
+ * @param {HTMLElement} step - Step element
+ * @returns {string} Step title
+ * @private
+ */
+function getStepTitle(step) {
+  return step.dataset.step || step.querySelector('legend')?.textContent.trim() || '';
+}
+
+/**
+ * Build the Back/Next button bar
+ * @private
+ */
+function createNavigation(settings) {
+  const navigation = document.createElement('div');
+  navigation.className = 'form-wizard-nav d-flex justify-content-between gap-2 mt-3';
+  
+  const backButton = document.createElement('button');
+  backButton.type = 'button';
+  backButton.className = 'btn btn-outline-secondary';
+  backButton.dataset.wizardBack = '';
+  backButton.textContent = settings.backLabel ?? t('wizard.back');
+  
+  const nextButton = document.createElement('button');
+  nextButton.type = 'button';
+  nextButton.className = 'btn btn-primary ms-auto';
+  nextButton.dataset.wizardNext = '';
+  nextButton.textContent = settings.nextLabel ?? t('wizard.next');
+  
+  navigation.append(backButton, nextButton);
+  return navigation;
+}
+
+/**
+ * Build the progress indicator: a stepper list, a progress bar, or both
+ * @param {string|boolean} type - 'stepper', 'bar', 'both' or false
+ * @param {Array<HTMLElement>} steps - Step elements
+ * @returns {HTMLElement|null} Progress element, or null when disabled
+ * @private
+ */
+function createProgress(type, steps) {
+  if (!type) return null;
+  
+  const container = document.createElement('div');
+  container.className = 'form-wizard-progress mb-3';
+  
+  if (type === 'stepper' || type === 'both') {
+    const list = document.createElement('ol');
+    list.className = 'form-wizard-steps list-unstyled d-flex flex-wrap gap-3 mb-2';
+    
+    steps.forEach((step, index) => {
+      const item = document.createElement('li');
+      item.className = 'form-wizard-step';
+      
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'btn btn-link p-0 text-decoration-none d-flex align-items-center gap-2';
+      button.dataset.wizardGoto = String(index);
+      
+      const badge = document.createElement('span');
+      badge.className = 'badge rounded-pill';
+      
+      const title = document.createElement('span');
+      title.textContent = getStepTitle(step);
+      
+      button.append(badge, title);
+      item.appendChild(button);
+      list.appendChild(item);
+    });
+    
+    container.appendChild(list);
+  }
+  
+  if (type === 'bar' || type === 'both') {
+    const bar = document.createElement('div');
+    bar.className = 'progress';
+    bar.setAttribute('role', 'progressbar');
+    bar.setAttribute('aria-valuemin', '0');
+    bar.setAttribute('aria-valuemax', '100');
+    
+    const fill = document.createElement('div');
+    fill.className = 'progress-bar';
+    bar.appendChild(fill);
+    
+    container.appendChild(bar);
+  }
+  
+  return container;
+}
+
+/**
+ * Update the progress indicator for the current step
+ * @private
+ */
+function updateProgress(progress, steps, available, current) {
+  if (!progress) return;
+  
+  const position = available.indexOf(steps[current]);
+  
+  progress.querySelectorAll('.form-wizard-step').forEach((item, index) => {
+    const step = steps[index];
+    const stepPosition = available.indexOf(step);
+    const button = item.querySelector('[data-wizard-goto]');
+    const badge = item.querySelector('.badge');
+    
+    item.classList.toggle('d-none', stepPosition === -1);
+    badge.textContent = String(stepPosition + 1);
+    badge.classList.toggle('bg-success', stepPosition !== -1 && stepPosition < position);
+    badge.classList.toggle('bg-primary', index === current);
+    badge.classList.toggle('bg-secondary', stepPosition > position);
+    button.disabled = index >= current;
+    
+    if (index === current) {
+      item.setAttribute('aria-current', 'step');
+    } else {
+      item.removeAttribute('aria-current');
+    }
+  });
+  
+  const bar = progress.querySelector('.progress');
+  if (bar) {
+    const percent = Math.round(((position + 1) / available.length) * 100);
+    bar.setAttribute('aria-valuenow', String(percent));
+    bar.setAttribute('aria-label', t('wizard.progress', { step: position + 1, total: available.length }));
+    bar.querySelector('.progress-bar').style.width = `${percent}%`;
+  }
+}
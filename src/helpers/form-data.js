@@ -0,0 +1,280 @@
+/**
+ * File: form-data.js
+ * Created: 2026-10-19
+ * Last Modified: 2026-10-19
+ * 
+ * Form Data Module
+ * 
+ * Field path and type coercion utilities behind getFormData and populateForm.
+ * 
+ * FIELD PATHS:
+ * Dotted and bracketed field names describe nested objects and arrays:
+ * - address.city      -> { address: { city } }
+ * - address[city]     -> { address: { city } }
+ * - items[0].qty      -> { items: [{ qty }] }
+ * - tags[]            -> { tags: [...] }   (every field with this name is appended)
+ * 
+ * TYPES (data-type attribute, or inferred from the input type):
+ * - number, integer   -> Number (null when empty or invalid)
+ * - boolean           -> true/false ('true', 'on', '1', 'yes' are true)
+ * - date              -> 'YYYY-MM-DD' (null when empty)
+ * - datetime          -> ISO 8601 UTC string (null when empty); parsed with the
+ *                        input's dateFormat and timezone, serialized per
+ *                        data-date-output (see form-datetime.js)
+ * - json              -> Parsed JSON (the raw string if invalid)
+ * - array             -> Array, split on data-separator (default ',')
+ * - string            -> Unchanged
+ * 
+ * @module form-kit/helpers/form-data
+ */
+
+'use strict';
+
+import { parseDateTime, formatDateTime } from './form-datetime.js';
+
+// ============================================================================
+// FIELD PATHS
+// ============================================================================
+
+/**
+ * Path segments that would reach Object.prototype instead of a data key
+ * @private
+ */
+const UNSAFE_SEGMENTS = ['__proto__', 'constructor', 'prototype'];
+
+/**
+ * Split a field name into path segments
+ * Numeric bracket segments become numbers; an empty bracket ([]) becomes ''.
+ * @param {string} name - Field name
+ * @returns {Array<string|number>} Path segments
+ * 
+ * @example
+ * parseFieldPath('items[0].qty'); // ['items', 0, 'qty']
+ * parseFieldPath('tags[]');       // ['tags', '']
+ */
+export function parseFieldPath(name) {
+  const segments = [];
+  const pattern = /([^.[\]]+)|\[([^\]]*)\]/g;
+  let match;
+  
+  while ((match = pattern.exec(String(name))) !== null) {
+    if (match[1] !== undefined) {
+      segments.push(match[1]);
+    } else {
+      segments.push(/^\d+$/.test(match[2]) ? Number(match[2]) : match[2]);
+    }
+  }
+  
+  return segments;
+}
+
+/**
+ * Check whether a field name describes a nested path
+ * @param {string} name - Field name
+ * @returns {boolean} True if the name contains dots or brackets
+ */
+export function isFieldPath(name) {
+  return /[.[]/.test(String(name));
+}
+
+/**
+ * Read a value from a nested object by field name
+ * @param {Object} source - Nested object
+ * @param {string} name - Field name (e.g. 'address.city')
+ * @returns {*} Value, or undefined if the path does not exist
+ * 
+ * @example
+ * getFieldPath({ items: [{ qty: 2 }] }, 'items[0].qty'); // 2
+ */
+export function getFieldPath(source, name) {
+  if (source && Object.prototype.hasOwnProperty.call(source, name)) {
+    return source[name];
+  }
+  
+  return parseFieldPath(name).reduce((value, segment) => {
+    if (value === null || value === undefined || segment === '') return value;
+    return value[segment];
+  }, source);
+}
+
+/**
+ * Set a value in a nested object by field name, creating objects and arrays as needed
+ * A trailing [] appends to an array. Names with a __proto__, constructor or
+ * prototype segment are ignored (with a warning), so fields cannot pollute prototypes.
+ * @param {Object} target - Object to modify
+ * @param {string} name - Field name
+ * @param {*} value - Value to set
+ * @returns {Object} The target
+ */
+export function setFieldPath(target, name, value) {
+  const segments = parseFieldPath(name);
+  if (segments.some(segment => UNSAFE_SEGMENTS.includes(segment))) {
+    console.warn('Ignoring unsafe field name:', name);
+    return target;
+  }
+  
+  let current = target;
+  
+  segments.forEach((segment, index) => {
+    const isLast = index === segments.length - 1;
+    
+    if (segment === '') {
+      // tags[] -> push onto the array built so far
+      return;
+    }
+    
+    if (isLast || segments[index + 1] === '') {
+      if (segments[index + 1] === '') {
+        current[segment] = [].concat(current[segment] ?? [], value);
+      } else {
+        current[segment] = value;
+      }
+      return;
+    }
+    
+    if (current[segment] === null || typeof current[segment] !== 'object') {
+      current[segment] = typeof segments[index + 1] === 'number' ? [] : {};
+    }
+    current = current[segment];
+  });
+  
+  return target;
+}
+
+/**
+ * Expand a flat map of field names into nested objects and arrays
+ * @param {Object} flat - Map of field names to values
+ * @returns {Object} Nested object
+ * 
+ * @example
+ * nestFormData({ 'address.city': 'Lisbon', 'items[0].qty': 2 });
+ * // { address: { city: 'Lisbon' }, items: [{ qty: 2 }] }
+ */
+export function nestFormData(flat) {
+  const nested = {};
+  
+  Object.entries(flat).forEach(([name, value]) => {
+    if (isFieldPath(name)) {
+      setFieldPath(nested, name, value);
+    } else {
+      nested[name] = value;
+    }
+  });
+  
+  return nested;
+}
+
+/**
+ * Flatten a nested object into a map of dotted field names
+ * Arrays of primitives are kept as values (checkbox groups, multi-selects).
+ * @param {Object} source - Nested object
+ * @param {string} prefix - Name prefix (used for recursion)
+ * @returns {Object} Map of field names to values
+ * 
+ * @example
+ * flattenFormData({ address: { city: 'Lisbon' } }); // { 'address.city': 'Lisbon' }
+ */
+export function flattenFormData(source, prefix = '') {
+  const flat = {};
+  
+  Object.entries(source || {}).forEach(([key, value]) => {
+    const name = prefix ? (/^\d+$/.test(key) ? `${prefix}[${key}]` : `${prefix}.${key}`) : key;
+    const isPlainObject = value !== null && typeof value === 'object' && value.constructor === Object;
+    const isObjectArray = Array.isArray(value) && value.some(item => item !== null && typeof item === 'object');
+    
+    if (isPlainObject || isObjectArray) {
+      Object.assign(flat, flattenFormData(value, name));
+    } else {
+      flat[name] = value;
+    }
+  });
+  
+  return flat;
+}
+
+// ============================================================================
+// TYPE COERCION
+// ============================================================================
+
+/**
+ * Values treated as true by the boolean type
+ * @private
+ */
+const TRUE_VALUES = ['true', 'on', '1', 'yes'];
+
+/**
+ * Get the data type of a control: data-type, or inferred from the input type
+ * @param {HTMLElement} element - Form control
+ * @returns {string} Type name ('string' if nothing applies)
+ */
+export function getFieldType(element) {
+  if (element.dataset?.type) return element.dataset.type;
+  if (element.type === 'number' || element.type === 'range') return 'number';
+  return 'string';
+}
+
+/**
+ * Coerce a raw string value to a type
+ * @param {*} value - Raw value
+ * @param {string} type - Type name (see module docs)
+ * @param {Object} options - Coercion options
+ * @param {string} options.separator - Separator for the array type (default ',')
+ * @param {string} options.format - Flatpickr dateFormat of date/datetime values
+ * @param {string} options.timezone - Timezone of datetime values (see form-datetime.js)
+ * @param {string} options.output - Datetime output: 'utc' (default), 'local', 'date' or 'epoch'
+ * @returns {*} Coerced value
+ * 
+ * @example
+ * coerceValue('42', 'integer'); // 42
+ * coerceValue('', 'number');    // null
+ */
+export function coerceValue(value, type, options = {}) {
+  if (typeof value !== 'string') return value;
+  
+  switch (type) {
+    case 'number': {
+      if (value.trim() === '') return null;
+      const number = Number(value);
+      return isNaN(number) ? null : number;
+    }
+    case 'integer': {
+      if (value.trim() === '') return null;
+      const number = parseInt(value, 10);
+      return isNaN(number) ? null : number;
+    }
+    case 'boolean':
+      return TRUE_VALUES.includes(value.toLowerCase());
+    case 'date':
+      return toDateString(value, options);
+    case 'datetime': {
+      if (value.trim() === '') return null;
+      const date = parseDateTime(value, options);
+      return date ? formatDateTime(date, options) : value;
+    }
+    case 'json':
+      if (value.trim() === '') return null;
+      try {
+        return JSON.parse(value);
+      } catch (error) {
+        console.warn('Invalid JSON field value:', value);
+        return value;
+      }
+    case 'array':
+      if (value.trim() === '') return [];
+      return value.split(options.separator || ',').map(item => item.trim()).filter(Boolean);
+    default:
+      return value;
+  }
+}
+
+/**
+ * Normalize a date value to YYYY-MM-DD (local date)
+ * @private
+ */
+function toDateString(value, options) {
+  if (value.trim() === '') return null;
+  if (/^\d{4}-\d{2}-\d{2}/.test(value)) return value.slice(0, 10);
+  
+  const date = parseDateTime(value, { format: options.format });
+  return date ? formatDateTime(date, { output: 'date' }) : value;
+}
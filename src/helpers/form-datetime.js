@@ -0,0 +1,468 @@
+/**
+ * File: form-datetime.js
+ * Created: 2026-10-19
+ * Last Modified: 2026-10-19
+ * 
+ * Form DateTime Module
+ * 
+ * Parsing and serialization of date/time values in a known timezone, used
+ * by getFormData, the isoDateTime transform and the date range validators.
+ * 
+ * PARSING:
+ * Values are read with the Flatpickr dateFormat of the input (tokens
+ * Y y m n d j J H G h i S s K F M D l U Z), so '05/03/2026 14:00' with
+ * 'd/m/Y H:i' is 5 March. ISO 8601 strings are accepted as a fallback;
+ * anything else is invalid (no new Date() guessing). A value without an
+ * explicit offset is a wall-clock time in the field's timezone.
+ * 
+ * TIMEZONE (data-timezone on the field or an ancestor, or "timezone" in
+ * data-form-config):
+ * - 'local' or unset  -> The browser timezone
+ * - 'UTC'             -> UTC
+ * - IANA name         -> e.g. 'Europe/Lisbon', 'America/New_York'
+ * 
+ * OUTPUT (data-date-output on the field or an ancestor, or "dateOutput"):
+ * - utc (default)     -> '2026-03-05T14:00:00.000Z'
+ * - local             -> '2026-03-05T14:00:00+00:00' (offset of the timezone)
+ * - date              -> '2026-03-05' (calendar date in the timezone)
+ * - epoch             -> 1772719200000 (milliseconds)
+ * 
+ * @module form-kit/helpers/form-datetime
+ */
+
+'use strict';
+
+import { t, getFlatpickrLocale } from './form-i18n.js';
+
+/**
+ * English month names, used when no Flatpickr locale is loaded
+ * @private
+ */
+const DEFAULT_MONTHS = {
+  longhand: ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+    'August', 'September', 'October', 'November', 'December'],
+  shorthand: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec']
+};
+
+/**
+ * Flatpickr format tokens: regex source and how the match sets the date parts
+ * @private
+ */
+const FORMAT_TOKENS = {
+  Y: { pattern: '\\d{4}', set: (parts, value) => { parts.year = Number(value); } },
+  y: { pattern: '\\d{2}', set: (parts, value) => { parts.year = 2000 + Number(value); } },
+  m: { pattern: '\\d{1,2}', set: (parts, value) => { parts.month = Number(value); } },
+  n: { pattern: '\\d{1,2}', set: (parts, value) => { parts.month = Number(value); } },
+  F: { pattern: '[^\\s\\d,.]+', set: (parts, value, months) => { parts.month = findMonth(months.longhand, value); } },
+  M: { pattern: '[^\\s\\d,.]+', set: (parts, value, months) => { parts.month = findMonth(months.shorthand, value); } },
+  d: { pattern: '\\d{1,2}', set: (parts, value) => { parts.day = Number(value); } },
+  j: { pattern: '\\d{1,2}', set: (parts, value) => { parts.day = Number(value); } },
+  J: { pattern: '\\d{1,2}(?:st|nd|rd|th)?', set: (parts, value) => { parts.day = parseInt(value, 10); } },
+  D: { pattern: '[^\\s\\d,.]+', set: () => {} },
+  l: { pattern: '[^\\s\\d,.]+', set: () => {} },
+  H: { pattern: '\\d{1,2}', set: (parts, value) => { parts.hour = Number(value); } },
+  G: { pattern: '\\d{1,2}', set: (parts, value) => { parts.hour = Number(value); } },
+  h: { pattern: '\\d{1,2}', set: (parts, value) => { parts.hour = Number(value); } },
+  i: { pattern: '\\d{1,2}', set: (parts, value) => { parts.minute = Number(value); } },
+  S: { pattern: '\\d{1,2}', set: (parts, value) => { parts.second = Number(value); } },
+  s: { pattern: '\\d{1,2}', set: (parts, value) => { parts.second = Number(value); } },
+  K: { pattern: '[AaPp][Mm]', set: (parts, value) => { parts.meridiem = value.toUpperCase(); } },
+  U: { pattern: '-?\\d+', set: (parts, value) => { parts.instant = new Date(Number(value) * 1000); } },
+  Z: { pattern: '.+', set: (parts, value) => { parts.instant = parseISO(value, 'UTC'); } }
+};
+
+/**
+ * ISO 8601 date, optional time and optional offset
+ * @private
+ */
+const ISO_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d+))?)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/i;
+
+/**
+ * Intl.DateTimeFormat per timezone, for reading wall-clock parts
+ * @private
+ */
+const partFormatters = new Map();
+
+// ============================================================================
+// PARSING
+// ============================================================================
+
+/**
+ * Parse a date/time value into the instant it represents
+ * 
+ * @param {string|number|Date} value - Input value, epoch milliseconds or Date
+ * @param {Object} options - Parse options
+ * @param {string} options.format - Flatpickr dateFormat of the value (ISO 8601 is always accepted)
+ * @param {string} options.timezone - Timezone of values without an offset (see module docs)
+ * @returns {Date|null} Date, or null when empty or invalid
+ * 
+ * @example
+ * parseDateTime('05/03/2026 14:00', { format: 'd/m/Y H:i', timezone: 'Europe/Lisbon' });
+ * parseDateTime('2026-03-05T14:00:00Z'); // Offset given: timezone is ignored
+ */
+export function parseDateTime(value, options = {}) {
+  if (value instanceof Date) {
+    return isNaN(value.getTime()) ? null : value;
+  }
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? new Date(value) : null;
+  }
+  if (typeof value !== 'string' || value.trim() === '') return null;
+  
+  const text = value.trim();
+  return (options.format && parseFormat(text, options.format, options.timezone)) || parseISO(text, options.timezone);
+}
+
+/**
+ * Parse a value with a Flatpickr format string
+ * @private
+ */
+function parseFormat(text, format, timezone) {
+  const setters = [];
+  let source = '';
+  
+  for (let index = 0; index < format.length; index++) {
+    const char = format[index];
+    if (char === '\\') {
+      index++;
+      source += escapeRegExp(format[index] ?? '');
+    } else if (FORMAT_TOKENS[char]) {
+      source += `(${FORMAT_TOKENS[char].pattern})`;
+      setters.push(FORMAT_TOKENS[char].set);
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+  
+  const match = new RegExp(`^${source}$`, 'i').exec(text);
+  if (!match) return null;
+  
+  const parts = {};
+  const months = getFlatpickrLocale()?.months || DEFAULT_MONTHS;
+  setters.forEach((set, index) => set(parts, match[index + 1], months));
+  
+  if (parts.instant) {
+    return isNaN(parts.instant.getTime()) ? null : parts.instant;
+  }
+  
+  if (parts.meridiem && parts.hour !== undefined) {
+    parts.hour = (parts.hour % 12) + (parts.meridiem === 'PM' ? 12 : 0);
+  }
+  
+  // Like Flatpickr: time-only formats are times of today, missing date parts
+  // default to 1 January of the current year
+  const today = getWallTime(new Date(), timezone);
+  const defaults = (parts.year === undefined && parts.month === undefined && parts.day === undefined)
+    ? { year: today.year, month: today.month, day: today.day }
+    : { year: today.year, month: 1, day: 1 };
+  
+  return fromWallTime({ ...defaults, ...parts }, timezone);
+}
+
+/**
+ * Parse an ISO 8601 value; without an offset it is a wall time in the timezone
+ * @private
+ */
+function parseISO(text, timezone) {
+  const match = ISO_PATTERN.exec(text);
+  if (!match) return null;
+  
+  const [, year, month, day, hour = 0, minute = 0, second = 0, fraction = '', offset] = match;
+  const parts = {
+    year: Number(year),
+    month: Number(month),
+    day: Number(day),
+    hour: Number(hour),
+    minute: Number(minute),
+    second: Number(second),
+    millisecond: Number(fraction.slice(0, 3).padEnd(3, '0'))
+  };
+  
+  if (!offset) {
+    return fromWallTime(parts, timezone);
+  }
+  
+  const date = fromWallTime(parts, 'UTC');
+  if (!date || offset.toUpperCase() === 'Z') return date;
+  
+  const [, sign, hours, minutes] = /([+-])(\d{2}):?(\d{2})/.exec(offset);
+  const offsetMinutes = (sign === '-' ? -1 : 1) * (Number(hours) * 60 + Number(minutes));
+  return new Date(date.getTime() - offsetMinutes * 60000);
+}
+
+/**
+ * Convert wall-clock parts in a timezone to a Date; null if a part is out of range
+ * @private
+ */
+function fromWallTime(parts, timezone) {
+  const { year, month, day, hour = 0, minute = 0, second = 0, millisecond = 0 } = parts;
+  if (!(month >= 1 && month <= 12 && hour <= 23 && minute <= 59 && second <= 59)) return null;
+  
+  // Rejects days past the end of the month (e.g. 31/02)
+  const wall = Date.UTC(year, month - 1, day, hour, minute, second, millisecond);
+  if (isNaN(wall) || new Date(wall).getUTCDate() !== day) return null;
+  
+  if (resolveTimezone(timezone) === 'local') {
+    return new Date(year, month - 1, day, hour, minute, second, millisecond);
+  }
+  
+  // Offset at the wall time read as UTC, corrected once when that crosses a DST change
+  const offset = getTimezoneOffset(new Date(wall), timezone);
+  const guess = wall - offset * 60000;
+  const corrected = getTimezoneOffset(new Date(guess), timezone);
+  if (corrected === offset) return new Date(guess);
+  
+  // A wall time skipped by the DST change moves forward, like new Date() does
+  const retry = wall - corrected * 60000;
+  const stable = getTimezoneOffset(new Date(retry), timezone) === corrected;
+  return new Date(stable ? retry : Math.max(guess, retry));
+}
+
+// ============================================================================
+// FORMATTING
+// ============================================================================
+
+/**
+ * Serialize a date for an API
+ * 
+ * @param {Date} date - Date to serialize
+ * @param {Object} options - Format options
+ * @param {string} options.output - 'utc' (default), 'local', 'date' or 'epoch' (see module docs)
+ * @param {string} options.timezone - Timezone for the local and date outputs
+ * @returns {string|number|null} Serialized value, or null for an invalid date
+ * 
+ * @example
+ * formatDateTime(date, { output: 'local', timezone: 'America/New_York' }); // '2026-03-05T09:00:00-05:00'
+ */
+export function formatDateTime(date, options = {}) {
+  if (!(date instanceof Date) || isNaN(date.getTime())) return null;
+  
+  const { output = 'utc', timezone } = options;
+  const wall = getWallTime(date, timezone);
+  const pad = (number, length = 2) => String(number).padStart(length, '0');
+  const calendarDate = `${pad(wall.year, 4)}-${pad(wall.month)}-${pad(wall.day)}`;
+  
+  switch (output) {
+    case 'utc':
+      return date.toISOString();
+    case 'epoch':
+      return date.getTime();
+    case 'date':
+      return calendarDate;
+    case 'local': {
+      const offset = getTimezoneOffset(date, timezone);
+      const sign = offset < 0 ? '-' : '+';
+      const absolute = Math.abs(offset);
+      return `${calendarDate}T${pad(wall.hour)}:${pad(wall.minute)}:${pad(wall.second)}` +
+        `${sign}${pad(Math.floor(absolute / 60))}:${pad(absolute % 60)}`;
+    }
+    default:
+      console.warn(`Unknown date output "${output}", using utc`);
+      return date.toISOString();
+  }
+}
+
+/**
+ * Offset of a timezone from UTC at a given moment
+ * @param {Date} date - Moment (offsets change with DST)
+ * @param {string} timezone - Timezone (see module docs)
+ * @returns {number} Minutes east of UTC, e.g. 60 for Europe/Lisbon in summer
+ */
+export function getTimezoneOffset(date, timezone) {
+  if (resolveTimezone(timezone) === 'local') {
+    return -date.getTimezoneOffset();
+  }
+  
+  const wall = getWallTime(date, timezone);
+  const wallTime = Date.UTC(wall.year, wall.month - 1, wall.day, wall.hour, wall.minute, wall.second);
+  return Math.round((wallTime - date.getTime()) / 60000);
+}
+
+/**
+ * Wall-clock parts of a date in a timezone
+ * @private
+ */
+function getWallTime(date, timezone) {
+  const formatter = resolveTimezone(timezone) === 'local' ? null : getPartFormatter(timezone);
+  if (!formatter) {
+    return {
+      year: date.getFullYear(),
+      month: date.getMonth() + 1,
+      day: date.getDate(),
+      hour: date.getHours(),
+      minute: date.getMinutes(),
+      second: date.getSeconds()
+    };
+  }
+  
+  const parts = {};
+  formatter.formatToParts(date).forEach(({ type, value }) => {
+    if (type !== 'literal') parts[type] = Number(value);
+  });
+  return parts;
+}
+
+/**
+ * Normalize a timezone option; unknown names fall back to 'local' with a warning
+ * @private
+ */
+function resolveTimezone(timezone) {
+  if (!timezone || timezone === 'local') return 'local';
+  return getPartFormatter(timezone) ? timezone : 'local';
+}
+
+/**
+ * Cached formatter for a timezone (null when the name is not supported)
+ * @private
+ */
+function getPartFormatter(timezone) {
+  if (!partFormatters.has(timezone)) {
+    try {
+      partFormatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+      }));
+    } catch (error) {
+      console.warn(`Unknown timezone "${timezone}", using the browser timezone`);
+      partFormatters.set(timezone, null);
+    }
+  }
+  return partFormatters.get(timezone);
+}
+
+// ============================================================================
+// INPUTS
+// ============================================================================
+
+/**
+ * Read the date settings of an input
+ * 
+ * The format comes from its Flatpickr instance (or data-date-format), the
+ * timezone and output from data-timezone / data-date-output on the input or
+ * its closest ancestor that sets them (initializeForm writes the form-level
+ * config to the form element).
+ * 
+ * @param {HTMLElement} input - Date/time input
+ * @returns {Object} { format, timezone, output } (unset keys are omitted)
+ */
+export function getDateTimeOptions(input) {
+  if (!input) return {};
+  
+  const options = {
+    format: input._flatpickr?.config.dateFormat || input.dataset.dateFormat,
+    timezone: input.closest('[data-timezone]')?.dataset.timezone,
+    output: input.closest('[data-date-output]')?.dataset.dateOutput
+  };
+  
+  Object.keys(options).forEach(key => options[key] === undefined && delete options[key]);
+  return options;
+}
+
+/**
+ * Convert a stored value to the Date a picker should show
+ * 
+ * Flatpickr shows dates in the browser timezone; in another timezone the
+ * wall-clock time there is returned as a browser-local Date so the picker
+ * displays it unchanged. Other values are returned as given.
+ * 
+ * @param {*} value - Value being populated (e.g. an ISO string from the API)
+ * @param {Object} options - { timezone } (see getDateTimeOptions)
+ * @returns {*} Date or value for flatpickr.setDate
+ */
+export function toPickerDate(value, options = {}) {
+  if (resolveTimezone(options.timezone) === 'local' || value === null || value === undefined || value === '') {
+    return value;
+  }
+  
+  const date = parseDateTime(value, options);
+  if (!date) return value;
+  
+  const wall = getWallTime(date, options.timezone);
+  return new Date(wall.year, wall.month - 1, wall.day, wall.hour, wall.minute, wall.second);
+}
+
+/**
+ * Show the timezone of a date/time input next to it
+ * 
+ * Only inputs with a time part (Flatpickr enableTime, or data-type="datetime")
+ * and an explicit data-timezone get an indicator, e.g. "Europe/Lisbon (UTC+01:00)".
+ * The offset follows the entered date, so it changes across DST.
+ * 
+ * @param {HTMLInputElement} input - Date/time input
+ * @returns {Function|null} Removes the indicator, or null when none was added
+ */
+export function attachTimezoneIndicator(input) {
+  const { timezone, format } = getDateTimeOptions(input);
+  const fp = input._flatpickr;
+  const hasTime = fp?.config.enableTime || input.dataset.type === 'datetime';
+  if (!timezone || !hasTime) return null;
+  
+  const inGroup = input.parentElement?.classList.contains('input-group');
+  const indicator = document.createElement(inGroup ? 'span' : 'div');
+  indicator.className = inGroup ? 'input-group-text form-kit-timezone' : 'form-text form-kit-timezone';
+  indicator.id = `${input.id || input.name}-timezone`;
+  
+  const update = () => {
+    const date = parseDateTime(input.value, { format, timezone }) || new Date();
+    indicator.textContent = formatTimezoneLabel(timezone, date);
+  };
+  update();
+  
+  (fp?.altInput || input).after(indicator);
+  
+  const describedBy = input.getAttribute('aria-describedby');
+  input.setAttribute('aria-describedby', [describedBy, indicator.id].filter(Boolean).join(' '));
+  input.addEventListener('change', update);
+  
+  return () => {
+    input.removeEventListener('change', update);
+    indicator.remove();
+    if (describedBy) {
+      input.setAttribute('aria-describedby', describedBy);
+    } else {
+      input.removeAttribute('aria-describedby');
+    }
+  };
+}
+
+/**
+ * Indicator text for a timezone at a date
+ * @private
+ */
+function formatTimezoneLabel(timezone, date) {
+  const zone = resolveTimezone(timezone) === 'local'
+    ? Intl.DateTimeFormat().resolvedOptions().timeZone
+    : timezone;
+  
+  if (zone === 'UTC') return zone;
+  
+  const offset = formatDateTime(date, { output: 'local', timezone }).slice(-6);
+  return t('date.timezone', { zone, offset: `UTC${offset}` });
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Month number (1-12) of a month name, case-insensitive
+ * @private
+ */
+function findMonth(names, value) {
+  const index = names.findIndex(name => name.toLowerCase() === value.toLowerCase());
+  return index === -1 ? NaN : index + 1;
+}
+
+/**
+ * Escape a literal for use in a RegExp
+ * @private
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -0,0 +1,229 @@
+/**
+ * File: form-errors.js
+ * Created: 2026-10-19
+ * Last Modified: 2026-10-19
+ * 
+ * Form Errors Module
+ * 
+ * Structured errors for failed submissions and parsing of per-field errors
+ * from API responses, so they can be shown on the matching inputs.
+ * 
+ * SUPPORTED ERROR SHAPES (built-in parsers):
+ * 1. Object map:     { errors: { email: 'already used' } }  (string or array of strings)
+ * 2. RFC 7807:       { 'invalid-params': [{ name: 'email', reason: 'already used' }] }
+ * 3. Array of items: { errors: [{ field: 'email', message: 'already used' }] }
+ *                    (field/path/param/name + message/msg/reason/defaultMessage)
+ * 
+ * Additional shapes can be supported with registerErrorParser().
+ * 
+ * @module form-kit/helpers/form-errors
+ */
+
+'use strict';
+
+/**
+ * Error thrown by submitFormData for failed submissions
+ * 
+ * @property {string} code - 'HTTP' (non-2xx response), 'TIMEOUT', 'NETWORK' or 'ABORTED'
+ * @property {number} status - HTTP status code (0 when no response was received)
+ * @property {string} statusText - HTTP status text
+ * @property {*} body - Parsed response body (object for JSON, string otherwise)
+ * @property {Object} fieldErrors - Map of field names to arrays of messages
+ * @property {Response} response - The fetch Response
+ * 
+ * @example
+ * try {
+ *   await submitFormData('/api/users', 'POST', data);
+ * } catch (error) {
+ *   if (error instanceof FormSubmitError && error.status === 422) {
+ *     console.log(error.fieldErrors); // { email: ['already used'] }
+ *   }
+ * }
+ */
+export class FormSubmitError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Error details
+   * @param {string} details.code - Error code (default: 'HTTP')
+   * @param {number} details.status - HTTP status code
+   * @param {string} details.statusText - HTTP status text
+   * @param {*} details.body - Parsed response body
+   * @param {Object} details.fieldErrors - Map of field names to arrays of messages
+   * @param {Response} details.response - The fetch Response
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'FormSubmitError';
+    this.code = details.code || 'HTTP';
+    this.status = details.status ?? 0;
+    this.statusText = details.statusText || '';
+    this.body = details.body ?? null;
+    this.fieldErrors = details.fieldErrors || {};
+    this.response = details.response || null;
+  }
+  
+  /**
+   * Whether the response contained any per-field errors
+   * @returns {boolean} True if there are field errors
+   */
+  hasFieldErrors() {
+    return Object.keys(this.fieldErrors).length > 0;
+  }
+}
+
+// ============================================================================
+// FIELD ERROR PARSERS
+// ============================================================================
+
+/**
+ * Registered parsers, tried in order until one returns field errors
+ * Each parser receives: (body, response) => { field: string|string[] } | null
+ * @private
+ */
+const errorParsers = [];
+
+/**
+ * Register a field error parser
+ * Custom parsers are tried before the built-in ones.
+ * @param {Function} parser - Parser (body, response) => field error map or null
+ * 
+ * @example
+ * // { violations: [{ propertyPath: 'email', title: 'already used' }] }
+ * registerErrorParser(body => body?.violations && Object.fromEntries(
+ *   body.violations.map(v => [v.propertyPath, v.title])
+ * ));
+ */
+export function registerErrorParser(parser) {
+  errorParsers.unshift(parser);
+}
+
+/**
+ * Object map: { errors: { field: message | [messages] } }
+ */
+errorParsers.push(body => {
+  const errors = body?.errors;
+  if (!errors || typeof errors !== 'object' || Array.isArray(errors)) return null;
+  return errors;
+});
+
+/**
+ * RFC 7807 problem details: { 'invalid-params': [{ name, reason }] }
+ */
+errorParsers.push(body => {
+  const params = body?.['invalid-params'] || body?.invalidParams;
+  if (!Array.isArray(params)) return null;
+  return collectItems(params, ['name'], ['reason', 'message']);
+});
+
+/**
+ * Array of items: { errors: [{ field, message }] }
+ */
+errorParsers.push(body => {
+  const errors = body?.errors;
+  if (!Array.isArray(errors)) return null;
+  return collectItems(errors, ['field', 'path', 'param', 'name'], ['message', 'msg', 'reason', 'defaultMessage']);
+});
+
+/**
+ * Collect { field: [messages] } from an array of error items
+ * @private
+ */
+function collectItems(items, fieldKeys, messageKeys) {
+  const fieldErrors = {};
+  
+  items.forEach(item => {
+    if (!item || typeof item !== 'object') return;
+    
+    const fieldKey = fieldKeys.find(key => item[key] !== undefined);
+    const messageKey = messageKeys.find(key => item[key] !== undefined);
+    if (!fieldKey) return;
+    
+    const field = Array.isArray(item[fieldKey]) ? item[fieldKey].join('.') : String(item[fieldKey]);
+    fieldErrors[field] = [...(fieldErrors[field] || []), String(item[messageKey] ?? '')];
+  });
+  
+  return fieldErrors;
+}
+
+/**
+ * Parse per-field errors from a response body
+ * @param {*} body - Parsed response body
+ * @param {Response} response - The fetch Response (optional)
+ * @returns {Object} Map of field names to arrays of messages (empty if none)
+ */
+export function parseFieldErrors(body, response) {
+  for (const parser of errorParsers) {
+    let parsed = null;
+    try {
+      parsed = parser(body, response);
+    } catch (error) {
+      console.warn('Error parser failed:', error);
+    }
+    
+    if (parsed && typeof parsed === 'object' && Object.keys(parsed).length > 0) {
+      return normalizeFieldErrors(parsed);
+    }
+  }
+  
+  return {};
+}
+
+/**
+ * Normalize a field error map so every value is an array of non-empty strings
+ * @private
+ */
+function normalizeFieldErrors(fieldErrors) {
+  const normalized = {};
+  
+  Object.entries(fieldErrors).forEach(([field, messages]) => {
+    const list = [].concat(messages).filter(message => message !== null && message !== undefined && message !== '');
+    normalized[field] = list.map(String);
+  });
+  
+  return normalized;
+}
+
+/**
+ * Get a human-readable message from an error response body
+ * Only string values are used, so { error: { code } } bodies fall back.
+ * @param {*} body - Parsed response body
+ * @param {string} fallback - Message used if the body has none
+ * @returns {string} Error message
+ */
+export function getErrorMessage(body, fallback) {
+  if (body && typeof body === 'object') {
+    const candidates = [body.message, body.detail, body.title, body.error?.message ?? body.error];
+    return candidates.find(value => typeof value === 'string' && value.trim()) || fallback;
+  }
+  if (typeof body === 'string' && body.trim() && body.length < 300 && !body.trim().startsWith('<')) {
+    return body.trim();
+  }
+  return fallback;
+}
+
+/**
+ * Build a FormSubmitError from a non-2xx fetch Response
+ * Reads JSON (including application/problem+json) or text bodies.
+ * @param {Response} response - The fetch Response
+ * @returns {Promise<FormSubmitError>} The error (not thrown)
+ */
+export async function createSubmitError(response) {
+  const contentType = response.headers?.get?.('Content-Type') || '';
+  let body = null;
+  
+  if (!contentType || contentType.includes('json')) {
+    body = await response.json().catch(() => null);
+  } else {
+    body = await response.text().catch(() => null);
+  }
+  
+  const message = getErrorMessage(body, `HTTP error! status: ${response.status}`);
+  
+  return new FormSubmitError(message, {
+    status: response.status,
+    statusText: response.statusText,
+    body,
+    fieldErrors: parseFieldErrors(body, response),
+    response
+  });
+}
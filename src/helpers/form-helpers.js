@@ -1,7 +1,7 @@
 /**
  * File: form-helpers.js
  * Created: 2025-12-17 15:28:16
- * Last Modified: 2025-12-24 12:50:00
+ * Last Modified: 2026-10-19
  * 
  * Form Helpers Module
  * 
@@ -16,61 +16,34 @@
  *    - resetValidation(): Clear validation states
  * 
  * 2. DATA HANDLING:
- *    - getFormData(): Extract form values as JavaScript object
- *    - populateForm(): Fill form fields from data object
- *    - formatDateTimeForAPI(): Convert dates to ISO 8601
+ *    - getFormData(): Extract form values as JavaScript object (optionally typed/nested)
+ *    - populateForm(): Fill form fields from (nested) data object
+ *    - formatDateTimeForAPI(): Convert dates to ISO 8601 (timezone-aware, see form-datetime.js)
  * 
  * 3. USER FEEDBACK:
- *    - showToast(): Display Bootstrap toast notifications
+ *    - showToast(): Display Bootstrap toast notifications (see notify() in form-notify.js)
  *    - setButtonLoading(): Show/hide loading spinner on buttons
+ *    - setButtonProgress(): Show upload percentage on buttons
  * 
  * 4. AJAX OPERATIONS:
  *    - submitFormData(): Send form data to API endpoints
- *    - loadAppData(): Fetch data from API or use provided array
- * 
- * 5. SECURITY:
- *    - escapeHTML(): Prevent XSS attacks in user-generated content
+ *    - loadAppData(): Fetch data from API (optionally cached) or use provided array
  * 
  * All functions handle edge cases and errors gracefully with console warnings.
  */
 
-/**
- * Escape HTML entities to prevent XSS attacks
- * 
- * Converts potentially dangerous characters to their HTML entity equivalents,
- * preventing malicious scripts from being executed when user input is displayed.
- * 
- * SECURITY USE CASE:
- * Always escape user-generated content before inserting into the DOM,
- * especially in toast messages, error displays, or any dynamic HTML.
- * 
- * CHARACTERS ESCAPED:
- * & → &amp;
- * < → &lt;
- * > → &gt;
- * " → &quot;
- * ' → &#039;
- * 
- * @param {String} text - Text to escape (can be any type, non-strings returned as-is)
- * @returns {String} Escaped text safe for HTML insertion
- * 
- * @example
- * const userInput = '<script>alert("XSS")</script>';
- * const safe = escapeHTML(userInput);
- * // safe = '&lt;script&gt;alert(&quot;XSS&quot;)&lt;/script&gt;'
- * @private
- */
-function escapeHTML(text) {
-  if (typeof text !== 'string') return text;
-  const map = {
-    '&': '&amp;',
-    '<': '&lt;',
-    '>': '&gt;',
-    '"': '&quot;',
-    "'": '&#039;'
-  };
-  return text.replace(/[&<>"']/g, m => map[m]);
-}
+import { sendRequest } from './form-transport.js';
+import { notify } from './form-notify.js';
+import { t } from './form-i18n.js';
+import { parseDateTime, formatDateTime, getDateTimeOptions, toPickerDate } from './form-datetime.js';
+import {
+  nestFormData,
+  flattenFormData,
+  getFieldPath,
+  parseFieldPath,
+  getFieldType,
+  coerceValue
+} from './form-data.js';
 
 /**
  * Validate a form using HTML5 validation API
@@ -85,23 +58,65 @@ export function validateForm(form) {
   return true;
 }
 
+/**
+ * Control types that never contribute a value
+ * @private
+ */
+const NON_VALUE_TYPES = ['button', 'submit', 'reset', 'image'];
+
 /**
  * Extract form data as a plain object
+ * 
+ * By default this returns the raw FormData strings keyed by field name, with
+ * arrays for repeated names. With coerce, values are typed by input type or
+ * data-type (see form-data.js):
+ * - number/range inputs and data-type="number|integer" become numbers
+ * - data-type="boolean|date|datetime|json|array" are parsed accordingly
+ * - A single checkbox is true/false (or its value attribute when checked);
+ *   a checkbox group is an array of checked values
+ * - Radio groups are the checked value, or null
+ * - Multi-selects are arrays; file inputs are a File (or array with multiple)
+ * 
+ * With nested, dotted and bracketed names (address.city, items[0].qty) become
+ * nested objects.
+ * 
+ * Disabled fields are skipped, as in a native submission.
+ * 
  * @param {HTMLFormElement} form - The form element
+ * @param {Object} options - Extraction options
+ * @param {boolean} options.coerce - Type values and include unchecked checkboxes (default: false)
+ * @param {boolean} options.emptyAsNull - With coerce, report empty text values as null (default: false)
+ * @param {boolean} options.nested - Expand dotted/bracketed names (default: false)
  * @returns {Object} Form data as key-value pairs
+ * 
+ * @example
+ * // <input name="age" type="number" value="42">
+ * // <input name="address.city" value="Lisbon">
+ * // <input name="newsletter" type="checkbox">
+ * getFormData(form);
+ * // { age: '42', 'address.city': 'Lisbon' }
+ * getFormData(form, { coerce: true, nested: true });
+ * // { age: 42, address: { city: 'Lisbon' }, newsletter: false }
  */
-export function getFormData(form) {
+export function getFormData(form, options = {}) {
+  const { coerce = false, emptyAsNull = false, nested = false } = options;
+  const data = coerce ? readTypedValues(form, emptyAsNull) : readRawValues(form);
+  
+  return nested ? nestFormData(data) : data;
+}
+
+/**
+ * Read FormData entries as strings (repeated names become arrays)
+ * @private
+ */
+function readRawValues(form) {
   const formData = new FormData(form);
   const data = {};
   
   for (const [key, value] of formData.entries()) {
     // Handle multiple values for same key (e.g., checkboxes)
-    if (data[key]) {
-      if (Array.isArray(data[key])) {
-        data[key].push(value);
-      } else {
-        data[key] = [data[key], value];
-      }
+    if (key in data) {
+      data[key] = [].concat(data[key], value);
     } else {
       data[key] = value;
     }
@@ -110,6 +125,60 @@ export function getFormData(form) {
   return data;
 }
 
+/**
+ * Read typed values from every enabled, named control
+ * @private
+ */
+function readTypedValues(form, emptyAsNull) {
+  const data = {};
+  const checkboxCounts = {};
+  const controls = [...form.elements].filter(element =>
+    element.name && !element.disabled && element.tagName !== 'FIELDSET' && !NON_VALUE_TYPES.includes(element.type)
+  );
+  
+  controls.forEach(element => {
+    if (element.type === 'checkbox') {
+      checkboxCounts[element.name] = (checkboxCounts[element.name] || 0) + 1;
+    }
+  });
+  
+  controls.forEach(element => {
+    const { name, type } = element;
+    const fieldType = getFieldType(element);
+    const dateOptions = fieldType === 'date' || fieldType === 'datetime' ? getDateTimeOptions(element) : {};
+    const typed = (value) => {
+      if (emptyAsNull && value === '') return null;
+      return coerceValue(value, fieldType, { separator: element.dataset.separator, ...dateOptions });
+    };
+    
+    if (type === 'checkbox') {
+      if (checkboxCounts[name] > 1 || name.endsWith('[]')) {
+        data[name] = data[name] || [];
+        if (element.checked) data[name].push(typed(element.value));
+      } else if (element.hasAttribute('value') && fieldType !== 'boolean') {
+        data[name] = element.checked ? typed(element.value) : false;
+      } else {
+        data[name] = element.checked;
+      }
+    } else if (type === 'radio') {
+      if (!(name in data)) data[name] = null;
+      if (element.checked) data[name] = typed(element.value);
+    } else if (type === 'file') {
+      const files = [...(element.files || [])];
+      data[name] = element.multiple ? files : (files[0] ?? null);
+    } else if (element.tagName === 'SELECT' && element.multiple) {
+      data[name] = [...element.selectedOptions].map(option => typed(option.value));
+    } else if (name in data) {
+      // Repeated names (e.g. tags[] text inputs) are collected as a list
+      data[name] = [].concat(data[name], typed(element.value));
+    } else {
+      data[name] = name.endsWith('[]') ? [typed(element.value)] : typed(element.value);
+    }
+  });
+  
+  return data;
+}
+
 /**
  * Reset form validation state
  * @param {HTMLFormElement} form - The form element
@@ -127,9 +196,9 @@ export function resetValidation(form) {
 /**
  * Display a Bootstrap toast notification
  * 
- * Creates and shows a dismissible toast message for user feedback.
- * Automatically creates a toast container if one doesn't exist.
- * Toasts auto-hide after the specified duration and self-clean from DOM.
+ * Shortcut for notify() (see form-notify.js), which handles position,
+ * stacking, merging of identical messages, action buttons and custom
+ * renderers; configure those with configureNotifications().
  * 
  * TOAST TYPES & STYLING:
  * - success: Green with checkmark icon
@@ -138,16 +207,17 @@ export function resetValidation(form) {
  * - info: Blue with info icon (default)
  * 
  * SECURITY NOTE:
- * Messages are automatically HTML-escaped to prevent XSS attacks,
- * so user-generated content can be safely displayed.
+ * Messages are inserted as text, never as HTML, so user-generated content
+ * can be safely displayed.
  * 
  * POSITIONING:
- * Toasts appear in the top-right corner and stack vertically if multiple
- * are shown simultaneously.
+ * Toasts appear in the top-right corner by default and stack vertically if
+ * multiple are shown simultaneously.
  * 
- * @param {string} message - The message to display (will be HTML-escaped)
+ * @param {string} message - The message to display (shown as text)
  * @param {string} type - Toast type: 'success', 'error', 'warning', 'info' (default: 'info')
- * @param {number} duration - Duration in milliseconds before auto-hide (default: 5000)
+ * @param {number} duration - Duration in milliseconds before auto-hide (default: 5000, 0 to keep it)
+ * @returns {HTMLElement} The toast element
  * 
  * @example
  * // Success message
@@ -157,71 +227,23 @@ export function resetValidation(form) {
  * showToast('Failed to connect to server', 'error', 8000);
  */
 export function showToast(message, type = 'info', duration = 5000) {
-  // Create toast container if it doesn't exist
-  let toastContainer = document.querySelector('.toast-container');
-  if (!toastContainer) {
-    toastContainer = document.createElement('div');
-    toastContainer.className = 'toast-container position-fixed top-0 end-0 p-3';
-    toastContainer.style.zIndex = '9999';
-    document.body.appendChild(toastContainer);
-  }
-  
-  // Map type to Bootstrap classes and icons
-  const typeConfig = {
-    success: { bg: 'bg-success', icon: 'bi-check-circle-fill', title: 'Success' },
-    error: { bg: 'bg-danger', icon: 'bi-x-circle-fill', title: 'Error' },
-    warning: { bg: 'bg-warning', icon: 'bi-exclamation-triangle-fill', title: 'Warning' },
-    info: { bg: 'bg-info', icon: 'bi-info-circle-fill', title: 'Info' }
-  };
-  
-  const config = typeConfig[type] || typeConfig.info;
-  
-  // Create toast element
-  const toastId = 'toast_' + Date.now();
-  // Escape message to prevent XSS attacks
-  const safeMessage = escapeHTML(message);
-  const toastHTML = `
-    <div id="${toastId}" class="toast" role="alert" aria-live="assertive" aria-atomic="true">
-      <div class="toast-header ${config.bg} text-white">
-        <i class="bi ${config.icon} me-2"></i>
-        <strong class="me-auto">${config.title}</strong>
-        <button type="button" class="btn-close btn-close-white" data-bs-dismiss="toast" aria-label="Close"></button>
-      </div>
-      <div class="toast-body">
-        ${safeMessage}
-      </div>
-    </div>
-  `;
-  
-  toastContainer.insertAdjacentHTML('beforeend', toastHTML);
-  
-  // Initialize and show toast
-  const toastElement = document.getElementById(toastId);
-  const bsToast = new window.bootstrap.Toast(toastElement, {
-    autohide: true,
-    delay: duration
-  });
-  
-  bsToast.show();
-  
-  // Remove toast element after it's hidden
-  toastElement.addEventListener('hidden.bs.toast', () => {
-    toastElement.remove();
-  });
+  return notify(message, { type, duration }).element;
 }
 
 /**
  * Display loading state on submit button
- * @param {HTMLButtonElement} button - The submit button
+ * @param {HTMLButtonElement} button - The submit button (ignored when null, e.g. a form without one)
  * @param {boolean} loading - True to show loading, false to hide
  */
 export function setButtonLoading(button, loading) {
+  if (!button) return;
+  
   if (loading) {
     button.dataset.originalText = button.innerHTML;
     button.disabled = true;
     button.innerHTML = `
       <span class="spinner-border spinner-border-sm me-2" role="status" aria-hidden="true"></span>
-      Submitting...
+      ${t('button.submitting')}
     `;
   } else {
     button.disabled = false;
@@ -229,69 +251,110 @@ export function setButtonLoading(button, loading) {
   }
 }
 
+/**
+ * Display upload progress on submit button
+ * Call setButtonLoading(button, false) to restore the button afterwards.
+ * @param {HTMLButtonElement} button - The submit button
+ * @param {number} percent - Upload progress (0-100)
+ */
+export function setButtonProgress(button, percent) {
+  if (!button) return;
+  
+  if (button.dataset.originalText === undefined) {
+    button.dataset.originalText = button.innerHTML;
+  }
+  
+  const value = Math.max(0, Math.min(100, Math.round(percent)));
+  button.disabled = true;
+  button.innerHTML = `
+    <span class="spinner-border spinner-border-sm me-2" role="status" aria-hidden="true"></span>
+    ${t('button.uploading', { percent: value })}
+  `;
+}
+
 /**
  * Validate datetime range (end must be after start)
- * @param {string} startDateTime - Start datetime string
- * @param {string} endDateTime - End datetime string
+ * @param {string|Date} startDateTime - Start datetime (string or Date)
+ * @param {string|Date} endDateTime - End datetime (string or Date)
+ * @param {Object} options - { format, timezone } used to parse strings (see parseDateTime)
  * @returns {Object} { valid: boolean, message: string }
+ * 
+ * @example
+ * validateDateTimeRange('05/03/2026 09:00', '05/03/2026 17:00', { format: 'd/m/Y H:i' });
  */
-export function validateDateTimeRange(startDateTime, endDateTime) {
+export function validateDateTimeRange(startDateTime, endDateTime, options = {}) {
   if (!startDateTime || !endDateTime) {
-    return { valid: false, message: 'Both start and end date/time are required.' };
+    return { valid: false, message: t('date.bothRequired') };
   }
   
-  const start = new Date(startDateTime);
-  const end = new Date(endDateTime);
+  const start = parseDateTime(startDateTime, options);
+  const end = parseDateTime(endDateTime, options);
   
-  if (isNaN(start.getTime()) || isNaN(end.getTime())) {
-    return { valid: false, message: 'Invalid date/time format.' };
+  if (!start || !end) {
+    return { valid: false, message: t('date.invalid') };
   }
   
   if (end <= start) {
-    return { valid: false, message: 'End date/time must be after start date/time.' };
+    return { valid: false, message: t('date.endBeforeStart') };
   }
   
   return { valid: true, message: '' };
 }
 
 /**
- * Format datetime for API submission (ISO 8601)
- * @param {string} dateTimeString - Datetime string from form
- * @returns {string} ISO 8601 formatted datetime
+ * Format datetime for API submission
+ * 
+ * The value is parsed with options.format (ISO 8601 is always accepted) as
+ * a wall-clock time in options.timezone, then serialized per options.output.
+ * 
+ * @param {string|number|Date} dateTimeString - Datetime from the form
+ * @param {Object} options - Options
+ * @param {string} options.format - Flatpickr dateFormat of the value
+ * @param {string} options.timezone - 'local' (default), 'UTC' or an IANA name
+ * @param {string} options.output - 'utc' (default, ISO 8601), 'local' (ISO with offset), 'date' or 'epoch'
+ * @returns {string|number|null} Formatted datetime, or null if empty or invalid
+ * 
+ * @example
+ * formatDateTimeForAPI('05/03/2026 14:00', { format: 'd/m/Y H:i', timezone: 'Europe/Lisbon' });
+ * // '2026-03-05T14:00:00.000Z'
  */
-export function formatDateTimeForAPI(dateTimeString) {
-  if (!dateTimeString) return null;
-  
-  const date = new Date(dateTimeString);
-  if (isNaN(date.getTime())) return null;
-  
-  return date.toISOString();
+export function formatDateTimeForAPI(dateTimeString, options = {}) {
+  const date = parseDateTime(dateTimeString, options);
+  return date ? formatDateTime(date, options) : null;
 }
 
 /**
  * Submit form data via AJAX
  * 
- * Sends form data to an API endpoint using the Fetch API.
- * Automatically handles JSON serialization, error responses, and provides
- * meaningful error messages for debugging.
+ * Sends form data to an API endpoint using the configured transport
+ * (see form-transport.js). Handles encoding, headers, CSRF tokens,
+ * timeouts and error responses.
  * 
  * FEATURES:
- * - Sends data as JSON (Content-Type: application/json)
+ * - Sends data as JSON, or as multipart/form-data when it contains files
+ * - Adds the CSRF token from <meta name="csrf-token"> if present
  * - Expects JSON response from server
- * - Throws descriptive errors for non-2xx responses
+ * - Throws a FormSubmitError for non-2xx responses, timeouts and network errors
  * - Logs errors to console for debugging
- * - Parses error messages from server if available
+ * - Parses error messages and per-field errors from server if available
  * 
  * ERROR HANDLING:
- * The function throws an Error that should be caught by the caller.
- * The error message comes from the server response if available,
- * otherwise falls back to HTTP status text.
+ * The function throws a FormSubmitError that should be caught by the caller.
+ * Its code is 'HTTP' for non-2xx responses (with status, body and
+ * fieldErrors), or 'TIMEOUT', 'NETWORK' or 'ABORTED'. For responses the
+ * message comes from the server if available, otherwise falls back to
+ * the HTTP status.
  * 
  * @param {string} url - API endpoint URL (e.g., '/api/apps/123')
  * @param {string} method - HTTP method ('POST', 'PUT', 'DELETE', etc.)
- * @param {Object} data - Data object to send (will be JSON.stringified)
+ * @param {Object} data - Data object to send
+ * @param {Object} options - Transport options for this request
+ * @param {Object} options.headers - Extra headers, overriding the defaults (e.g. Content-Type)
+ * @param {string} options.encoding - 'auto', 'json', 'multipart' or 'urlencoded'
+ * @param {number} options.timeout - Milliseconds before the request is aborted
+ * @param {Object} options.transport - Per-form transport settings
  * @returns {Promise<Object>} Parsed JSON response from server
- * @throws {Error} If request fails or server returns non-2xx status
+ * @throws {FormSubmitError} If the request fails or server returns non-2xx status
  * 
  * @example
  * try {
@@ -301,23 +364,9 @@ export function formatDateTimeForAPI(dateTimeString) {
  *   showToast(error.message, 'error');
  * }
  */
-export async function submitFormData(url, method, data) {
+export async function submitFormData(url, method, data, options = {}) {
   try {
-    const response = await fetch(url, {
-      method: method,
-      headers: {
-        'Content-Type': 'application/json',
-        'Accept': 'application/json'
-      },
-      body: JSON.stringify(data)
-    });
-    
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      throw new Error(errorData.message || `HTTP error! status: ${response.status}`);
-    }
-    
-    return await response.json();
+    return await sendRequest(url, method, data, options);
   } catch (error) {
     console.error('Form submission error:', error);
     throw error;
@@ -326,33 +375,184 @@ export async function submitFormData(url, method, data) {
 
 /**
  * Populate form with data (for edit scenarios)
+ * 
+ * Accepts nested objects or flat keys, matching fields by name:
+ * { address: { city } } and { 'address.city': ... } both fill
+ * name="address.city" or name="address[city]".
+ * 
+ * - Checkbox groups are checked from arrays; single checkboxes from booleans
+ *   (or from their value attribute)
+ * - Multi-selects select every option in an array
+ * - Flatpickr inputs are set through their instance
+ * - Repeated names (e.g. tags[]) are filled in order from arrays
+ * - data-type="json" and "array" fields are serialized back to text
+ * 
+ * A formkit:populate event with { data } is dispatched on the form first.
+ * Each changed field fires input and change events, so counters, live
+ * validation and dependent fields refresh. File inputs cannot be set and
+ * count as unmatched.
+ * 
  * @param {HTMLFormElement} form - The form element
  * @param {Object} data - Data object with field values
+ * @returns {Array<string>} Data keys (dotted for nested values) with no matching field
+ * 
+ * @example
+ * const unmatched = populateForm(form, { name: 'Ann', address: { city: 'Lisbon' }, roles: ['admin'] });
+ * if (unmatched.length) console.warn('No field for', unmatched);
  */
 export function populateForm(form, data) {
-  if (!data) return;
+  if (!data) return [];
   
-  Object.keys(data).forEach(key => {
-    const input = form.elements[key];
-    if (input) {
-      if (input.type === 'checkbox') {
-        input.checked = Boolean(data[key]);
-      } else if (input.type === 'radio') {
-        const radio = form.querySelector(`input[name="${key}"][value="${data[key]}"]`);
-        if (radio) radio.checked = true;
-      } else {
-        input.value = data[key];
-      }
-    }
+  // Lets features prepare the markup first (e.g. repeaters add rows for arrays)
+  form.dispatchEvent(new CustomEvent('formkit:populate', { detail: { data } }));
+  
+  const groups = new Map();
+  [...form.elements].forEach(element => {
+    if (!element.name || element.tagName === 'FIELDSET' || NON_VALUE_TYPES.includes(element.type)) return;
+    if (!groups.has(element.name)) groups.set(element.name, []);
+    groups.get(element.name).push(element);
   });
+  
+  // Flat keys in either style (address.city / address[city]) by dotted path
+  const flat = flattenFormData(data);
+  const flatValues = new Map(
+    Object.entries(flat).map(([key, value]) => [toCanonicalPath(key), value])
+  );
+  const matched = [];
+  const changed = [];
+  
+  groups.forEach((elements, name) => {
+    let value = getFieldPath(data, name);
+    if (value === undefined) value = flatValues.get(toCanonicalPath(name));
+    if (value === undefined || elements[0].type === 'file') return;
+    
+    matched.push(toCanonicalPath(name));
+    changed.push(...setControlValues(elements, value));
+  });
+  
+  changed.forEach(element => {
+    element.dispatchEvent(new Event('input', { bubbles: true }));
+    element.dispatchEvent(new Event('change', { bubbles: true }));
+  });
+  
+  // A key is matched when a field consumed it or one of its ancestors (e.g. a json field)
+  return Object.keys(flat).filter(key => {
+    const path = toCanonicalPath(key);
+    return !matched.some(name => path === name || path.startsWith(name + '.'));
+  });
+}
+
+/**
+ * Field name in dotted form, ignoring [] and bracket style (items[0][qty] -> items.0.qty)
+ * @private
+ */
+function toCanonicalPath(name) {
+  return parseFieldPath(name).filter(segment => segment !== '').join('.');
+}
+
+/**
+ * Apply a value to the controls sharing a name
+ * @param {Array<HTMLElement>} elements - Controls with the same name
+ * @param {*} value - Value from the data object
+ * @returns {Array<HTMLElement>} Controls that were set
+ * @private
+ */
+function setControlValues(elements, value) {
+  const [first] = elements;
+  
+  if (first.type === 'checkbox') {
+    elements.forEach(element => {
+      element.checked = isCheckedBy(element, value, elements.length > 1);
+    });
+    return elements;
+  }
+  
+  if (first.type === 'radio') {
+    elements.forEach(element => {
+      element.checked = value !== null && String(value) === element.value;
+    });
+    return elements;
+  }
+  
+  if (elements.length > 1) {
+    // Repeated names (e.g. tags[] text inputs) are filled in order
+    const values = [].concat(value);
+    elements.forEach((element, index) => setControlValue(element, values[index] ?? ''));
+    return elements;
+  }
+  
+  setControlValue(first, value);
+  return [first];
+}
+
+/**
+ * Whether a checkbox should be checked for a value
+ * @private
+ */
+function isCheckedBy(checkbox, value, inGroup) {
+  if (Array.isArray(value)) {
+    return value.map(String).includes(checkbox.value);
+  }
+  if (typeof value === 'boolean' || value === null) {
+    return Boolean(value);
+  }
+  if (inGroup || (checkbox.hasAttribute('value') && checkbox.dataset.type !== 'boolean')) {
+    return String(value) === checkbox.value;
+  }
+  return coerceValue(String(value), 'boolean');
 }
 
+/**
+ * Apply a value to a single text input, textarea or select
+ * @private
+ */
+function setControlValue(element, value) {
+  if (element.tagName === 'SELECT' && element.multiple) {
+    const selected = [].concat(value ?? []).map(String);
+    [...element.options].forEach(option => {
+      option.selected = selected.includes(option.value);
+    });
+    return;
+  }
+  
+  if (element._flatpickr) {
+    element._flatpickr.setDate(toPickerDate(value || null, getDateTimeOptions(element)), false);
+    return;
+  }
+  
+  const type = getFieldType(element);
+  if (type === 'json' && value !== null && typeof value === 'object') {
+    element.value = JSON.stringify(value, null, 2);
+  } else if (Array.isArray(value)) {
+    element.value = value.join(type === 'array' ? (element.dataset.separator || ',') : ',');
+  } else {
+    element.value = value ?? '';
+  }
+}
+
+/**
+ * Responses of loadAppData requests made with the cache option, by URL
+ * @private
+ */
+const appDataCache = new Map();
+
 /**
  * Load app data from endpoint or use provided array
+ * 
+ * With options.cache, concurrent and later calls for the same URL share one
+ * request (failed requests are not cached). Used by remote select options.
+ * 
  * @param {Array|string} dataSource - Array of apps or API endpoint URL
- * @returns {Promise<Array>} Array of app objects
+ * @param {Object} options - Load options
+ * @param {boolean|number} options.cache - Reuse the response: true, or the maximum age in ms
+ * @param {boolean} options.throwOnError - Reject on failure instead of resolving with []
+ * @param {AbortSignal} options.signal - Cancels the request (not used for cached requests)
+ * @returns {Promise<Array>} Array of app objects (the parsed JSON response for URLs)
+ * 
+ * @example
+ * const countries = await loadAppData('/api/countries', { cache: 5 * 60 * 1000 });
  */
-export async function loadAppData(dataSource) {
+export async function loadAppData(dataSource, options = {}) {
   // If dataSource is already an array, return it
   if (Array.isArray(dataSource)) {
     return dataSource;
@@ -361,12 +561,9 @@ export async function loadAppData(dataSource) {
   // If dataSource is a string, fetch from API
   if (typeof dataSource === 'string') {
     try {
-      const response = await fetch(dataSource);
-      if (!response.ok) {
-        throw new Error(`Failed to fetch app data: ${response.status}`);
-      }
-      return await response.json();
+      return await (options.cache ? fetchCachedAppData(dataSource, options.cache) : fetchAppData(dataSource, options.signal));
     } catch (error) {
+      if (options.throwOnError || error.name === 'AbortError') throw error;
       console.error('Error loading app data:', error);
       return [];
     }
@@ -374,3 +571,47 @@ export async function loadAppData(dataSource) {
   
   return [];
 }
+
+/**
+ * Forget cached loadAppData responses
+ * @param {string} url - URL to forget (omit to clear the whole cache)
+ */
+export function clearAppDataCache(url) {
+  if (url === undefined) {
+    appDataCache.clear();
+  } else {
+    appDataCache.delete(url);
+  }
+}
+
+/**
+ * Fetch and parse a JSON data source
+ * @private
+ */
+async function fetchAppData(url, signal) {
+  const response = await fetch(url, { headers: { Accept: 'application/json' }, signal });
+  if (!response.ok) {
+    throw new Error(`Failed to fetch app data: ${response.status}`);
+  }
+  return response.json();
+}
+
+/**
+ * Fetch a JSON data source through the cache
+ * @param {string} url - Data source URL
+ * @param {boolean|number} maxAge - true, or the maximum age of a cached response in ms
+ * @private
+ */
+function fetchCachedAppData(url, maxAge) {
+  const cached = appDataCache.get(url);
+  if (cached && (maxAge === true || Date.now() - cached.time < maxAge)) {
+    return cached.promise;
+  }
+  
+  const promise = fetchAppData(url);
+  appDataCache.set(url, { promise, time: Date.now() });
+  promise.catch(() => {
+    if (appDataCache.get(url)?.promise === promise) appDataCache.delete(url);
+  });
+  return promise;
+}
@@ -0,0 +1,202 @@
+/**
+ * File: form-i18n.js
+ * Created: 2026-10-19
+ * Last Modified: 2026-10-19
+ * 
+ * Form I18n Module
+ * 
+ * Message catalog for every text form-kit shows: validator messages, toast
+ * titles, button states, placeholders and status texts. English, Portuguese
+ * and Spanish are built in (see src/locales); other languages or custom
+ * wording are added with registerMessages.
+ * 
+ * MESSAGES:
+ * - Keys are dotted names, e.g. 'validation.required'
+ * - {name} placeholders are replaced by the params given to t()
+ * - Plural messages are objects keyed by Intl.PluralRules category
+ *   ({ one, other, few, many, zero }), chosen by params.count
+ * - Lookup order: the locale ('pt-BR'), its language ('pt'), then English;
+ *   a missing key returns the key itself
+ * 
+ * LOCALE:
+ * The locale defaults to <html lang>, then 'en'. setLocale also localizes
+ * Flatpickr when its locale file is loaded (window.flatpickr.l10ns), so
+ * pickers created afterwards use the month names and first day of week of
+ * the language, and date parsing follows it.
+ * 
+ * @module form-kit/helpers/form-i18n
+ */
+
+'use strict';
+
+import en from '../locales/en.js';
+import pt from '../locales/pt.js';
+import es from '../locales/es.js';
+
+/**
+ * Locale used when a message is missing in the current one
+ * @private
+ */
+const FALLBACK_LOCALE = 'en';
+
+/**
+ * Messages per locale
+ * @private
+ */
+const catalogs = new Map([
+  ['en', { ...en }],
+  ['pt', { ...pt }],
+  ['es', { ...es }]
+]);
+
+/**
+ * Current locale
+ * @private
+ */
+let currentLocale = (typeof document !== 'undefined' && document.documentElement.lang) || FALLBACK_LOCALE;
+
+/**
+ * Intl.PluralRules per locale
+ * @private
+ */
+const pluralRules = new Map();
+
+// ============================================================================
+// LOCALE
+// ============================================================================
+
+/**
+ * Set the locale of every message shown from now on
+ * 
+ * Dispatches formkit:localeChange on window with { locale } so UI already
+ * rendered (e.g. custom components) can refresh its texts.
+ * 
+ * @param {string} locale - BCP 47 locale, e.g. 'pt', 'pt-BR', 'es'
+ * 
+ * @example
+ * setLocale(document.documentElement.lang);
+ */
+export function setLocale(locale) {
+  currentLocale = locale || FALLBACK_LOCALE;
+  
+  const flatpickrLocale = getFlatpickrLocale();
+  if (flatpickrLocale) {
+    window.flatpickr.localize(flatpickrLocale);
+  }
+  
+  window.dispatchEvent(new CustomEvent('formkit:localeChange', { detail: { locale: currentLocale } }));
+}
+
+/**
+ * Get the current locale
+ * @returns {string} Locale
+ */
+export function getLocale() {
+  return currentLocale;
+}
+
+/**
+ * Add or override messages of a locale
+ * 
+ * @param {string} locale - Locale, e.g. 'fr' or 'pt-BR'
+ * @param {Object} messages - Messages by key (see module docs)
+ * 
+ * @example
+ * registerMessages('pt', { 'validation.required': 'Campo obrigatório' });
+ * registerMessages('fr', { 'wizard.next': 'Suivant', 'wizard.back': 'Retour' });
+ */
+export function registerMessages(locale, messages = {}) {
+  catalogs.set(locale, { ...catalogs.get(locale), ...messages });
+}
+
+/**
+ * Flatpickr locale object for the current locale
+ * @returns {Object|undefined} Entry of window.flatpickr.l10ns, if that locale is loaded
+ */
+export function getFlatpickrLocale() {
+  const l10ns = typeof window !== 'undefined' ? window.flatpickr?.l10ns : null;
+  if (!l10ns) return undefined;
+  
+  return getLocaleChain(currentLocale)
+    .map(locale => l10ns[locale] || l10ns[locale.replace('-', '_')])
+    .find(Boolean);
+}
+
+// ============================================================================
+// TRANSLATION
+// ============================================================================
+
+/**
+ * Translate a message
+ * 
+ * @param {string} key - Message key
+ * @param {Object} params - Placeholder values; count selects the plural form
+ * @returns {string} Translated text
+ * 
+ * @example
+ * t('validation.matchField', { field: 'password' });  // 'Must match password'
+ * t('upload.countMin', { count: 2 });                   // 'Select at least 2 files'
+ */
+export function t(key, params = {}) {
+  const locale = getLocaleChain(currentLocale).find(candidate => catalogs.get(candidate)?.[key] !== undefined);
+  if (!locale) return key;
+  
+  let message = catalogs.get(locale)[key];
+  if (message && typeof message === 'object') {
+    message = selectPlural(message, params.count, locale);
+  }
+  
+  return interpolate(String(message ?? ''), params);
+}
+
+/**
+ * Format a date for the current locale
+ * @param {Date} date - Date
+ * @param {Object} options - Intl.DateTimeFormat options (default: date and time)
+ * @returns {string} Formatted date
+ */
+export function formatDate(date, options = { dateStyle: 'short', timeStyle: 'short' }) {
+  try {
+    return new Intl.DateTimeFormat(currentLocale, options).format(date);
+  } catch {
+    return date.toLocaleString();
+  }
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Locales to look a message up in: 'pt-BR' → ['pt-BR', 'pt', 'en']
+ * @private
+ */
+function getLocaleChain(locale) {
+  const chain = [locale];
+  const language = locale.split(/[-_]/)[0];
+  if (language !== locale) chain.push(language);
+  if (!chain.includes(FALLBACK_LOCALE)) chain.push(FALLBACK_LOCALE);
+  return chain;
+}
+
+/**
+ * Pick the plural form of a message for a count
+ * @private
+ */
+function selectPlural(forms, count, locale) {
+  if (count === 0 && forms.zero !== undefined) return forms.zero;
+  
+  if (!pluralRules.has(locale)) {
+    pluralRules.set(locale, new Intl.PluralRules(locale));
+  }
+  const category = pluralRules.get(locale).select(Number(count) || 0);
+  return forms[category] ?? forms.other;
+}
+
+/**
+ * Replace {name} placeholders with params (unknown placeholders are kept)
+ * @private
+ */
+function interpolate(message, params) {
+  return message.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+}
@@ -0,0 +1,490 @@
+/**
+ * File: form-notify.js
+ * Created: 2026-10-19
+ * Last Modified: 2026-10-19
+ * 
+ * Form Notify Module
+ * 
+ * Notification service behind showToast. Notifications are stacked per
+ * screen position, identical ones are merged, and the markup comes from a
+ * renderer (Bootstrap toasts by default) that can be replaced to use
+ * another design system.
+ * 
+ * SETTINGS (configureNotifications; position, duration and dedupe also per call):
+ * - position:  'top-end' (default), 'top-start', 'top-center', 'bottom-start', 'bottom-center' or 'bottom-end'
+ * - duration:  Milliseconds before hiding (default: 5000); 0 keeps it until dismissed
+ * - maxStack:  Notifications shown per position (default: 5); the oldest is dismissed
+ *              first, persistent ones last
+ * - dedupe:    Merge a notification identical to a visible one (same type, title,
+ *              message and position) into it, showing a count and restarting its timer (default: true)
+ * - types:     { [type]: { className, icon, title } } used by the default renderer;
+ *              merged with the built-in success, error, warning, info and loading types
+ * - renderer:  Function creating the markup (see RENDERERS)
+ * 
+ * PER CALL:
+ * - type:       'success', 'error', 'warning', 'info' (default) or 'loading'
+ * - title:      Header text (default: the type's title, or the toast.<type> message)
+ * - persistent: true to keep the notification until dismissed
+ * - actions:    [{ label, onClick(handle), className, dismiss }] buttons; a click dismisses
+ *               the notification unless dismiss is false
+ * 
+ * RENDERERS:
+ * A renderer is called as renderer(notification, controls) and returns
+ * { element, update(notification), remove() }. The notification is
+ * { id, type, typeConfig, title, message, actions, position, persistent, count };
+ * controls are { dismiss(), runAction(action) }. update is called when the
+ * notification changes (a merged duplicate, a settled notify.promise, handle.update),
+ * remove when it is dismissed. Timers and stacking are handled here.
+ * 
+ * @module form-kit/helpers/form-notify
+ */
+
+'use strict';
+
+import { t } from './form-i18n.js';
+
+/**
+ * Built-in notification types (titles come from the toast.<type> messages)
+ * @private
+ */
+const DEFAULT_TYPES = {
+  success: { className: 'bg-success', icon: 'bi-check-circle-fill' },
+  error: { className: 'bg-danger', icon: 'bi-x-circle-fill' },
+  warning: { className: 'bg-warning', icon: 'bi-exclamation-triangle-fill' },
+  info: { className: 'bg-info', icon: 'bi-info-circle-fill' },
+  loading: { className: 'bg-secondary', icon: null }
+};
+
+/**
+ * Bootstrap position utilities per position
+ * @private
+ */
+const POSITION_CLASSES = {
+  'top-start': 'top-0 start-0',
+  'top-center': 'top-0 start-50 translate-middle-x',
+  'top-end': 'top-0 end-0',
+  'bottom-start': 'bottom-0 start-0',
+  'bottom-center': 'bottom-0 start-50 translate-middle-x',
+  'bottom-end': 'bottom-0 end-0'
+};
+
+/**
+ * Default global notification settings
+ * @private
+ */
+const DEFAULT_SETTINGS = {
+  position: 'top-end',
+  duration: 5000,
+  maxStack: 5,
+  dedupe: true,
+  types: DEFAULT_TYPES,
+  renderer: bootstrapToastRenderer
+};
+
+/**
+ * Global notification settings
+ * @private
+ */
+let settings = { ...DEFAULT_SETTINGS };
+
+/**
+ * Notifications currently shown, oldest first
+ * @private
+ */
+const activeEntries = [];
+
+/**
+ * Counter used to generate notification IDs
+ * @private
+ */
+let notificationCounter = 0;
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/**
+ * Configure notifications for the whole page
+ * @param {Object} options - Settings (see module docs)
+ * 
+ * @example
+ * configureNotifications({
+ *   position: 'bottom-center',
+ *   maxStack: 3,
+ *   types: { error: { title: 'Something went wrong' } }
+ * });
+ */
+export function configureNotifications(options = {}) {
+  const types = { ...settings.types };
+  Object.entries(options.types || {}).forEach(([type, config]) => {
+    types[type] = { ...types[type], ...config };
+  });
+  
+  settings = { ...settings, ...options, types };
+}
+
+/**
+ * Restore the default settings and dismiss every notification
+ */
+export function resetNotifications() {
+  dismissAll();
+  settings = { ...DEFAULT_SETTINGS };
+}
+
+// ============================================================================
+// NOTIFY
+// ============================================================================
+
+/**
+ * Show a notification
+ * 
+ * @param {string} message - Message text (never parsed as HTML by the default renderer)
+ * @param {Object} options - Per call options (see module docs)
+ * @returns {Object} Handle: { id, element, update(changes), dismiss(), closed }
+ *   closed is a Promise resolved when the notification is dismissed
+ * 
+ * @example
+ * notify('Row deleted', {
+ *   actions: [{ label: 'Undo', onClick: () => restoreRow() }]
+ * });
+ * 
+ * notify.error('Upload failed', { persistent: true });
+ */
+export function notify(message, options = {}) {
+  const type = options.type || 'info';
+  const position = POSITION_CLASSES[options.position] ? options.position : settings.position;
+  const text = String(message ?? '');
+  const persistent = options.persistent === true || options.duration === 0;
+  
+  if ((options.dedupe ?? settings.dedupe) && !options.actions?.length) {
+    const duplicate = activeEntries.find(({ notification }) =>
+      notification.type === type &&
+      notification.message === text &&
+      notification.title === (options.title ?? null) &&
+      notification.position === position &&
+      notification.persistent === persistent &&
+      notification.actions.length === 0
+    );
+    
+    if (duplicate) {
+      duplicate.notification.count += 1;
+      duplicate.view.update?.(duplicate.notification);
+      startTimer(duplicate);
+      return duplicate.handle;
+    }
+  }
+  
+  const notification = {
+    id: `toast_${++notificationCounter}`,
+    type,
+    typeConfig: getTypeConfig(type),
+    title: options.title ?? null,
+    message: text,
+    actions: options.actions || [],
+    position,
+    persistent,
+    duration: options.duration ?? settings.duration,
+    count: 1
+  };
+  
+  let resolveClosed;
+  const entry = { notification, view: null, timer: null };
+  
+  entry.handle = {
+    id: notification.id,
+    element: null,
+    closed: new Promise(resolve => {
+      resolveClosed = resolve;
+    }),
+    
+    /**
+     * Change the notification (type, title, message, actions, duration, persistent)
+     * @param {Object} changes - Properties to change
+     */
+    update: (changes = {}) => {
+      if (!activeEntries.includes(entry)) return;
+      
+      Object.assign(notification, changes);
+      notification.typeConfig = getTypeConfig(notification.type);
+      notification.message = String(notification.message ?? '');
+      notification.persistent = notification.persistent === true || notification.duration === 0;
+      
+      entry.view.update?.(notification);
+      startTimer(entry);
+    },
+    
+    /**
+     * Hide the notification
+     */
+    dismiss: () => dismissEntry(entry)
+  };
+  entry.resolveClosed = resolveClosed;
+  
+  entry.view = settings.renderer(notification, {
+    dismiss: () => dismissEntry(entry),
+    runAction: (action) => {
+      action.onClick?.(entry.handle);
+      if (action.dismiss !== false) dismissEntry(entry);
+    }
+  });
+  entry.handle.element = entry.view?.element || null;
+  
+  activeEntries.push(entry);
+  startTimer(entry);
+  trimStack(position);
+  
+  return entry.handle;
+}
+
+/**
+ * Show a notification bound to a promise: a loading notification that turns
+ * into a success or error notification when the promise settles
+ * 
+ * @param {Promise} promise - Promise to follow
+ * @param {Object} messages - { loading, success, error }; success and error may be
+ *   functions receiving the result or the error, or false to just dismiss.
+ *   A function that throws shows the generic failure message instead.
+ * @param {Object} options - Per call options (see module docs)
+ * @returns {Promise} The given promise, to chain or await
+ * 
+ * @example
+ * notify.promise(saveDraft(), {
+ *   loading: 'Saving draft...',
+ *   success: 'Draft saved',
+ *   error: (error) => `Could not save: ${error.message}`
+ * });
+ */
+notify.promise = (promise, messages = {}, options = {}) => {
+  const handle = notify(messages.loading ?? t('toast.loadingMessage'), { ...options, type: 'loading', persistent: true, dedupe: false });
+  
+  const settle = (type, message, value) => {
+    if (message === false) {
+      handle.dismiss();
+      return;
+    }
+    
+    let text = message;
+    if (typeof message === 'function') {
+      try {
+        text = message(value);
+      } catch (formatError) {
+        console.error('Notification message function failed:', formatError);
+        type = 'error';
+        text = t('toast.failed');
+      }
+    }
+    
+    handle.update({
+      type,
+      message: text,
+      persistent: options.persistent === true,
+      duration: options.duration ?? settings.duration
+    });
+  };
+  
+  Promise.resolve(promise).then(
+    result => settle('success', messages.success ?? t('toast.done'), result),
+    error => settle('error', messages.error ?? error?.message ?? t('toast.failed'), error)
+  );
+  
+  return promise;
+};
+
+notify.success = (message, options = {}) => notify(message, { ...options, type: 'success' });
+notify.error = (message, options = {}) => notify(message, { ...options, type: 'error' });
+notify.warning = (message, options = {}) => notify(message, { ...options, type: 'warning' });
+notify.info = (message, options = {}) => notify(message, { ...options, type: 'info' });
+
+/**
+ * Dismiss a notification by ID
+ * @param {string} id - Notification ID (handle.id)
+ */
+notify.dismiss = (id) => {
+  const entry = activeEntries.find(candidate => candidate.notification.id === id);
+  if (entry) dismissEntry(entry);
+};
+
+notify.dismissAll = dismissAll;
+
+// ============================================================================
+// DEFAULT RENDERER
+// ============================================================================
+
+/**
+ * Render a notification as a Bootstrap toast (the default renderer)
+ * 
+ * Exported so custom renderers can fall back to it, e.g. for some types only.
+ * 
+ * @param {Object} notification - Notification (see module docs)
+ * @param {Object} controls - { dismiss, runAction }
+ * @returns {Object} { element, update, remove }
+ */
+export function bootstrapToastRenderer(notification, controls) {
+  const element = document.createElement('div');
+  element.id = notification.id;
+  element.className = 'toast';
+  element.setAttribute('aria-atomic', 'true');
+  
+  /**
+   * Build the toast content from the notification
+   */
+  const render = (current) => {
+    const config = current.typeConfig;
+    const isUrgent = current.type === 'error' || current.type === 'warning';
+    element.setAttribute('role', isUrgent ? 'alert' : 'status');
+    element.setAttribute('aria-live', isUrgent ? 'assertive' : 'polite');
+    
+    const header = document.createElement('div');
+    header.className = `toast-header ${config.className || ''} text-white`;
+    
+    if (current.type === 'loading') {
+      const spinner = document.createElement('span');
+      spinner.className = 'spinner-border spinner-border-sm me-2';
+      spinner.setAttribute('aria-hidden', 'true');
+      header.appendChild(spinner);
+    } else if (config.icon) {
+      const icon = document.createElement('i');
+      icon.className = `bi ${config.icon} me-2`;
+      icon.setAttribute('aria-hidden', 'true');
+      header.appendChild(icon);
+    }
+    
+    const title = document.createElement('strong');
+    title.className = 'me-auto';
+    title.textContent = current.title ?? config.title ?? '';
+    header.appendChild(title);
+    
+    if (current.count > 1) {
+      const count = document.createElement('span');
+      count.className = 'badge rounded-pill text-bg-light ms-2';
+      count.textContent = `×${current.count}`;
+      header.appendChild(count);
+    }
+    
+    const close = document.createElement('button');
+    close.type = 'button';
+    close.className = 'btn-close btn-close-white ms-2';
+    close.setAttribute('aria-label', t('toast.close'));
+    close.addEventListener('click', controls.dismiss);
+    header.appendChild(close);
+    
+    const body = document.createElement('div');
+    body.className = 'toast-body';
+    body.textContent = current.message;
+    
+    if (current.actions.length > 0) {
+      const actions = document.createElement('div');
+      actions.className = 'd-flex gap-2 mt-2';
+      current.actions.forEach((action, index) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = action.className || `btn btn-sm ${index === 0 ? 'btn-primary' : 'btn-outline-secondary'}`;
+        button.textContent = action.label;
+        button.addEventListener('click', () => controls.runAction(action));
+        actions.appendChild(button);
+      });
+      body.appendChild(actions);
+    }
+    
+    element.replaceChildren(header, body);
+  };
+  
+  render(notification);
+  getToastContainer(notification.position).appendChild(element);
+  
+  // Timers are handled by the service, so Bootstrap never hides the toast by itself
+  const bsToast = new window.bootstrap.Toast(element, { autohide: false });
+  element.addEventListener('hidden.bs.toast', () => {
+    element.remove();
+    controls.dismiss();
+  });
+  bsToast.show();
+  
+  return {
+    element,
+    update: render,
+    remove: () => {
+      if (element.isConnected) bsToast.hide();
+    }
+  };
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Settings of a notification type (info for unknown types)
+ * @private
+ */
+function getTypeConfig(type) {
+  const key = settings.types[type] ? type : 'info';
+  const config = settings.types[key];
+  return { ...config, title: config.title ?? t(`toast.${key}`) };
+}
+
+/**
+ * (Re)start the hide timer of a notification
+ * @private
+ */
+function startTimer(entry) {
+  clearTimeout(entry.timer);
+  entry.timer = null;
+  
+  const { persistent, duration } = entry.notification;
+  if (!persistent && duration > 0) {
+    entry.timer = setTimeout(() => dismissEntry(entry), duration);
+  }
+}
+
+/**
+ * Dismiss the oldest notifications of a position beyond maxStack
+ * @private
+ */
+function trimStack(position) {
+  const stack = activeEntries.filter(entry => entry.notification.position === position);
+  
+  while (settings.maxStack > 0 && stack.length > settings.maxStack) {
+    const oldest = stack.find(entry => !entry.notification.persistent) || stack[0];
+    stack.splice(stack.indexOf(oldest), 1);
+    dismissEntry(oldest);
+  }
+}
+
+/**
+ * Remove a notification (safe to call more than once)
+ * @private
+ */
+function dismissEntry(entry) {
+  const index = activeEntries.indexOf(entry);
+  if (index === -1) return;
+  
+  activeEntries.splice(index, 1);
+  clearTimeout(entry.timer);
+  entry.view?.remove?.();
+  entry.resolveClosed();
+}
+
+/**
+ * Dismiss every notification
+ * @private
+ */
+function dismissAll() {
+  [...activeEntries].forEach(dismissEntry);
+}
+
+/**
+ * Get (or create) the toast container of a position
+ * @private
+ */
+function getToastContainer(position) {
+  let container = document.querySelector(`.toast-container[data-position="${position}"]`);
+  if (!container) {
+    container = document.createElement('div');
+    container.className = `toast-container position-fixed ${POSITION_CLASSES[position]} p-3`;
+    container.dataset.position = position;
+    container.style.zIndex = '9999';
+    document.body.appendChild(container);
+  }
+  return container;
+}
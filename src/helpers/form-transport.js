@@ -0,0 +1,608 @@
+/**
+ * File: form-transport.js
+ * Created: 2026-10-19
+ * Last Modified: 2026-10-19
+ * 
+ * Form Transport Module
+ * 
+ * HTTP layer used by submitFormData. Settings come from three levels,
+ * later ones overriding earlier ones (headers are merged):
+ * 1. Global:   configureTransport({ ... })
+ * 2. Per form: "transport" in data-form-config, or options.transport in initializeForm
+ * 3. Per call: options passed to submitFormData
+ * 
+ * OPTIONS:
+ * - encoding:    'auto' (default), 'json', 'multipart' or 'urlencoded'
+ *                'auto' sends multipart/form-data when the data contains files, JSON otherwise
+ * - headers:     Extra headers, or a function returning them (e.g. for auth tokens)
+ * - csrf:        { meta, cookie, header } where to read the token and which header to send it in
+ *                (default: <meta name="csrf-token"> as X-CSRF-Token), or false to disable
+ * - credentials: fetch credentials mode (default: 'same-origin')
+ * - timeout:     Milliseconds before the request is aborted (default: 0, no timeout)
+ * - signal:      AbortSignal to cancel the request
+ * - onUploadProgress: Called with { loaded, total, percent } while the body uploads
+ *                (the request is then sent with XMLHttpRequest, as fetch cannot report it)
+ * - retry:       true, a number of retries, or { retries, delay, factor, maxDelay, statuses }
+ *                Network errors, timeouts and 5xx responses are retried with exponential backoff
+ * - onRetry:     Called with { attempt, delay, error } before each retry
+ * - idempotencyKey: true to send a generated key, or the key itself; the same key
+ *                is used for every retry (header: idempotencyHeader, default 'Idempotency-Key')
+ * 
+ * INTERCEPTORS:
+ * Request interceptors receive the request ({ url, method, headers, body, data, ... })
+ * before it is sent and may modify or return a replacement. Response
+ * interceptors receive (response, request) before the status is checked
+ * and may return a replacement Response. Both may be async.
+ * 
+ * @module form-kit/helpers/form-transport
+ */
+
+'use strict';
+
+import { FormSubmitError, createSubmitError } from './form-errors.js';
+import { t } from './form-i18n.js';
+
+/**
+ * Default global transport settings
+ * @private
+ */
+const DEFAULT_TRANSPORT = {
+  encoding: 'auto',
+  headers: {},
+  csrf: { meta: 'csrf-token', header: 'X-CSRF-Token' },
+  credentials: 'same-origin',
+  timeout: 0
+};
+
+/**
+ * Global transport settings
+ * @private
+ */
+let globalTransport = { ...DEFAULT_TRANSPORT };
+
+/**
+ * Registered interceptors
+ * @private
+ */
+const requestInterceptors = [];
+const responseInterceptors = [];
+
+/**
+ * Methods that never carry a CSRF token or a request body
+ * @private
+ */
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/**
+ * Configure transport settings for every form
+ * @param {Object} options - Transport options (see module docs)
+ * 
+ * @example
+ * configureTransport({
+ *   headers: () => ({ Authorization: `Bearer ${getToken()}` }),
+ *   timeout: 15000
+ * });
+ */
+export function configureTransport(options = {}) {
+  globalTransport = mergeTransport(globalTransport, options);
+}
+
+/**
+ * Restore the default global transport settings and remove all interceptors
+ */
+export function resetTransport() {
+  globalTransport = { ...DEFAULT_TRANSPORT };
+  requestInterceptors.length = 0;
+  responseInterceptors.length = 0;
+}
+
+/**
+ * Get the current global transport settings
+ * @returns {Object} Copy of the global settings
+ */
+export function getTransportConfig() {
+  return { ...globalTransport };
+}
+
+/**
+ * Add a request interceptor
+ * @param {Function} fn - Interceptor (request) => request|void
+ * @returns {Function} Function that removes the interceptor
+ * 
+ * @example
+ * addRequestInterceptor(request => {
+ *   request.headers['X-Request-Id'] = crypto.randomUUID();
+ * });
+ */
+export function addRequestInterceptor(fn) {
+  requestInterceptors.push(fn);
+  return () => removeFrom(requestInterceptors, fn);
+}
+
+/**
+ * Add a response interceptor
+ * @param {Function} fn - Interceptor (response, request) => response|void
+ * @returns {Function} Function that removes the interceptor
+ * 
+ * @example
+ * addResponseInterceptor(response => {
+ *   if (response.status === 401) window.location.href = '/login';
+ * });
+ */
+export function addResponseInterceptor(fn) {
+  responseInterceptors.push(fn);
+  return () => removeFrom(responseInterceptors, fn);
+}
+
+/**
+ * Remove an item from an array in place
+ * @private
+ */
+function removeFrom(list, item) {
+  const index = list.indexOf(item);
+  if (index !== -1) list.splice(index, 1);
+}
+
+/**
+ * Merge transport settings, combining headers instead of replacing them
+ * @param {...Object} layers - Settings from least to most specific
+ * @returns {Object} Merged settings
+ * @private
+ */
+function mergeTransport(...layers) {
+  return layers.reduce((merged, layer) => {
+    if (!layer) return merged;
+    const defined = Object.entries(layer).filter(([, value]) => value !== undefined);
+    return {
+      ...merged,
+      ...Object.fromEntries(defined),
+      headers: [].concat(merged.headers || [], layer.headers || [])
+    };
+  }, {});
+}
+
+/**
+ * Resolve header sources (objects or functions) into a single object
+ * @private
+ */
+function resolveHeaders(sources) {
+  return [].concat(sources).reduce((headers, source) => {
+    const value = typeof source === 'function' ? source() : source;
+    return { ...headers, ...value };
+  }, {});
+}
+
+// ============================================================================
+// ENCODING
+// ============================================================================
+
+/**
+ * Check whether data contains files (non-empty File or Blob values)
+ * @param {*} value - Data to inspect
+ * @returns {boolean} True if a file was found
+ */
+export function containsFiles(value) {
+  if (value instanceof Blob) {
+    return !(value instanceof File) || value.name !== '' || value.size > 0;
+  }
+  if (Array.isArray(value)) {
+    return value.some(containsFiles);
+  }
+  if (value && typeof value === 'object') {
+    return Object.values(value).some(containsFiles);
+  }
+  return false;
+}
+
+/**
+ * Flatten data into [key, value] pairs for form encodings
+ * Arrays repeat the key; nested objects use bracket notation (address[city]).
+ * @private
+ */
+function flattenEntries(data, prefix = '') {
+  const entries = [];
+  
+  Object.entries(data || {}).forEach(([key, value]) => {
+    const name = prefix ? `${prefix}[${key}]` : key;
+    
+    if (Array.isArray(value)) {
+      value.forEach(item => entries.push([name, item]));
+    } else if (value && typeof value === 'object' && !(value instanceof Blob) && !(value instanceof Date)) {
+      entries.push(...flattenEntries(value, name));
+    } else {
+      entries.push([name, value]);
+    }
+  });
+  
+  return entries;
+}
+
+/**
+ * Convert a value to a string for form encodings
+ * @private
+ */
+function toFormValue(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  return String(value);
+}
+
+/**
+ * Encode a payload for the request body
+ * @param {Object} data - Payload
+ * @param {string} encoding - 'auto', 'json', 'multipart' or 'urlencoded'
+ * @returns {Object} { body, contentType } (contentType is null for multipart,
+ *   so the browser sets it with the boundary)
+ * 
+ * @example
+ * encodeBody({ name: 'Ann', tags: ['a', 'b'] }, 'urlencoded');
+ * // { body: URLSearchParams('name=Ann&tags=a&tags=b'), contentType: 'application/x-www-form-urlencoded;charset=UTF-8' }
+ */
+export function encodeBody(data, encoding = 'auto') {
+  const resolved = encoding === 'auto'
+    ? (containsFiles(data) ? 'multipart' : 'json')
+    : encoding;
+  
+  if (resolved === 'multipart') {
+    const formData = new FormData();
+    flattenEntries(data).forEach(([key, value]) => {
+      if (value instanceof Blob) {
+        formData.append(key, value);
+      } else {
+        formData.append(key, toFormValue(value));
+      }
+    });
+    return { body: formData, contentType: null };
+  }
+  
+  if (resolved === 'urlencoded') {
+    const params = new URLSearchParams();
+    flattenEntries(data).forEach(([key, value]) => params.append(key, toFormValue(value)));
+    return { body: params, contentType: 'application/x-www-form-urlencoded;charset=UTF-8' };
+  }
+  
+  if (resolved !== 'json') {
+    console.warn(`Unknown transport encoding "${encoding}", using JSON`);
+  }
+  
+  if (containsFiles(data)) {
+    console.warn('Files cannot be sent as JSON; use the "multipart" encoding');
+  }
+  
+  return { body: JSON.stringify(data), contentType: 'application/json' };
+}
+
+/**
+ * Append data to a URL as query parameters (for GET requests)
+ * @private
+ */
+function appendQuery(url, data) {
+  const params = new URLSearchParams();
+  flattenEntries(data).forEach(([key, value]) => {
+    if (!(value instanceof Blob)) params.append(key, toFormValue(value));
+  });
+  
+  const query = params.toString();
+  if (!query) return url;
+  return `${url}${url.includes('?') ? '&' : '?'}${query}`;
+}
+
+// ============================================================================
+// CSRF
+// ============================================================================
+
+/**
+ * Read the CSRF token from a meta tag or cookie
+ * @param {Object} csrf - CSRF settings ({ meta, cookie, token })
+ * @returns {string|null} Token, if found
+ */
+export function getCsrfToken(csrf = globalTransport.csrf) {
+  if (!csrf) return null;
+  if (csrf.token) return csrf.token;
+  
+  if (csrf.meta) {
+    const meta = document.querySelector(`meta[name="${csrf.meta}"]`);
+    if (meta?.content) return meta.content;
+  }
+  
+  if (csrf.cookie) {
+    const cookie = document.cookie
+      .split(';')
+      .map(part => part.trim())
+      .find(part => part.startsWith(`${csrf.cookie}=`));
+    if (cookie) return decodeURIComponent(cookie.slice(csrf.cookie.length + 1));
+  }
+  
+  return null;
+}
+
+/**
+ * Check whether a URL points to the current origin
+ * Tokens are never sent to other origins.
+ * @private
+ */
+function isSameOrigin(url) {
+  try {
+    return new URL(url, window.location.href).origin === window.location.origin;
+  } catch (error) {
+    return false;
+  }
+}
+
+// ============================================================================
+// REQUEST
+// ============================================================================
+
+/**
+ * Send a request using the configured transport
+ * 
+ * @param {string} url - Endpoint URL
+ * @param {string} method - HTTP method (default: 'POST')
+ * @param {Object} data - Payload (query parameters for GET/HEAD)
+ * @param {Object} options - Transport options for this request (see module docs),
+ *   plus options.transport with per-form settings (an object or an array of them)
+ * @returns {Promise<*>} Parsed response body (object for JSON, string otherwise, {} if empty)
+ * @throws {FormSubmitError} On non-2xx responses, timeouts, network errors and aborts
+ * 
+ * @example
+ * const result = await sendRequest('/api/avatar', 'POST', { avatar: file }, { timeout: 30000 });
+ */
+export async function sendRequest(url, method = 'POST', data = {}, options = {}) {
+  const { transport, ...callOptions } = options;
+  const settings = mergeTransport(globalTransport, ...[].concat(transport), callOptions);
+  const upperMethod = (method || 'POST').toUpperCase();
+  const hasBody = !SAFE_METHODS.includes(upperMethod);
+  
+  const headers = { 'Accept': 'application/json' };
+  let body;
+  let requestUrl = url;
+  
+  if (hasBody) {
+    const encoded = encodeBody(data, settings.encoding);
+    body = encoded.body;
+    if (encoded.contentType) headers['Content-Type'] = encoded.contentType;
+  } else {
+    requestUrl = appendQuery(url, data);
+  }
+  
+  if (hasBody && settings.csrf && isSameOrigin(requestUrl)) {
+    const token = getCsrfToken(settings.csrf);
+    if (token) headers[settings.csrf.header || 'X-CSRF-Token'] = token;
+  }
+  
+  // One key per submission, reused by every retry so the server can deduplicate
+  if (hasBody && settings.idempotencyKey) {
+    const key = settings.idempotencyKey === true ? createIdempotencyKey() : settings.idempotencyKey;
+    headers[settings.idempotencyHeader || 'Idempotency-Key'] = key;
+  }
+  
+  let request = {
+    url: requestUrl,
+    method: upperMethod,
+    headers: { ...headers, ...resolveHeaders(settings.headers) },
+    body,
+    data,
+    credentials: settings.credentials,
+    timeout: settings.timeout,
+    onUploadProgress: settings.onUploadProgress
+  };
+  
+  for (const interceptor of requestInterceptors) {
+    request = (await interceptor(request)) || request;
+  }
+  
+  const retry = normalizeRetry(settings.retry);
+  
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await attemptRequest(request, settings.signal);
+    } catch (error) {
+      if (attempt >= retry.retries || !isRetryable(error, retry)) {
+        throw error;
+      }
+      
+      const delay = Math.min(retry.maxDelay, retry.delay * retry.factor ** attempt);
+      settings.onRetry?.({ attempt: attempt + 1, delay, error });
+      await wait(delay, settings.signal);
+    }
+  }
+}
+
+/**
+ * Send a request once and parse the response
+ * @param {Object} request - Request built by sendRequest
+ * @param {AbortSignal} signal - Caller's abort signal
+ * @returns {Promise<*>} Parsed response body
+ * @private
+ */
+async function attemptRequest(request, signal) {
+  // Timeout and caller cancellation both abort the fetch
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = request.timeout > 0
+    ? setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, request.timeout)
+    : null;
+  const abortFromCaller = () => controller.abort();
+  signal?.addEventListener('abort', abortFromCaller);
+  if (signal?.aborted) controller.abort();
+  
+  const init = {
+    method: request.method,
+    headers: request.headers,
+    body: request.body,
+    credentials: request.credentials,
+    signal: controller.signal
+  };
+  
+  let response;
+  try {
+    response = request.onUploadProgress && request.body
+      ? await fetchWithProgress(request.url, init, request.onUploadProgress)
+      : await fetch(request.url, init);
+  } catch (error) {
+    if (timedOut) {
+      throw new FormSubmitError(t('submit.timeout'), { code: 'TIMEOUT' });
+    }
+    if (controller.signal.aborted) {
+      throw new FormSubmitError(t('submit.cancelled'), { code: 'ABORTED' });
+    }
+    throw new FormSubmitError(t('submit.network'), { code: 'NETWORK' });
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', abortFromCaller);
+  }
+  
+  for (const interceptor of responseInterceptors) {
+    response = (await interceptor(response, request)) || response;
+  }
+  
+  if (!response.ok) {
+    throw await createSubmitError(response);
+  }
+  
+  return parseResponseBody(response);
+}
+
+// ============================================================================
+// RETRY AND IDEMPOTENCY
+// ============================================================================
+
+/**
+ * Default retry settings (used when retry is true or a number)
+ * @private
+ */
+const DEFAULT_RETRY = {
+  retries: 3,
+  delay: 500,
+  factor: 2,
+  maxDelay: 10000,
+  statuses: null
+};
+
+/**
+ * Normalize the retry option
+ * @param {boolean|number|Object} retry - true, number of retries, or settings object
+ * @returns {Object} Retry settings ({ retries: 0 } when disabled)
+ * @private
+ */
+function normalizeRetry(retry) {
+  if (!retry) return { ...DEFAULT_RETRY, retries: 0 };
+  if (retry === true) return { ...DEFAULT_RETRY };
+  if (typeof retry === 'number') return { ...DEFAULT_RETRY, retries: retry };
+  return { ...DEFAULT_RETRY, ...retry };
+}
+
+/**
+ * Check whether a failed attempt should be retried
+ * Network errors, timeouts and 5xx responses (or the configured statuses) are retried.
+ * @private
+ */
+function isRetryable(error, retry) {
+  if (!(error instanceof FormSubmitError)) return false;
+  if (error.code === 'NETWORK' || error.code === 'TIMEOUT') return true;
+  if (error.code !== 'HTTP') return false;
+  
+  return retry.statuses
+    ? retry.statuses.includes(error.status)
+    : error.status >= 500;
+}
+
+/**
+ * Wait before the next attempt, rejecting early if the caller aborts
+ * @private
+ */
+function wait(delay, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new FormSubmitError(t('submit.cancelled'), { code: 'ABORTED' }));
+      return;
+    }
+    
+    const timer = setTimeout(resolve, delay);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(new FormSubmitError(t('submit.cancelled'), { code: 'ABORTED' }));
+    }, { once: true });
+  });
+}
+
+/**
+ * Generate an idempotency key
+ * @returns {string} Random UUID
+ */
+export function createIdempotencyKey() {
+  if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+    return crypto.randomUUID();
+  }
+  
+  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (char) => {
+    const random = Math.floor(Math.random() * 16);
+    return (char === 'x' ? random : (random & 0x3) | 0x8).toString(16);
+  });
+}
+
+/**
+ * fetch() replacement based on XMLHttpRequest, which reports upload progress
+ * Resolves with a standard Response so the rest of the pipeline is unchanged.
+ * @param {string} url - Request URL
+ * @param {Object} init - fetch init (method, headers, body, credentials, signal)
+ * @param {Function} onUploadProgress - Called with { loaded, total, percent }
+ * @returns {Promise<Response>} The response
+ * @private
+ */
+function fetchWithProgress(url, init, onUploadProgress) {
+  return new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    xhr.open(init.method, url);
+    xhr.withCredentials = init.credentials === 'include';
+    Object.entries(init.headers || {}).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+    
+    xhr.upload.addEventListener('progress', (e) => {
+      if (!e.lengthComputable) return;
+      onUploadProgress({ loaded: e.loaded, total: e.total, percent: Math.round((e.loaded / e.total) * 100) });
+    });
+    
+    xhr.addEventListener('load', () => {
+      const headers = new Headers();
+      xhr.getAllResponseHeaders().trim().split(/[\r\n]+/).forEach(line => {
+        const index = line.indexOf(':');
+        if (index > 0) headers.append(line.slice(0, index).trim(), line.slice(index + 1).trim());
+      });
+      
+      // Responses with these statuses must not have a body
+      const body = [204, 205, 304].includes(xhr.status) ? null : xhr.responseText;
+      resolve(new Response(body, { status: xhr.status, statusText: xhr.statusText, headers }));
+    });
+    xhr.addEventListener('error', () => reject(new TypeError('Network request failed')));
+    xhr.addEventListener('abort', () => reject(new DOMException('The request was aborted.', 'AbortError')));
+    
+    if (init.signal?.aborted) {
+      reject(new DOMException('The request was aborted.', 'AbortError'));
+      return;
+    }
+    init.signal?.addEventListener('abort', () => xhr.abort());
+    
+    xhr.send(init.body);
+  });
+}
+
+/**
+ * Parse a successful response body
+ * @private
+ */
+async function parseResponseBody(response) {
+  if (response.status === 204) return {};
+  
+  const contentType = response.headers?.get?.('Content-Type') || '';
+  if (!contentType || contentType.includes('json')) {
+    return response.json().catch(() => ({}));
+  }
+  return response.text();
+}
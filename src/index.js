@@ -14,6 +14,9 @@
 
 'use strict';
 
+import { initializeAllForms } from './core/form-init.js';
+import { observeForms } from './core/form-observer.js';
+
 // ============================================================================
 // CORE EXPORTS
 // ============================================================================
@@ -23,16 +26,51 @@ export {
   initializeAllForms,
   loadAndPopulateApps,
   initializeDynamicForm,
+  getFormInstance,
+  exposeGlobals,
   formHelpers
 } from './core/form-init.js';
 
+export {
+  registerFormHandler,
+  unregisterFormHandler,
+  getFormHandler,
+  resolveFormHandler
+} from './core/form-handlers.js';
+
 export {
   initializeDynamicForm as initDynamicForm,
   validateForm as validateDynamicForm,
   getFormData as getDynamicFormData,
-  resetForm
+  resetForm,
+  destroyDynamicForm,
+  refreshDynamicForm
 } from './core/form-dynamic.js';
 
+export {
+  observeForms,
+  stopObservingForms,
+  isObservingForms
+} from './core/form-observer.js';
+
+export {
+  createFormEmitter,
+  EVENT_PREFIX
+} from './core/form-events.js';
+
+export {
+  prepareSubmission,
+  registerTransform,
+  getTransform,
+  getDateRanges
+} from './core/form-submit.js';
+
+export {
+  renderForm,
+  parseSchema,
+  buildForm
+} from './core/form-render.js';
+
 // ============================================================================
 // HELPER EXPORTS
 // ============================================================================
@@ -43,13 +81,70 @@ export {
   resetValidation,
   showToast,
   setButtonLoading,
+  setButtonProgress,
   validateDateTimeRange,
   formatDateTimeForAPI,
   submitFormData,
   populateForm,
-  loadAppData
+  loadAppData,
+  clearAppDataCache
 } from './helpers/form-helpers.js';
 
+export {
+  notify,
+  configureNotifications,
+  resetNotifications,
+  bootstrapToastRenderer
+} from './helpers/form-notify.js';
+
+export {
+  t,
+  setLocale,
+  getLocale,
+  registerMessages,
+  formatDate,
+  getFlatpickrLocale
+} from './helpers/form-i18n.js';
+
+export {
+  parseDateTime,
+  formatDateTime,
+  getTimezoneOffset,
+  getDateTimeOptions,
+  attachTimezoneIndicator
+} from './helpers/form-datetime.js';
+
+export {
+  parseFieldPath,
+  getFieldPath,
+  setFieldPath,
+  nestFormData,
+  flattenFormData,
+  getFieldType,
+  coerceValue
+} from './helpers/form-data.js';
+
+export {
+  FormSubmitError,
+  registerErrorParser,
+  parseFieldErrors,
+  getErrorMessage,
+  createSubmitError
+} from './helpers/form-errors.js';
+
+export {
+  configureTransport,
+  resetTransport,
+  getTransportConfig,
+  addRequestInterceptor,
+  addResponseInterceptor,
+  sendRequest,
+  encodeBody,
+  containsFiles,
+  getCsrfToken,
+  createIdempotencyKey
+} from './helpers/form-transport.js';
+
 // ============================================================================
 // FEATURE EXPORTS
 // ============================================================================
@@ -58,11 +153,83 @@ export {
   registerValidator,
   getValidator,
   runValidators,
+  cancelValidation,
+  isValidationPending,
   clearValidationState,
   validateFormWithCustom,
+  getFieldValidators,
+  getValidatorDependencies,
+  applyFieldErrors,
+  clearFieldErrors,
+  hasFieldError,
   validators
 } from './features/form-feature-validators.js';
 
+export {
+  readFormValues,
+  createDirtyTracker,
+  installUnsavedChangesGuard
+} from './features/form-feature-dirty.js';
+
+export {
+  buildDiffPayload,
+  toJsonPatch,
+  toPointer,
+  JSON_PATCH_CONTENT_TYPE
+} from './features/form-feature-diff.js';
+
+export {
+  initializeUploads,
+  parseFileSize,
+  formatFileSize,
+  matchesAccept
+} from './features/form-feature-upload.js';
+
+export {
+  initializeRepeaters,
+  createRepeater,
+  getRepeater,
+  INDEX_PLACEHOLDER
+} from './features/form-feature-repeater.js';
+
+export {
+  initializeConditions,
+  evaluateCondition,
+  parseCondition
+} from './features/form-feature-conditions.js';
+
+export {
+  initializeWizard
+} from './features/form-feature-wizard.js';
+
+export {
+  initializeRemoteOptions,
+  loadSelectOptions
+} from './features/form-feature-options.js';
+
+export {
+  initializeComboboxes,
+  createCombobox,
+  getCombobox
+} from './features/form-feature-combobox.js';
+
+export {
+  queueSubmission,
+  getQueuedSubmissions,
+  removeQueuedSubmission,
+  clearQueue,
+  replayQueue,
+  startQueueReplay,
+  stopQueueReplay,
+  isOffline
+} from './features/form-feature-offline.js';
+
+export {
+  createAutosave,
+  getDraftKey,
+  DRAFT_KEY_PREFIX
+} from './features/form-feature-autosave.js';
+
 // ============================================================================
 // VERSION INFO
 // ============================================================================
@@ -79,19 +246,24 @@ export const VERSION = '1.0.0';
  * 
  * @param {Object} options - Configuration options
  * @param {Function} options.onReady - Callback when forms are initialized
+ * @param {boolean} options.observe - Also initialize/destroy forms inserted/removed later
  * @returns {Array} Array of form instances
  * 
  * @example
  * import { setup } from '@mfribeiro/form-kit';
  * 
  * setup({
+ *   observe: true,
  *   onReady: (forms) => console.log(`${forms.length} forms initialized!`)
  * });
  */
 export function setup(options = {}) {
-  const { initializeAllForms } = require('./core/form-init.js');
   const instances = initializeAllForms();
   
+  if (options.observe) {
+    observeForms();
+  }
+  
   if (options.onReady && typeof options.onReady === 'function') {
     options.onReady(instances);
   }
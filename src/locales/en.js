@@ -0,0 +1,134 @@
+/**
+ * Form Kit - English Messages
+ * 
+ * Default catalog; also the fallback for keys missing in other locales.
+ * Plural messages are keyed by Intl.PluralRules category (see form-i18n.js).
+ * 
+ * @module form-kit/locales/en
+ */
+
+'use strict';
+
+export default {
+  // Notifications
+  'toast.success': 'Success',
+  'toast.error': 'Error',
+  'toast.warning': 'Warning',
+  'toast.info': 'Info',
+  'toast.loading': 'Please wait',
+  'toast.close': 'Close',
+  'toast.loadingMessage': 'Loading...',
+  'toast.done': 'Done',
+  'toast.failed': 'Something went wrong',
+  
+  // Buttons
+  'button.submitting': 'Submitting...',
+  'button.uploading': 'Uploading... {percent}%',
+  
+  // Submission
+  'submit.success': 'Request submitted successfully!',
+  'submit.error': 'An error occurred while submitting the request.',
+  'submit.noChanges': 'There are no changes to save.',
+  'submit.timeout': 'The request timed out. Please try again.',
+  'submit.cancelled': 'The request was cancelled.',
+  'submit.network': 'Unable to reach the server. Please check your connection.',
+  'submit.queued': 'The server could not be reached. Your submission was saved and will be sent once the connection is restored.',
+  
+  // Offline queue
+  'offline.sent': {
+    one: 'Your saved submission was sent.',
+    other: '{count} saved submissions were sent.'
+  },
+  'offline.failed': 'A saved submission could not be sent: {error}',
+  
+  // Draft autosave
+  'autosave.draft': 'You have an unsaved draft for this form.',
+  'autosave.draftFrom': 'You have an unsaved draft from {date}.',
+  'autosave.restore': 'Restore',
+  'autosave.discard': 'Discard',
+  
+  // Unsaved changes guard
+  'dirty.confirm': 'You have unsaved changes. Discard them?',
+  
+  // Date/time ranges
+  'date.bothRequired': 'Both start and end date/time are required.',
+  'date.invalid': 'Invalid date/time format.',
+  'date.endBeforeStart': 'End date/time must be after start date/time.',
+  'date.timezone': '{zone} ({offset})',
+  
+  // Validators
+  'validation.required': 'This field is required',
+  'validation.invalid': 'Invalid value',
+  'validation.unavailable': 'Unable to validate this field',
+  'validation.dateInvalid': 'Invalid date format',
+  'validation.dateRange': 'End date must be after start date',
+  'validation.phone': 'Phone number must be 10-15 digits',
+  'validation.matchField': 'Must match {field}',
+  'validation.selectionMin': {
+    one: 'Select at least {count} item',
+    other: 'Select at least {count} items'
+  },
+  'validation.selectionMax': {
+    one: 'Select at most {count} item',
+    other: 'Select at most {count} items'
+  },
+  
+  // File uploads
+  'upload.dropzone': 'Drag files here or click to browse',
+  'upload.tooLarge': '{name} is larger than {size}',
+  'upload.tooSmall': '{name} is smaller than {size}',
+  'upload.type': '{name} is not an allowed file type ({allowed})',
+  'upload.countMin': {
+    one: 'Select at least {count} file',
+    other: 'Select at least {count} files'
+  },
+  'upload.countMax': {
+    one: 'Select at most {count} file',
+    other: 'Select at most {count} files'
+  },
+  
+  // Character counters
+  'counter.maxLength': {
+    one: '/ {count} character',
+    other: '/ {count} characters'
+  },
+  
+  // Rendered forms
+  'form.submit': 'Submit',
+  'form.reset': 'Reset',
+  'repeater.add': 'Add',
+  'repeater.remove': 'Remove',
+  'repeater.moveUp': 'Move up',
+  'repeater.moveDown': 'Move down',
+  
+  // Wizard
+  'wizard.next': 'Next',
+  'wizard.back': 'Back',
+  'wizard.step': 'Step {step}',
+  'wizard.progress': 'Step {step} of {total}',
+  
+  // Remote select options
+  'options.placeholder': 'Select...',
+  'options.loading': 'Loading...',
+  'options.empty': 'No options available',
+  'options.error': 'Unable to load options',
+  'apps.placeholder': 'Select an application...',
+  'apps.loading': 'Loading applications...',
+  'apps.error': 'Error loading applications',
+  'apps.failed': 'Failed to load applications',
+  
+  // Combobox
+  'combobox.searching': 'Searching...',
+  'combobox.noResults': 'No results',
+  'combobox.error': 'Unable to load results',
+  'combobox.useText': 'Use "{text}"',
+  'combobox.remove': 'Remove {label}',
+  'combobox.minChars': {
+    one: 'Type at least {count} character',
+    other: 'Type at least {count} characters'
+  },
+  'combobox.results': {
+    one: '{count} result available',
+    other: '{count} results available'
+  }
+};
@@ -0,0 +1,131 @@
+/**
+ * Form Kit - Spanish Messages
+ * 
+ * @module form-kit/locales/es
+ */
+
+'use strict';
+
+export default {
+  // Notifications
+  'toast.success': 'Éxito',
+  'toast.error': 'Error',
+  'toast.warning': 'Aviso',
+  'toast.info': 'Información',
+  'toast.loading': 'Espere',
+  'toast.close': 'Cerrar',
+  'toast.loadingMessage': 'Cargando...',
+  'toast.done': 'Hecho',
+  'toast.failed': 'Se produjo un error',
+  
+  // Buttons
+  'button.submitting': 'Enviando...',
+  'button.uploading': 'Subiendo... {percent}%',
+  
+  // Submission
+  'submit.success': '¡Solicitud enviada correctamente!',
+  'submit.error': 'Se produjo un error al enviar la solicitud.',
+  'submit.noChanges': 'No hay cambios que guardar.',
+  'submit.timeout': 'La solicitud superó el tiempo de espera. Inténtelo de nuevo.',
+  'submit.cancelled': 'La solicitud fue cancelada.',
+  'submit.network': 'No se pudo contactar con el servidor. Compruebe su conexión.',
+  'submit.queued': 'No se pudo contactar con el servidor. El envío se guardó y se realizará cuando se restablezca la conexión.',
+  
+  // Offline queue
+  'offline.sent': {
+    one: 'Se envió el envío guardado.',
+    other: 'Se enviaron {count} envíos guardados.'
+  },
+  'offline.failed': 'No se pudo enviar un envío guardado: {error}',
+  
+  // Draft autosave
+  'autosave.draft': 'Tiene un borrador sin guardar de este formulario.',
+  'autosave.draftFrom': 'Tiene un borrador sin guardar del {date}.',
+  'autosave.restore': 'Restaurar',
+  'autosave.discard': 'Descartar',
+  
+  // Unsaved changes guard
+  'dirty.confirm': 'Tiene cambios sin guardar. ¿Descartarlos?',
+  
+  // Date/time ranges
+  'date.bothRequired': 'La fecha/hora de inicio y de fin son obligatorias.',
+  'date.invalid': 'Formato de fecha/hora no válido.',
+  'date.endBeforeStart': 'La fecha/hora de fin debe ser posterior a la de inicio.',
+  'date.timezone': '{zone} ({offset})',
+  
+  // Validators
+  'validation.required': 'Este campo es obligatorio',
+  'validation.invalid': 'Valor no válido',
+  'validation.unavailable': 'No se pudo validar este campo',
+  'validation.dateInvalid': 'Formato de fecha no válido',
+  'validation.dateRange': 'La fecha de fin debe ser posterior a la de inicio',
+  'validation.phone': 'El número de teléfono debe tener entre 10 y 15 dígitos',
+  'validation.matchField': 'Debe coincidir con {field}',
+  'validation.selectionMin': {
+    one: 'Seleccione al menos {count} elemento',
+    other: 'Seleccione al menos {count} elementos'
+  },
+  'validation.selectionMax': {
+    one: 'Seleccione como máximo {count} elemento',
+    other: 'Seleccione como máximo {count} elementos'
+  },
+  
+  // File uploads
+  'upload.dropzone': 'Arrastre archivos aquí o haga clic para buscar',
+  'upload.tooLarge': '{name} supera {size}',
+  'upload.tooSmall': '{name} es menor que {size}',
+  'upload.type': '{name} no es un tipo de archivo permitido ({allowed})',
+  'upload.countMin': {
+    one: 'Seleccione al menos {count} archivo',
+    other: 'Seleccione al menos {count} archivos'
+  },
+  'upload.countMax': {
+    one: 'Seleccione como máximo {count} archivo',
+    other: 'Seleccione como máximo {count} archivos'
+  },
+  
+  // Character counters
+  'counter.maxLength': {
+    one: '/ {count} carácter',
+    other: '/ {count} caracteres'
+  },
+  
+  // Rendered forms
+  'form.submit': 'Enviar',
+  'form.reset': 'Restablecer',
+  'repeater.add': 'Añadir',
+  'repeater.remove': 'Eliminar',
+  'repeater.moveUp': 'Subir',
+  'repeater.moveDown': 'Bajar',
+  
+  // Wizard
+  'wizard.next': 'Siguiente',
+  'wizard.back': 'Anterior',
+  'wizard.step': 'Paso {step}',
+  'wizard.progress': 'Paso {step} de {total}',
+  
+  // Remote select options
+  'options.placeholder': 'Seleccione...',
+  'options.loading': 'Cargando...',
+  'options.empty': 'No hay opciones disponibles',
+  'options.error': 'No se pudieron cargar las opciones',
+  'apps.placeholder': 'Seleccione una aplicación...',
+  'apps.loading': 'Cargando aplicaciones...',
+  'apps.error': 'Error al cargar las aplicaciones',
+  'apps.failed': 'No se pudieron cargar las aplicaciones',
+  
+  // Combobox
+  'combobox.searching': 'Buscando...',
+  'combobox.noResults': 'Sin resultados',
+  'combobox.error': 'No se pudieron cargar los resultados',
+  'combobox.useText': 'Usar "{text}"',
+  'combobox.remove': 'Quitar {label}',
+  'combobox.minChars': {
+    one: 'Escriba al menos {count} carácter',
+    other: 'Escriba al menos {count} caracteres'
+  },
+  'combobox.results': {
+    one: '{count} resultado disponible',
+    other: '{count} resultados disponibles'
+  }
+};
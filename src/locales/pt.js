@@ -0,0 +1,131 @@
+/**
+ * Form Kit - Portuguese Messages
+ * 
+ * @module form-kit/locales/pt
+ */
+
+'use strict';
+
+export default {
+  // Notifications
+  'toast.success': 'Sucesso',
+  'toast.error': 'Erro',
+  'toast.warning': 'Aviso',
+  'toast.info': 'Informação',
+  'toast.loading': 'Aguarde',
+  'toast.close': 'Fechar',
+  'toast.loadingMessage': 'A carregar...',
+  'toast.done': 'Concluído',
+  'toast.failed': 'Ocorreu um erro',
+  
+  // Buttons
+  'button.submitting': 'A enviar...',
+  'button.uploading': 'A carregar... {percent}%',
+  
+  // Submission
+  'submit.success': 'Pedido enviado com sucesso!',
+  'submit.error': 'Ocorreu um erro ao enviar o pedido.',
+  'submit.noChanges': 'Não há alterações para guardar.',
+  'submit.timeout': 'O pedido excedeu o tempo limite. Tente novamente.',
+  'submit.cancelled': 'O pedido foi cancelado.',
+  'submit.network': 'Não foi possível contactar o servidor. Verifique a sua ligação.',
+  'submit.queued': 'Não foi possível contactar o servidor. O envio foi guardado e será feito quando a ligação for restabelecida.',
+  
+  // Offline queue
+  'offline.sent': {
+    one: 'O envio guardado foi enviado.',
+    other: '{count} envios guardados foram enviados.'
+  },
+  'offline.failed': 'Não foi possível enviar um envio guardado: {error}',
+  
+  // Draft autosave
+  'autosave.draft': 'Tem um rascunho não guardado deste formulário.',
+  'autosave.draftFrom': 'Tem um rascunho não guardado de {date}.',
+  'autosave.restore': 'Restaurar',
+  'autosave.discard': 'Descartar',
+  
+  // Unsaved changes guard
+  'dirty.confirm': 'Tem alterações não guardadas. Descartá-las?',
+  
+  // Date/time ranges
+  'date.bothRequired': 'A data/hora de início e de fim são obrigatórias.',
+  'date.invalid': 'Formato de data/hora inválido.',
+  'date.endBeforeStart': 'A data/hora de fim tem de ser posterior à de início.',
+  'date.timezone': '{zone} ({offset})',
+  
+  // Validators
+  'validation.required': 'Este campo é obrigatório',
+  'validation.invalid': 'Valor inválido',
+  'validation.unavailable': 'Não foi possível validar este campo',
+  'validation.dateInvalid': 'Formato de data inválido',
+  'validation.dateRange': 'A data de fim tem de ser posterior à de início',
+  'validation.phone': 'O número de telefone deve ter entre 10 e 15 dígitos',
+  'validation.matchField': 'Tem de coincidir com {field}',
+  'validation.selectionMin': {
+    one: 'Selecione pelo menos {count} item',
+    other: 'Selecione pelo menos {count} itens'
+  },
+  'validation.selectionMax': {
+    one: 'Selecione no máximo {count} item',
+    other: 'Selecione no máximo {count} itens'
+  },
+  
+  // File uploads
+  'upload.dropzone': 'Arraste ficheiros para aqui ou clique para procurar',
+  'upload.tooLarge': '{name} é maior do que {size}',
+  'upload.tooSmall': '{name} é menor do que {size}',
+  'upload.type': '{name} não é um tipo de ficheiro permitido ({allowed})',
+  'upload.countMin': {
+    one: 'Selecione pelo menos {count} ficheiro',
+    other: 'Selecione pelo menos {count} ficheiros'
+  },
+  'upload.countMax': {
+    one: 'Selecione no máximo {count} ficheiro',
+    other: 'Selecione no máximo {count} ficheiros'
+  },
+  
+  // Character counters
+  'counter.maxLength': {
+    one: '/ {count} carácter',
+    other: '/ {count} caracteres'
+  },
+  
+  // Rendered forms
+  'form.submit': 'Enviar',
+  'form.reset': 'Limpar',
+  'repeater.add': 'Adicionar',
+  'repeater.remove': 'Remover',
+  'repeater.moveUp': 'Mover para cima',
+  'repeater.moveDown': 'Mover para baixo',
+  
+  // Wizard
+  'wizard.next': 'Seguinte',
+  'wizard.back': 'Anterior',
+  'wizard.step': 'Passo {step}',
+  'wizard.progress': 'Passo {step} de {total}',
+  
+  // Remote select options
+  'options.placeholder': 'Selecione...',
+  'options.loading': 'A carregar...',
+  'options.empty': 'Sem opções disponíveis',
+  'options.error': 'Não foi possível carregar as opções',
+  'apps.placeholder': 'Selecione uma aplicação...',
+  'apps.loading': 'A carregar aplicações...',
+  'apps.error': 'Erro ao carregar aplicações',
+  'apps.failed': 'Não foi possível carregar as aplicações',
+  
+  // Combobox
+  'combobox.searching': 'A pesquisar...',
+  'combobox.noResults': 'Sem resultados',
+  'combobox.error': 'Não foi possível carregar os resultados',
+  'combobox.useText': 'Usar "{text}"',
+  'combobox.remove': 'Remover {label}',
+  'combobox.minChars': {
+    one: 'Escreva pelo menos {count} carácter',
+    other: 'Escreva pelo menos {count} caracteres'
+  },
+  'combobox.results': {
+    one: '{count} resultado disponível',
+    other: '{count} resultados disponíveis'
+  }
+};
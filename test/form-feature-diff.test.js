@@ -0,0 +1,108 @@
+/**
+ * Form Kit - Diff Submission Tests
+ * 
+ * Run with: npm test
+ */
+
+'use strict';
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+
+const { window } = new JSDOM('<!doctype html><html><body></body></html>', { url: 'http://localhost/' });
+['window', 'document', 'HTMLElement', 'Node', 'Event', 'CustomEvent', 'MutationObserver', 'FormData', 'File', 'Blob',
+  'localStorage', 'sessionStorage', 'navigator', 'AbortController', 'AbortSignal']
+  .forEach(name => {
+    globalThis[name] = window[name];
+  });
+
+const { initializeForm, buildDiffPayload, getRepeater } = await import('../src/index.js');
+
+/**
+ * Capture the bodies of the requests sent by the form
+ */
+function captureRequests() {
+  const bodies = [];
+  globalThis.fetch = async (url, init) => {
+    bodies.push(JSON.parse(init.body));
+    return new Response('{}', { status: 200, headers: { 'Content-Type': 'application/json' } });
+  };
+  return bodies;
+}
+
+/**
+ * Render an edit form with a contacts repeater in diff mode
+ */
+function createContactsForm() {
+  document.body.innerHTML = `
+    <form id="contactsForm" data-form-config='{"action": "/api/people/7", "submitMode": "diff", "nested": true, "alwaysInclude": ["id"]}'>
+      <input type="hidden" name="id">
+      <input name="name">
+      <div data-repeater="contacts">
+        <template><div><input name="contacts[__index__].email"></div></template>
+        <div data-repeater-items></div>
+      </div>
+      <button type="submit">Save</button>
+    </form>
+  `;
+  
+  const instance = initializeForm('contactsForm');
+  instance.populate({
+    id: '7',
+    name: 'Ann',
+    contacts: [{ email: 'a@x' }, { email: 'b@x' }, { email: 'c@x' }]
+  });
+  return instance;
+}
+
+/**
+ * Submit a form and wait for the request to be sent
+ */
+async function submit(form) {
+  form.requestSubmit();
+  await new Promise(resolve => setTimeout(resolve, 50));
+}
+
+test('a change inside a repeated row sends the whole array', async () => {
+  const bodies = captureRequests();
+  const { form } = createContactsForm();
+  
+  form.elements['contacts[1].email'].value = 'new@x';
+  form.elements['contacts[1].email'].dispatchEvent(new Event('input', { bubbles: true }));
+  await submit(form);
+  
+  assert.deepEqual(bodies, [{
+    id: '7',
+    contacts: [{ email: 'a@x' }, { email: 'new@x' }, { email: 'c@x' }]
+  }]);
+});
+
+test('removing a row sends the remaining rows without holes', async () => {
+  const bodies = captureRequests();
+  const { form } = createContactsForm();
+  
+  getRepeater(form.querySelector('[data-repeater]')).removeRow(1);
+  await submit(form);
+  
+  assert.deepEqual(bodies, [{
+    id: '7',
+    contacts: [{ email: 'a@x' }, { email: 'c@x' }]
+  }]);
+});
+
+test('unchanged arrays and plain fields are sent as before', () => {
+  const data = { id: 7, name: 'Bea', 'contacts[0].email': 'a@x' };
+  
+  assert.deepEqual(
+    buildDiffPayload(data, { changedFields: ['name'], alwaysInclude: ['id'] }),
+    { id: 7, name: 'Bea' }
+  );
+});
+
+test('an array whose rows were all removed is sent empty', () => {
+  assert.deepEqual(
+    buildDiffPayload({ id: 7 }, { changedFields: ['contacts[0].email'], currentValues: {} }),
+    { contacts: [] }
+  );
+});